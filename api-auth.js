@@ -0,0 +1,235 @@
+'use strict';
+/**
+ * Request authentication: Retell webhook signatures and scoped API keys.
+ *
+ * A request is accepted when either
+ *  - it carries a valid `x-retell-signature`: HMAC-SHA256 of the raw body keyed with RETELL_API_KEY
+ *    (Retell's "v=<timestamp ms>,d=<hex digest of body + timestamp>" format, within
+ *    RETELL_SIGNATURE_TOLERANCE_SECONDS, or a bare hex digest of the body). Retell requests get the
+ *    `read` and `book` scopes; or
+ *  - it has `Authorization: Bearer <key>` (or `X-Api-Key: <key>`) matching a named key in API_KEYS:
+ *      API_KEYS='[{"name":"retell-agent","key":"...","scopes":["read","book"]},{"name":"ops","key":"...","scopes":["admin"]}]'
+ *    SECRET_TOKEN still works as a key named "default" with every scope.
+ *
+ * Scopes: `read` (availability, slots, provider lookup, parsing), `book` (book, cancel, reschedule),
+ * `admin` (operations endpoints; includes every other scope).
+ *
+ * Inbound SMS webhooks (POST /reminders/reply) do not use either: the SMS provider cannot send an API key or a
+ * Retell signature, and the agent's `book` key must not be able to act on arbitrary phone numbers. They are
+ * checked by verifySmsWebhook instead: an `X-Twilio-Signature` under TWILIO_AUTH_TOKEN, or an
+ * `X-Sms-Reply-Secret` header equal to SMS_REPLY_SECRET.
+ *
+ * Secrets are compared in constant time. With nothing configured, requests are let through outside
+ * production only; in production (NODE_ENV=production or on Cloud Run, override with AUTH_REQUIRED)
+ * assertConfigured refuses to start.
+ *
+ * Exports:
+ *  - SCOPES: Known scope names.
+ *  - authenticate: { ok, principal: { name, method, scopes } } or { ok: false, status, error, message }.
+ *  - hasScope: Whether a principal may use a scope.
+ *  - verifyRetellSignature: Checks a signature header against a raw body.
+ *  - verifyTwilioSignature: Checks an X-Twilio-Signature against the webhook URL and form parameters.
+ *  - verifySmsWebhook: { ok } or { ok: false, status, error, message } for an inbound SMS webhook request.
+ *  - captureRawBody: express.json `verify` hook that keeps req.rawBody for signature checks.
+ *  - isConfigured / authRequired / assertConfigured: Startup checks.
+ */
+
+const crypto = require('crypto');
+
+const SCOPES = ['read', 'book', 'admin'];
+const RETELL_SCOPES = ['read', 'book'];
+const RETELL_SIGNATURE_TOLERANCE_SECONDS = Number(process.env.RETELL_SIGNATURE_TOLERANCE_SECONDS || 300);
+
+let apiKeys = null;
+
+function authError(status, error, message) {
+  return { ok: false, status, error, message };
+}
+
+// Hash both sides first so timingSafeEqual gets equal lengths and the key length does not leak
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function parseApiKeys() {
+  const keys = [];
+  const raw = process.env.API_KEYS;
+  if (raw && raw.trim()) {
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (e) {
+      throw new Error(`api-auth: API_KEYS is not valid JSON: ${e.message || e}`);
+    }
+    const list = Array.isArray(parsed) ? parsed : Object.entries(parsed).map(([name, v]) => ({ name, ...v }));
+    for (const entry of list) {
+      if (!entry || !entry.name || !entry.key) throw new Error('api-auth: every API_KEYS entry needs a name and a key');
+      const scopes = [].concat(entry.scopes || []);
+      const unknown = scopes.filter((s) => !SCOPES.includes(s));
+      if (unknown.length) throw new Error(`api-auth: API key "${entry.name}" has unknown scopes: ${unknown.join(', ')}`);
+      keys.push({ name: String(entry.name), key: String(entry.key), scopes });
+    }
+  }
+  if (process.env.SECRET_TOKEN) keys.push({ name: 'default', key: process.env.SECRET_TOKEN, scopes: ['admin'] });
+  return keys;
+}
+
+function loadApiKeys() {
+  if (!apiKeys) apiKeys = parseApiKeys();
+  return apiKeys;
+}
+
+function retellSecret() {
+  return process.env.RETELL_API_KEY || process.env.RETELL_WEBHOOK_SECRET || '';
+}
+
+/**
+ * verifyRetellSignature: true when `signature` is Retell's HMAC of rawBody under `secret`.
+ */
+function verifyRetellSignature(rawBody, signature, secret = retellSecret(), now = Date.now()) {
+  if (!secret || !signature || rawBody === undefined || rawBody === null) return false;
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+
+  const stamped = String(signature).match(/^v=(\d+),d=([0-9a-f]+)$/i);
+  if (stamped) {
+    const timestamp = Number(stamped[1]);
+    if (Math.abs(now - timestamp) > RETELL_SIGNATURE_TOLERANCE_SECONDS * 1000) return false;
+    const digest = crypto.createHmac('sha256', secret).update(body + stamped[1]).digest('hex');
+    return safeEqual(digest, stamped[2].toLowerCase());
+  }
+  const digest = crypto.createHmac('sha256', secret).update(body).digest('hex');
+  return safeEqual(digest, String(signature).trim().toLowerCase());
+}
+
+/**
+ * verifyTwilioSignature: true when `signature` is Twilio's base64 HMAC-SHA1 of the full webhook URL followed by
+ * each form parameter's name and value, sorted by name, under `authToken`.
+ */
+function verifyTwilioSignature(url, params, signature, authToken = process.env.TWILIO_AUTH_TOKEN || '') {
+  if (!authToken || !signature || !url) return false;
+  const data = Object.keys(params || {}).sort().reduce((acc, key) => {
+    const values = [].concat(params[key]).map(String).sort();
+    return acc + values.map((v) => key + v).join('');
+  }, String(url));
+  const digest = crypto.createHmac('sha1', authToken).update(data).digest('base64');
+  return safeEqual(digest, String(signature).trim());
+}
+
+// The URL Twilio signed: SMS_REPLY_WEBHOOK_URL when set (needed behind proxies that rewrite the host or path)
+function webhookUrl(req) {
+  if (process.env.SMS_REPLY_WEBHOOK_URL) return process.env.SMS_REPLY_WEBHOOK_URL;
+  const proto = String((req.headers && req.headers['x-forwarded-proto']) || req.protocol || 'https').split(',')[0].trim();
+  return `${proto}://${req.headers && req.headers.host}${req.originalUrl || req.url}`;
+}
+
+/**
+ * verifySmsWebhook: Authenticates an inbound SMS webhook (see the header).
+ * - With neither TWILIO_AUTH_TOKEN nor SMS_REPLY_SECRET set, requests pass outside production only
+ *   (`unconfigured: true`) and get 401 in production.
+ */
+function verifySmsWebhook(req) {
+  const authToken = process.env.TWILIO_AUTH_TOKEN || '';
+  const secret = process.env.SMS_REPLY_SECRET || '';
+  if (!authToken && !secret) {
+    if (authRequired()) return authError(401, 'unauthorized', 'SMS reply webhook authentication is not configured');
+    return { ok: true, unconfigured: true };
+  }
+
+  const signature = req.headers && req.headers['x-twilio-signature'];
+  const provided = req.headers && req.headers['x-sms-reply-secret'];
+  if (signature) {
+    if (!verifyTwilioSignature(webhookUrl(req), req.body, signature, authToken)) {
+      return authError(401, 'unauthorized', 'Invalid Twilio signature');
+    }
+    return { ok: true };
+  }
+  if (provided) {
+    if (!secret || !safeEqual(secret, provided)) return authError(401, 'unauthorized', 'Invalid SMS reply secret');
+    return { ok: true };
+  }
+  return authError(401, 'unauthorized', 'Missing credentials (X-Twilio-Signature or X-Sms-Reply-Secret)');
+}
+
+function bearerOf(req) {
+  const header = (req.headers && req.headers.authorization) || '';
+  const match = String(header).match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+  return (req.headers && req.headers['x-api-key']) ? String(req.headers['x-api-key']).trim() : '';
+}
+
+function isConfigured() {
+  return loadApiKeys().length > 0 || !!retellSecret();
+}
+
+function authRequired() {
+  if (process.env.AUTH_REQUIRED) return process.env.AUTH_REQUIRED === 'true';
+  return process.env.NODE_ENV === 'production' || !!process.env.K_SERVICE;
+}
+
+/**
+ * authenticate: Who is calling. Signatures are checked before API keys.
+ * - A present but invalid signature or key is rejected even if the other would pass.
+ */
+function authenticate(req) {
+  const signature = req.headers && req.headers['x-retell-signature'];
+  const token = bearerOf(req);
+
+  if (!isConfigured()) {
+    if (authRequired()) return authError(401, 'unauthorized', 'Authentication is not configured');
+    return { ok: true, principal: { name: 'anonymous', method: 'none', scopes: ['admin'] } };
+  }
+
+  if (signature) {
+    if (!verifyRetellSignature(req.rawBody, signature)) return authError(401, 'unauthorized', 'Invalid Retell signature');
+    return { ok: true, principal: { name: 'retell', method: 'retell_signature', scopes: RETELL_SCOPES } };
+  }
+  if (token) {
+    // Check every key so the time taken does not depend on which one matched
+    let match = null;
+    for (const entry of loadApiKeys()) {
+      if (safeEqual(entry.key, token) && !match) match = entry;
+    }
+    if (!match) return authError(401, 'unauthorized', 'Invalid API key');
+    return { ok: true, principal: { name: match.name, method: 'api_key', scopes: match.scopes } };
+  }
+  return authError(401, 'unauthorized', 'Missing credentials (x-retell-signature or Authorization: Bearer <key>)');
+}
+
+function hasScope(principal, scope) {
+  const scopes = (principal && principal.scopes) || [];
+  return scopes.includes('admin') || scopes.includes(scope);
+}
+
+function captureRawBody(req, _res, buf) {
+  req.rawBody = buf;
+}
+
+/**
+ * assertConfigured: Throws when auth is required (production) but no API key or Retell secret is set,
+ * or when ALLOW_UNAUTH_PARSE would open routes in production. Also validates API_KEYS.
+ */
+function assertConfigured() {
+  loadApiKeys();
+  if (!authRequired()) return;
+  if (!isConfigured()) {
+    throw new Error('api-auth: refusing to start in production without API_KEYS, SECRET_TOKEN or RETELL_API_KEY');
+  }
+  if (process.env.ALLOW_UNAUTH_PARSE === 'true') {
+    throw new Error('api-auth: ALLOW_UNAUTH_PARSE=true is not allowed in production');
+  }
+}
+
+module.exports = {
+  SCOPES,
+  authenticate,
+  hasScope,
+  verifyRetellSignature,
+  verifyTwilioSignature,
+  verifySmsWebhook,
+  captureRawBody,
+  isConfigured,
+  authRequired,
+  assertConfigured
+};
@@ -0,0 +1,121 @@
+'use strict';
+/**
+ * Appointment-type catalog helpers.
+ *
+ * The catalog lives in appointment_types.json (next to providers.json) and is keyed by type token.
+ * Each entry sets the slot length, pre/post buffers, the providers that offer it and the
+ * modalities (telehealth / in_person / phone) it can be booked as.
+ *
+ * Exports:
+ *  - getAppointmentTypes: Returns the full catalog.
+ *  - getAppointmentType: Looks up a single entry by (loosely normalized) token.
+ *  - resolveAppointmentType: Validates a requested type against the provider that will see the patient.
+ *  - applyAppointmentType: Stamps duration and type metadata onto a Google Calendar event resource.
+ */
+
+const { DateTime } = require('luxon');
+const catalog = require('./appointment_types.json');
+const providers = require('./providers');
+
+/**
+ * appointmentTypeError: Builds an Error that routes can turn into a 400 response.
+ */
+function appointmentTypeError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = 400;
+  return err;
+}
+
+/**
+ * normalizeToken: "Follow-up 25" / "follow_up_25" / "FOLLOW UP 25" -> "follow_up_25".
+ */
+function normalizeToken(raw) {
+  return String(raw || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, '_');
+}
+
+function getAppointmentTypes() {
+  return catalog;
+}
+
+function getAppointmentType(token) {
+  const key = normalizeToken(token);
+  return key && catalog[key] ? catalog[key] : null;
+}
+
+/**
+ * providerTokenForCalendar: Maps a calendar_id back to its providers.json token.
+ */
+function providerTokenForCalendar(calendarId) {
+  const provider = providers.getProviderByCalendarId(calendarId);
+  return provider ? provider.token : null;
+}
+
+/**
+ * resolveAppointmentType: Returns the catalog entry for the requested type, or null if none was requested.
+ * - Throws (statusCode 400) for unknown types or when the provider does not offer the type.
+ * - The provider is identified by token, falling back to a reverse lookup on calendar_id.
+ */
+function resolveAppointmentType({ appointmentType, providerToken, calendarId } = {}) {
+  if (!appointmentType) return null;
+
+  const type = getAppointmentType(appointmentType);
+  if (!type) {
+    throw appointmentTypeError(
+      'invalid_appointment_type',
+      `Unknown appointment_type "${appointmentType}". Expected one of: ${Object.keys(catalog).join(', ')}`
+    );
+  }
+
+  const token = providerToken || providerTokenForCalendar(calendarId);
+  if (token && Array.isArray(type.providers) && !type.providers.includes(token)) {
+    const provider = providers.getProvider(token);
+    const name = (provider && provider.name) || token;
+    throw appointmentTypeError(
+      'appointment_type_not_offered',
+      `${name} does not offer ${type.display_name || type.token} appointments`
+    );
+  }
+
+  return type;
+}
+
+/**
+ * applyAppointmentType: Returns a copy of the event with its end set from the type duration
+ * and the type token recorded in extendedProperties.private.
+ */
+function applyAppointmentType(event, type) {
+  if (!type) return event;
+  const out = { ...event };
+
+  const startISO = out.start && out.start.dateTime;
+  if (startISO) {
+    const zone = out.start.timeZone || undefined;
+    // setZone keeps the start's own offset, so the end is written with the same one
+    const start = DateTime.fromISO(startISO, { ...(zone ? { zone } : {}), setZone: true });
+    if (start.isValid) {
+      out.end = { ...(out.end || {}), dateTime: start.plus({ minutes: type.duration_minutes }).toISO() };
+      if (zone) out.end.timeZone = zone;
+    }
+  }
+
+  const extended = out.extendedProperties || {};
+  out.extendedProperties = {
+    ...extended,
+    private: { ...(extended.private || {}), appointment_type: type.token }
+  };
+
+  if (!out.summary && type.display_name) out.summary = type.display_name;
+  return out;
+}
+
+module.exports = {
+  getAppointmentTypes,
+  getAppointmentType,
+  resolveAppointmentType,
+  applyAppointmentType,
+  providerTokenForCalendar
+};
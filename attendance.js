@@ -0,0 +1,277 @@
+'use strict';
+/**
+ * Patient attendance ledger: bookings, cancellations (with notice), reschedules and staff-marked visits.
+ *
+ * The knowledge base's policy: cancelling or rescheduling with less than 24 hours notice carries a $100 fee, a
+ * no-show is charged the full appointment cost, and two no-shows may lead to discharge. Calendar events disappear
+ * when cancelled, so this ledger keeps the history. Patients are keyed on their normalized phone (10 digits) and
+ * date of birth (ISO), read from the event's private patient_phone / patient_dob; events without both are not
+ * recorded.
+ *
+ * calendar-operations.js (and the /book route) record bookings, cancellations and reschedules; staff mark each past
+ * appointment attended or no_show through mark_attendance (POST /attendance/mark). patientFlags summarizes a patient
+ * for the agent at booking time (validate_patient_details, booking responses): with ATTENDANCE_STAFF_REVIEW_NO_SHOWS
+ * (2) or more no-shows `route_to_staff` is set so the caller is handed to staff instead of self-scheduling.
+ *
+ * Records are saved to ATTENDANCE_FILE (default ./attendance-data.json); ATTENDANCE_STORE=memory keeps them
+ * in-process and setStore takes any store with async `list`, `get` and `put`.
+ *
+ * Exports:
+ *  - recordBooking / recordCancellation / recordReschedule: Ledger entries for an event (never throw).
+ *  - recordAttendance: Staff mark (attended or no_show) for an event; replaces an earlier mark for the same event.
+ *  - patientKey: "<phone>|<dob>" for raw phone and DOB values, or null.
+ *  - patientFlags / eventFlags: { prior_no_shows, late_cancellations, ..., route_to_staff } for a phone + DOB / an event.
+ *  - patientHistory: The patient's flags and entries, newest first.
+ *  - STATUSES: Staff mark values.
+ *  - setStore / createMemoryStore / createFileStore: Pluggable storage.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DateTime } = require('luxon');
+const patientDetails = require('./patient-details');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const ATTENDANCE_STORE = (process.env.ATTENDANCE_STORE || 'file').toLowerCase();
+const ATTENDANCE_FILE = process.env.ATTENDANCE_FILE || path.join(process.cwd(), 'attendance-data.json');
+const ATTENDANCE_STAFF_REVIEW_NO_SHOWS = Number(process.env.ATTENDANCE_STAFF_REVIEW_NO_SHOWS || 2);
+
+const STATUSES = ['attended', 'no_show'];
+
+/**
+ * createMemoryStore: Patient records in a Map (lost on restart).
+ */
+function createMemoryStore() {
+  const records = new Map();
+  return {
+    async list() {
+      return Array.from(records.values(), (r) => JSON.parse(JSON.stringify(r)));
+    },
+    async get(key) {
+      const record = records.get(key);
+      return record ? JSON.parse(JSON.stringify(record)) : null;
+    },
+    async put(record) {
+      records.set(record.key, JSON.parse(JSON.stringify(record)));
+    },
+  };
+}
+
+/**
+ * createFileStore: Like the memory store, loaded from and saved back to a JSON file ({ "patients": [...] }).
+ * - Writes go to a temp file that is renamed over the original, so a crash cannot leave half a file.
+ */
+function createFileStore(file = ATTENDANCE_FILE) {
+  const memory = createMemoryStore();
+  let loaded = null;
+  let writing = Promise.resolve();
+
+  function load() {
+    if (!loaded) {
+      loaded = (async () => {
+        if (!fs.existsSync(file)) return;
+        const data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        for (const record of data.patients || []) await memory.put(record);
+      })();
+    }
+    return loaded;
+  }
+
+  async function save() {
+    const data = JSON.stringify({ patients: await memory.list() }, null, 2);
+    const tmp = `${file}.${process.pid}.tmp`;
+    writing = writing.catch(() => {}).then(async () => {
+      await fs.promises.writeFile(tmp, data);
+      await fs.promises.rename(tmp, file);
+    });
+    return writing;
+  }
+
+  return {
+    async list() {
+      await load();
+      return memory.list();
+    },
+    async get(key) {
+      await load();
+      return memory.get(key);
+    },
+    async put(record) {
+      await load();
+      await memory.put(record);
+      await save();
+    },
+  };
+}
+
+let store = ATTENDANCE_STORE === 'memory' ? createMemoryStore() : createFileStore();
+
+function setStore(next) {
+  if (!next || typeof next.list !== 'function' || typeof next.get !== 'function' || typeof next.put !== 'function') {
+    throw new Error('attendance: store must implement list, get and put');
+  }
+  store = next;
+}
+
+// Every read-modify-write goes through here, one at a time
+let queue = Promise.resolve();
+function serialized(fn) {
+  const run = queue.then(fn, fn);
+  queue = run.catch(() => {});
+  return run;
+}
+
+function patientKey(phone, dob) {
+  const p = patientDetails.normalizePhone(phone);
+  const d = patientDetails.normalizeDob(dob);
+  if (p.error || d.error) return null;
+  return `${p.value}|${d.value}`;
+}
+
+function eventDetails(event, calendarId) {
+  const priv = (event && event.extendedProperties && event.extendedProperties.private) || {};
+  return {
+    key: patientKey(priv.patient_phone, priv.patient_dob),
+    entry: {
+      event_id: event.id,
+      calendar_id: calendarId,
+      appointment_type: priv.appointment_type || null,
+      start: event.start && (event.start.dateTime || event.start.date),
+    },
+  };
+}
+
+function hoursBefore(startISO, now = DateTime.now()) {
+  const start = DateTime.fromISO(startISO || '');
+  return start.isValid ? Math.round(start.diff(now, 'hours').hours * 10) / 10 : null;
+}
+
+/**
+ * addEntry: Appends (or, with `replace`, swaps in) one entry on the patient's record.
+ */
+function addEntry(key, entry, { replace } = {}) {
+  return serialized(async () => {
+    const [phone, dob] = key.split('|');
+    const record = (await store.get(key)) || { key, phone, dob, entries: [] };
+    const full = { id: `att_${crypto.randomBytes(8).toString('hex')}`, recorded_at: new Date().toISOString(), ...entry };
+    if (replace) record.entries = record.entries.filter((e) => !replace(e));
+    record.entries.push(full);
+    await store.put(record);
+    return record;
+  });
+}
+
+async function record(kind, event, calendarId, extra = {}) {
+  if (!event) return null;
+  try {
+    const { key, entry } = eventDetails(event, calendarId);
+    if (!key) return null;
+    await addEntry(key, { kind, ...entry, ...extra });
+    metrics.attendanceEntries.inc({ kind });
+    return key;
+  } catch (e) {
+    // The ledger never fails the calendar operation that fed it
+    logger.error(`attendance: could not record ${kind}`, e);
+    return null;
+  }
+}
+
+function recordBooking({ event, calendarId }) {
+  return record('booked', event, calendarId);
+}
+
+/**
+ * recordCancellation: Stores the notice given (`hours_notice`) and whether the late fee applied.
+ */
+function recordCancellation({ event, calendarId, lateCancellation }) {
+  const start = event && event.start && (event.start.dateTime || event.start.date);
+  return record('cancelled', event, calendarId, { hours_notice: hoursBefore(start), late: !!lateCancellation });
+}
+
+function recordReschedule({ event, calendarId, previousStart, lateCancellation }) {
+  return record('rescheduled', event, calendarId, {
+    previous_start: previousStart || null,
+    hours_notice: hoursBefore(previousStart),
+    late: !!lateCancellation,
+  });
+}
+
+/**
+ * recordAttendance: Staff mark for a past event; a later mark for the same event replaces the earlier one.
+ * - Returns the patient key, or null when the event has no patient phone and DOB.
+ */
+async function recordAttendance({ event, calendarId, status, markedBy }) {
+  const { key, entry } = eventDetails(event, calendarId);
+  if (!key) return null;
+  await addEntry(key, { kind: status, ...entry, marked_by: markedBy || null }, {
+    replace: (e) => STATUSES.includes(e.kind) && e.event_id === event.id && e.calendar_id === calendarId,
+  });
+  metrics.attendanceEntries.inc({ kind: status });
+  return key;
+}
+
+function summarize(entries) {
+  const noShows = entries.filter((e) => e.kind === 'no_show');
+  const lastNoShow = noShows.map((e) => e.start).sort().pop() || null;
+  return {
+    prior_no_shows: noShows.length,
+    late_cancellations: entries.filter((e) => (e.kind === 'cancelled' || e.kind === 'rescheduled') && e.late).length,
+    cancellations: entries.filter((e) => e.kind === 'cancelled').length,
+    attended: entries.filter((e) => e.kind === 'attended').length,
+    last_no_show: lastNoShow,
+    route_to_staff: noShows.length >= ATTENDANCE_STAFF_REVIEW_NO_SHOWS,
+  };
+}
+
+/**
+ * patientFlags: Attendance summary for a phone + DOB (all zero for a patient with no history); null when either
+ * value is unusable or the ledger cannot be read (a booking never waits on it).
+ */
+async function patientFlags({ phone, dob } = {}) {
+  const key = patientKey(phone, dob);
+  if (!key) return null;
+  try {
+    const record = await store.get(key);
+    return summarize(record ? record.entries : []);
+  } catch (e) {
+    logger.error('attendance: could not read patient flags', e);
+    return null;
+  }
+}
+
+/**
+ * eventFlags: patientFlags for the patient stored on an event.
+ */
+function eventFlags(event) {
+  const priv = (event && event.extendedProperties && event.extendedProperties.private) || {};
+  return patientFlags({ phone: priv.patient_phone, dob: priv.patient_dob });
+}
+
+/**
+ * patientHistory: { ok, phone, dob, flags, entries } (entries newest first); null for unusable phone / DOB.
+ */
+async function patientHistory({ phone, dob } = {}) {
+  const key = patientKey(phone, dob);
+  if (!key) return null;
+  const record = (await store.get(key)) || { entries: [] };
+  const [p, d] = key.split('|');
+  const entries = [...record.entries].sort((a, b) => b.recorded_at.localeCompare(a.recorded_at));
+  return { ok: true, phone: p, dob: d, flags: summarize(record.entries), entries };
+}
+
+module.exports = {
+  recordBooking,
+  recordCancellation,
+  recordReschedule,
+  recordAttendance,
+  patientKey,
+  patientFlags,
+  eventFlags,
+  patientHistory,
+  STATUSES,
+  setStore,
+  createMemoryStore,
+  createFileStore
+};
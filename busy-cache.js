@@ -0,0 +1,101 @@
+'use strict';
+/**
+ * Per-calendar busy-time cache.
+ *
+ * A live call should not wait on Google for every availability question, so the FreeBusy result for
+ * each calendar is kept for BUSY_CACHE_TTL_SECONDS. Entries are dropped early when the calendar
+ * changes: our own bookings/cancels/reschedules invalidate directly, and Google push notifications
+ * (calendar-watch.js) invalidate for changes made anywhere else.
+ *
+ * The store is swappable: anything with async get(key) / set(key, value, ttlMs) / delete(key)
+ * works (a Redis adapter only needs those three), see setStore.
+ *
+ * Exports:
+ *  - getBusy: Cached busy periods for a calendar, if the cached range covers [timeMin, timeMax).
+ *  - putBusy: Stores a calendar's busy periods for a queried range.
+ *  - invalidate: Drops a calendar's cached busy time.
+ *  - setStore / createMemoryStore: Swap the backing store (default: in-process Map with TTL).
+ */
+
+const logger = require('./logger');
+
+const BUSY_CACHE_TTL_SECONDS = Number(process.env.BUSY_CACHE_TTL_SECONDS || 60);
+const KEY_PREFIX = 'busy:';
+
+/**
+ * createMemoryStore: Map-backed store with per-entry expiry.
+ */
+function createMemoryStore() {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+let store = createMemoryStore();
+
+function setStore(next) {
+  if (!next || typeof next.get !== 'function' || typeof next.set !== 'function' || typeof next.delete !== 'function') {
+    throw new Error('busy-cache: store must implement get, set and delete');
+  }
+  store = next;
+}
+
+/**
+ * getBusy: [{ start, end }] (ISO) overlapping [timeMin, timeMax), or null on a miss.
+ */
+async function getBusy(calendarId, timeMin, timeMax) {
+  if (BUSY_CACHE_TTL_SECONDS <= 0) return null;
+  let entry = null;
+  try {
+    entry = await store.get(KEY_PREFIX + calendarId);
+  } catch (e) {
+    logger.warn('busy-cache: get failed', e);
+  }
+  if (!entry) return null;
+
+  const min = Date.parse(timeMin);
+  const max = Date.parse(timeMax);
+  if (Date.parse(entry.timeMin) > min || Date.parse(entry.timeMax) < max) return null;
+  return entry.busy.filter((b) => Date.parse(b.end) > min && Date.parse(b.start) < max);
+}
+
+async function putBusy(calendarId, timeMin, timeMax, busy) {
+  if (BUSY_CACHE_TTL_SECONDS <= 0) return;
+  try {
+    await store.set(KEY_PREFIX + calendarId, { timeMin, timeMax, busy }, BUSY_CACHE_TTL_SECONDS * 1000);
+  } catch (e) {
+    logger.warn('busy-cache: set failed', e);
+  }
+}
+
+async function invalidate(calendarId) {
+  try {
+    await store.delete(KEY_PREFIX + calendarId);
+  } catch (e) {
+    logger.warn('busy-cache: delete failed', e);
+  }
+}
+
+module.exports = {
+  BUSY_CACHE_TTL_SECONDS,
+  getBusy,
+  putBusy,
+  invalidate,
+  setStore,
+  createMemoryStore
+};
@@ -0,0 +1,289 @@
+'use strict';
+/**
+ * Calendar backends.
+ *
+ * Slot and booking logic talks to a backend instead of googleapis directly, so it runs the same way
+ * against Google Calendar, an in-memory store, or a JSON fixture file. CALENDAR_BACKEND selects one:
+ *  - google (default): Google Calendar API v3 with the service-account auth passed in.
+ *  - memory: Events kept in this process; starts empty, or from CALENDAR_BACKEND_FILE when that is set.
+ *  - file: Like memory, but every write is saved back to CALENDAR_BACKEND_FILE (default ./calendar-data.json).
+ *
+ * Fixture files look like { "calendars": { "<calendar_id>": [ <Google event resources> ] } }.
+ *
+ * Every backend implements:
+ *  - listEvents(calendarId, { timeMin, timeMax, privateExtendedProperty, updatedMin, showDeleted, maxResults }) -> events
+ *    (single events ordered by start time)
+ *  - freeBusy(calendarIds, { timeMin, timeMax, timeZone }) -> { [calendarId]: { busy: [{ start, end }], errors? } }
+ *    (busy time only: cancelled, transparent and declined events are left out)
+ *  - getEvent(calendarId, eventId) -> event (errors with code 404 when missing)
+ *  - insertEvent(calendarId, event, { sendUpdates }) -> event (a conferenceData.createRequest gets a Meet link)
+ *  - patchEvent(calendarId, eventId, patch, { sendUpdates }) -> event
+ *  - deleteEvent(calendarId, eventId, { sendUpdates })
+ *  - watchEvents(calendarId, { id, type, address, token, expiration }) -> channel (with resourceId, expiration)
+ *  - stopChannel({ id, resourceId })
+ *
+ * Exports:
+ *  - getCalendarBackend: The configured backend; `authorize` supplies Google auth when it is needed.
+ *  - googleBackend: Wraps a googleapis calendar client.
+ *  - createMemoryBackend: A standalone in-memory backend (optionally seeded / persisted to a file).
+ *  - isBlockingEvent: FreeBusy's busy rule for a single event resource.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { google } = require('googleapis');
+const metrics = require('./metrics');
+
+const CALENDAR_BACKEND = (process.env.CALENDAR_BACKEND || 'google').toLowerCase();
+const CALENDAR_BACKEND_FILE = process.env.CALENDAR_BACKEND_FILE || null;
+
+/**
+ * googleBackend: Backend over google.calendar({ version: 'v3', auth }).
+ * - Every API call is timed (google_api_call_duration_seconds and a log line, see metrics.timeGoogleCall).
+ * - Also accepts an async factory for the client; it runs on first use, so requests served
+ *   entirely from cache never authorize.
+ */
+function googleBackend(client) {
+  let pending = null;
+  function calendar() {
+    if (typeof client !== 'function') return Promise.resolve(client);
+    if (!pending) {
+      pending = Promise.resolve().then(client);
+      pending.catch(() => { pending = null; }); // a failed authorization is retried on the next call
+    }
+    return pending;
+  }
+
+  return {
+    name: 'google',
+    async listEvents(calendarId, options = {}) {
+      const api = await calendar();
+      const res = await metrics.timeGoogleCall('events.list', { calendar_id: calendarId }, () => api.events.list({
+        calendarId,
+        singleEvents: true,
+        orderBy: 'startTime',
+        maxResults: 2500,
+        ...options,
+      }));
+      return (res.data && res.data.items) || [];
+    },
+    async freeBusy(calendarIds, { timeMin, timeMax, timeZone } = {}) {
+      const api = await calendar();
+      const res = await metrics.timeGoogleCall('freebusy.query', { calendars: calendarIds.length }, () => api.freebusy.query({
+        requestBody: { timeMin, timeMax, timeZone, items: calendarIds.map((id) => ({ id })) },
+      }));
+      return (res.data && res.data.calendars) || {};
+    },
+    async getEvent(calendarId, eventId) {
+      const api = await calendar();
+      const res = await metrics.timeGoogleCall('events.get', { calendar_id: calendarId }, () => api.events.get({ calendarId, eventId }));
+      return res.data;
+    },
+    async insertEvent(calendarId, event, { sendUpdates } = {}) {
+      const api = await calendar();
+      // conferenceData (a Meet link request, see modality.js) is ignored unless conferenceDataVersion is 1
+      const conferenceDataVersion = event.conferenceData ? 1 : undefined;
+      const res = await metrics.timeGoogleCall('events.insert', { calendar_id: calendarId }, () => api.events.insert({
+        calendarId, resource: event, sendUpdates, conferenceDataVersion,
+      }));
+      return res.data;
+    },
+    async patchEvent(calendarId, eventId, patch, { sendUpdates } = {}) {
+      const api = await calendar();
+      const res = await metrics.timeGoogleCall('events.patch', { calendar_id: calendarId }, () => api.events.patch({ calendarId, eventId, resource: patch, sendUpdates }));
+      return res.data;
+    },
+    async deleteEvent(calendarId, eventId, { sendUpdates } = {}) {
+      const api = await calendar();
+      await metrics.timeGoogleCall('events.delete', { calendar_id: calendarId }, () => api.events.delete({ calendarId, eventId, sendUpdates }));
+    },
+    async watchEvents(calendarId, channel) {
+      const api = await calendar();
+      const res = await metrics.timeGoogleCall('events.watch', { calendar_id: calendarId }, () => api.events.watch({ calendarId, requestBody: channel }));
+      return res.data;
+    },
+    async stopChannel({ id, resourceId }) {
+      const api = await calendar();
+      await metrics.timeGoogleCall('channels.stop', {}, () => api.channels.stop({ requestBody: { id, resourceId } }));
+    },
+  };
+}
+
+function notFound() {
+  // Same shape as googleapis errors so callers handle both backends alike
+  const err = new Error('Not Found');
+  err.code = 404;
+  return err;
+}
+
+function eventBounds(event) {
+  const s = event.start && (event.start.dateTime || event.start.date);
+  const e = event.end && (event.end.dateTime || event.end.date);
+  return { start: s ? Date.parse(s) : NaN, end: e ? Date.parse(e) : NaN };
+}
+
+/**
+ * isBlockingEvent: Whether an event makes its calendar busy, by the same rules as FreeBusy:
+ * cancelled events, events marked "free" (transparent) and events the calendar's owner declined do not.
+ */
+function isBlockingEvent(event, calendarId) {
+  if (!event || event.status === 'cancelled') return false;
+  if (event.transparency === 'transparent') return false;
+  const self = (event.attendees || []).find((a) => a.self || (calendarId && a.email === calendarId));
+  return !(self && self.responseStatus === 'declined');
+}
+
+function matchesPrivateProperty(event, filters) {
+  const props = (event.extendedProperties && event.extendedProperties.private) || {};
+  return [].concat(filters || []).every((f) => {
+    const i = String(f).indexOf('=');
+    return i > 0 && props[f.slice(0, i)] === f.slice(i + 1);
+  });
+}
+
+/**
+ * createMemoryBackend: In-memory events per calendar.
+ * - options.file seeds the store from a fixture file; options.persist writes every change back to it.
+ */
+function createMemoryBackend({ file = null, persist = false } = {}) {
+  const calendars = new Map();
+
+  if (file && fs.existsSync(file)) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const [calendarId, events] of Object.entries(data.calendars || {})) {
+      calendars.set(calendarId, (events || []).map((ev) => ({ status: 'confirmed', ...ev })));
+    }
+  }
+
+  function save() {
+    if (!persist || !file) return;
+    const out = { calendars: Object.fromEntries(calendars) };
+    fs.writeFileSync(file, JSON.stringify(out, null, 2));
+  }
+
+  function eventsOf(calendarId) {
+    if (!calendars.has(calendarId)) calendars.set(calendarId, []);
+    return calendars.get(calendarId);
+  }
+
+  function find(calendarId, eventId) {
+    const ev = eventsOf(calendarId).find((e) => e.id === eventId);
+    if (!ev) throw notFound();
+    return ev;
+  }
+
+  const clone = (value) => JSON.parse(JSON.stringify(value));
+
+  // PATCH semantics: nested objects merge, everything else (arrays included) is replaced
+  function mergePatch(target, patch) {
+    for (const [key, value] of Object.entries(patch)) {
+      if (value && typeof value === 'object' && !Array.isArray(value) && target[key] && typeof target[key] === 'object') {
+        mergePatch(target[key], value);
+      } else {
+        target[key] = value;
+      }
+    }
+    return target;
+  }
+
+  return {
+    name: persist ? 'file' : 'memory',
+    async listEvents(calendarId, { timeMin, timeMax, privateExtendedProperty, updatedMin, showDeleted, maxResults } = {}) {
+      const min = timeMin ? Date.parse(timeMin) : -Infinity;
+      const max = timeMax ? Date.parse(timeMax) : Infinity;
+      const updated = updatedMin ? Date.parse(updatedMin) : -Infinity;
+      return eventsOf(calendarId)
+        .filter((ev) => showDeleted || ev.status !== 'cancelled')
+        .filter((ev) => {
+          const { start, end } = eventBounds(ev);
+          return end > min && start < max;
+        })
+        .filter((ev) => !privateExtendedProperty || matchesPrivateProperty(ev, privateExtendedProperty))
+        .filter((ev) => Date.parse(ev.updated || ev.created || 0) >= updated)
+        .sort((a, b) => eventBounds(a).start - eventBounds(b).start)
+        .slice(0, maxResults || 2500)
+        .map(clone);
+    },
+    async freeBusy(calendarIds, { timeMin, timeMax } = {}) {
+      const out = {};
+      for (const calendarId of calendarIds) {
+        const events = await this.listEvents(calendarId, { timeMin, timeMax });
+        out[calendarId] = {
+          busy: events
+            .filter((ev) => isBlockingEvent(ev, calendarId))
+            .map((ev) => ({ start: ev.start.dateTime || ev.start.date, end: ev.end.dateTime || ev.end.date })),
+        };
+      }
+      return out;
+    },
+    async getEvent(calendarId, eventId) {
+      return clone(find(calendarId, eventId));
+    },
+    async insertEvent(calendarId, event) {
+      const now = new Date().toISOString();
+      const stored = { status: 'confirmed', ...clone(event), id: event.id || crypto.randomBytes(10).toString('hex'), created: now, updated: now };
+      // Stand-in for Google creating the requested Meet conference
+      if (stored.conferenceData && stored.conferenceData.createRequest) {
+        const code = crypto.randomBytes(5).toString('hex');
+        stored.hangoutLink = `https://meet.google.com/${code.slice(0, 3)}-${code.slice(3, 7)}-${code.slice(7)}`;
+        stored.conferenceData = {
+          ...stored.conferenceData,
+          createRequest: { ...stored.conferenceData.createRequest, status: { statusCode: 'success' } },
+          entryPoints: [{ entryPointType: 'video', uri: stored.hangoutLink }],
+        };
+      }
+      eventsOf(calendarId).push(stored);
+      save();
+      return clone(stored);
+    },
+    async patchEvent(calendarId, eventId, patch) {
+      const ev = find(calendarId, eventId);
+      mergePatch(ev, clone(patch));
+      ev.updated = new Date().toISOString();
+      save();
+      return clone(ev);
+    },
+    async deleteEvent(calendarId, eventId) {
+      const ev = find(calendarId, eventId);
+      if (ev.status === 'cancelled') throw Object.assign(notFound(), { code: 410 });
+      ev.status = 'cancelled';
+      ev.updated = new Date().toISOString();
+      save();
+    },
+    // Nothing pushes notifications offline; channels are accepted so renewal code runs unchanged
+    async watchEvents(calendarId, channel) {
+      return { ...channel, resourceId: `local-${calendarId}`, expiration: String(channel.expiration || Date.now() + 7 * 86400000) };
+    },
+    async stopChannel() {},
+  };
+}
+
+// The memory/file store is shared by every request in the process
+let localBackend = null;
+
+/**
+ * getCalendarBackend: Backend selected by CALENDAR_BACKEND.
+ * - authorize() is only called for the google backend, on its first API call, and must resolve to a googleapis auth client.
+ */
+async function getCalendarBackend({ authorize } = {}) {
+  if (CALENDAR_BACKEND === 'memory' || CALENDAR_BACKEND === 'file') {
+    if (!localBackend) {
+      const file = CALENDAR_BACKEND_FILE || (CALENDAR_BACKEND === 'file' ? path.join(process.cwd(), 'calendar-data.json') : null);
+      localBackend = createMemoryBackend({ file, persist: CALENDAR_BACKEND === 'file' });
+    }
+    return localBackend;
+  }
+  if (CALENDAR_BACKEND !== 'google') {
+    throw new Error(`getCalendarBackend: unknown CALENDAR_BACKEND "${CALENDAR_BACKEND}" (expected google, memory or file)`);
+  }
+  if (typeof authorize !== 'function') throw new Error('getCalendarBackend: authorize is required for the google backend');
+  return googleBackend(async () => google.calendar({ version: 'v3', auth: await authorize() }));
+}
+
+module.exports = {
+  getCalendarBackend,
+  googleBackend,
+  createMemoryBackend,
+  isBlockingEvent
+};
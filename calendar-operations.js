@@ -6,88 +6,120 @@
  *  - get_provider_availability: Fetches available slots for a provider's calendar.
  *  - get_calendar_slots: Organizes available calendar slots for the user.
  *  - book_provider_appointment: Schedules an appointment on the provider's calendar.
+ *  - find_first_available: Earliest slots across every provider matching state/insurance/type.
+ *  - find_patient_appointment: Finds a patient's upcoming event by event ID or by name + phone.
+ *  - cancel_provider_appointment: Deletes an appointment and applies the late-cancellation policy.
+ *  - reschedule_provider_appointment: Moves an appointment to a new free slot in one update.
+ *  - mark_attendance: Staff mark of a past appointment as attended or no_show (attendance ledger + event property).
+ *  - backendFor / backendForCalendar: The calendar backend for a set of Google credentials / for a provider's calendar.
+ *  - fetchBusyIntervals: Merged busy intervals for many calendars from one FreeBusy query.
+ *  - holdSlot: Re-checks a slot under an in-process lock and runs the write only if it is still free.
+ *  - setSlotHolds: Registers the source of open time promised elsewhere (waitlist offers), treated as busy.
  *
- * Uses googleapis and luxon libraries for handling calendar and date utilities.
+ * Slot length and buffers come from the appointment-type catalog (appointment_types.json)
+ * when an appointment_type is supplied; otherwise the raw slot duration is used.
+ * Slots are only offered inside the provider's working hours (providers.json `schedule`).
+ *
+ * Calendar reads and writes go through calendar-backend.js (Google by default, or an in-memory /
+ * JSON-file calendar via CALENDAR_BACKEND); functions that take `backend` accept any of them.
+ * Google access acts as each calendar's provider (calendar_email) through google-auth.js, which keeps
+ * one authorized client per impersonated user. Uses luxon for date utilities.
+ * Successful bookings, cancellations and reschedules queue patient messages through notifications.js and are
+ * recorded in the patient's attendance ledger (attendance.js).
  */
 
-const fs = require('fs');
-const path = require('path');
-const { google } = require('googleapis');
 const { DateTime, Interval } = require('luxon');
+const appointmentTypes = require('./appointment-types');
+const workingHours = require('./working-hours');
+const providers = require('./providers');
+const slotLocks = require('./slot-locks');
+const idempotency = require('./idempotency');
+const datePhrases = require('./date-phrases');
+const calendarBackend = require('./calendar-backend');
+const busyCache = require('./busy-cache');
+const googleAuth = require('./google-auth');
+const patientDetails = require('./patient-details');
+const phi = require('./phi');
+const notifications = require('./notifications');
+const attendance = require('./attendance');
+const modality = require('./modality');
+const cancellation = require('./cancellation-policy');
+const logger = require('./logger');
+const metrics = require('./metrics');
 
 // Default configuration
 const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/New_York';
 const DEFAULT_REQUIRED_FREE_MINUTES = Number(process.env.DEFAULT_REQUIRED_FREE_MINUTES || 30);
+// Google FreeBusy accepts at most 50 calendars per query
+const FREEBUSY_MAX_CALENDARS = 50;
+
+// Open time promised to someone (a pending waitlist offer): async () => [{ id, calendar_id, start, end }]
+let slotHolds = async () => [];
 
 /**
- * getJwtAuth: Authenticates Google APIs using a service account and impersonation.
- * - Supports environment variables, manual input, and local JSON files.
+ * setSlotHolds: Held intervals count as busy for availability, first-available and booking re-checks,
+ * except for the booking made for that hold (book_provider_appointment holdId).
  */
-async function getJwtAuth(googleCredsEnv, impersonateUser) {
-  let creds = null;
-
-  // Priority 1: Explicit parameter
-  if (googleCredsEnv && String(googleCredsEnv).trim()) {
-    try {
-      creds = typeof googleCredsEnv === 'string' ? JSON.parse(googleCredsEnv) : googleCredsEnv;
-    } catch (e) {
-      console.error('getJwtAuth: Failed to parse googleCredsEnv param JSON:', e.message || e);
-    }
-  }
+function setSlotHolds(fn) {
+  slotHolds = fn;
+}
 
-  // Priority 2: Environment variables
-  if (!creds) {
-    const envCreds = process.env.GOOGLE_CREDS || process.env.GCAL_KEY_JSON || null;
-    if (envCreds && String(envCreds).trim()) {
-      try {
-        creds = typeof envCreds === 'string' ? JSON.parse(envCreds) : envCreds;
-      } catch (e) {
-        console.error('getJwtAuth: Failed to parse env JSON for GOOGLE_CREDS/GCAL_KEY_JSON:', e.message || e);
-      }
-    }
+async function heldFor(calendarId, exceptHold) {
+  try {
+    return (await slotHolds()).filter((h) => h.calendar_id === calendarId && h.id !== exceptHold);
+  } catch (e) {
+    logger.warn('slot holds unavailable, ignoring them', e);
+    return [];
   }
+}
 
-  // Priority 3: Local file fallback
-  if (!creds) {
-    const filePath = path.join(process.cwd(), 'gcal-creds.json');
-    if (!fs.existsSync(filePath)) {
-      throw new Error('getJwtAuth: Google credentials not found in env variables or gcal-creds.json');
-    }
-    try {
-      creds = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    } catch (e) {
-      throw new Error('getJwtAuth: File gcal-creds.json parsing failed:', e.message || String(e));
-    }
-  }
+/**
+ * operationError: Builds an Error that routes turn into a structured non-500 response.
+ */
+function operationError(code, message, statusCode, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  Object.assign(err, extra);
+  return err;
+}
 
-  // Perform JWT setup with impersonation
-  const scopes = ['https://www.googleapis.com/auth/calendar'];
+/**
+ * getJwtAuth: Authorized service-account client impersonating impersonateUser (or GOOGLE_IMPERSONATE_USER).
+ * - Credentials and cached clients come from google-auth.js.
+ */
+async function getJwtAuth(googleCredsEnv, impersonateUser) {
   const subject = impersonateUser || process.env.GOOGLE_IMPERSONATE_USER;
-
   if (!subject) {
     throw new Error('getJwtAuth: impersonateUser or GOOGLE_IMPERSONATE_USER must be provided.');
   }
+  return googleAuth.getAuthClient({ subject, credentials: googleCredsEnv });
+}
 
-  const jwt = new google.auth.JWT(
-    creds.client_email, // Service account email
-    null, // No key file path needed (using key directly)
-    creds.private_key,  // Service account private key
-    scopes,   // Required Calendar API scopes
-    subject   // The user to impersonate
-  );
+/**
+ * backendFor: The configured calendar backend (see calendar-backend.js); Google auth is only set up when it is used.
+ */
+function backendFor(googleCredsEnv, impersonateUser) {
+  return calendarBackend.getCalendarBackend({ authorize: () => getJwtAuth(googleCredsEnv, impersonateUser) });
+}
 
-  await jwt.authorize();
-  return jwt;
+/**
+ * backendForCalendar: backendFor acting as the calendar's provider (providers.json calendar_email);
+ * an explicit impersonateUser still wins.
+ */
+function backendForCalendar(calendarId, googleCredsEnv, impersonateUser) {
+  return backendFor(googleCredsEnv, impersonateUser || googleAuth.subjectForCalendar(calendarId));
 }
 
 /**
  * mergeBusyIntervals: Merges overlapping or adjacent busy intervals into a clean list.
+ * - Takes event resources ({ start: { dateTime } }) or FreeBusy periods ({ start: ISO, end: ISO }).
  */
 function mergeBusyIntervals(events, tz) {
   const intervals = events
     .map(({ start, end }) => {
-      const s = start?.dateTime || start?.date;
-      const e = end?.dateTime || end?.date;
+      const s = typeof start === 'string' ? start : (start?.dateTime || start?.date);
+      const e = typeof end === 'string' ? end : (end?.dateTime || end?.date);
       if (!s || !e) return null; // Skip invalid entries
       const startTime = DateTime.fromISO(s, { zone: tz });
       const endTime = DateTime.fromISO(e, { zone: tz });
@@ -114,16 +146,25 @@ function mergeBusyIntervals(events, tz) {
 
 /**
  * computeFreeSlots: Computes available time slots within a given time window.
+ * - options.bufferBeforeMinutes / bufferAfterMinutes keep that much free time around each slot,
+ *   so a slot is only offered when [start - before, end + after] does not touch a busy interval.
  */
-function computeFreeSlots(busyIntervals, windowInterval, slotMinutes) {
+function computeFreeSlots(busyIntervals, windowInterval, slotMinutes, options = {}) {
+  const before = Number(options.bufferBeforeMinutes || 0);
+  const after = Number(options.bufferAfterMinutes || 0);
   const slots = [];
   let cursor = windowInterval.start;
 
-  for (const busy of busyIntervals) {
+  // Widening each busy block by the buffers lets the plain gap walk below enforce them.
+  const padded = (before || after)
+    ? busyIntervals.map((busy) => Interval.fromDateTimes(busy.start.minus({ minutes: after }), busy.end.plus({ minutes: before })))
+    : busyIntervals;
+
+  for (const busy of padded) {
     if (busy.end <= cursor) continue;
     if (busy.start > cursor) {
       let availStart = cursor;
-      while (availStart.plus({ minutes: slotMinutes }) <= busy.start) {
+      while (availStart.plus({ minutes: slotMinutes }) <= busy.start && availStart.plus({ minutes: slotMinutes }) <= windowInterval.end) {
         const availEnd = availStart.plus({ minutes: slotMinutes });
         slots.push({
           start: availStart.toISO(),
@@ -150,31 +191,742 @@ function computeFreeSlots(busyIntervals, windowInterval, slotMinutes) {
 }
 
 /**
- * listEvents: Fetches events from a Google Calendar within a specific time range.
+ * listEvents: Fetches a calendar's events within a specific time range.
+ * - Only for when event details matter (finding a patient's appointment, skipping the event being moved);
+ *   busy time comes from fetchBusyIntervals.
+ */
+async function listEvents(backend, calendarId, timeMinISO, timeMaxISO) {
+  return backend.listEvents(calendarId, { timeMin: timeMinISO, timeMax: timeMaxISO });
+}
+
+/**
+ * fetchBusyIntervals: Busy time for many calendars in one FreeBusy query (FREEBUSY_MAX_CALENDARS per query).
+ * - FreeBusy leaves out cancelled events, events marked "free" and events the provider declined,
+ *   and returns only start/end pairs instead of full event resources.
+ * - Calendars with a cached range covering the window (busy-cache.js) are not queried; pass
+ *   { fresh: true } to skip the cache (booking re-checks do).
+ * - Slot holds (see setSlotHolds) are added as busy time, all but exceptHold.
+ * - Resolves to Map calendarId -> merged Intervals, or -> an Error for a calendar Google could not read.
+ */
+async function fetchBusyIntervals(backend, calendarIds, window, tz, { fresh = false, exceptHold = null } = {}) {
+  const ids = Array.from(new Set(calendarIds.filter(Boolean)));
+  const timeMin = window.start.toUTC().toISO();
+  const timeMax = window.end.toUTC().toISO();
+  const busyById = new Map();
+
+  const toQuery = [];
+  for (const id of ids) {
+    const cached = fresh ? null : await busyCache.getBusy(id, timeMin, timeMax);
+    if (cached) busyById.set(id, mergeBusyIntervals([...cached, ...await heldFor(id, exceptHold)], tz));
+    else toQuery.push(id);
+  }
+
+  for (let i = 0; i < toQuery.length; i += FREEBUSY_MAX_CALENDARS) {
+    const chunk = toQuery.slice(i, i + FREEBUSY_MAX_CALENDARS);
+    const calendars = await backend.freeBusy(chunk, { timeMin, timeMax, timeZone: tz });
+    for (const id of chunk) {
+      const entry = calendars[id];
+      if (!entry || (entry.errors && entry.errors.length)) {
+        const reason = entry && entry.errors ? entry.errors.map((e) => e.reason).join(', ') : 'not in response';
+        busyById.set(id, operationError('calendar_unavailable', `Free/busy lookup failed for ${id}: ${reason}`, 502));
+        continue;
+      }
+      await busyCache.putBusy(id, timeMin, timeMax, entry.busy || []);
+      busyById.set(id, mergeBusyIntervals([...(entry.busy || []), ...await heldFor(id, exceptHold)], tz));
+    }
+  }
+  return busyById;
+}
+
+/**
+ * slotsFromBusy: Working hours -> computeFreeSlots for one calendar, given its merged busy intervals.
+ */
+function slotsFromBusy(busyIntervals, { calendarId, providerToken, window, tz, type, slotDurationMinutes, includeByRequest }) {
+  const schedule = workingHours.getProviderSchedule({ providerToken, calendarId });
+  const openIntervals = workingHours.workingIntervals(schedule, window, { zone: tz, includeByRequest });
+  const slots = openIntervals.flatMap((open) => computeFreeSlots(busyIntervals, open, slotDurationMinutes, {
+    bufferBeforeMinutes: type ? type.buffer_before_minutes : 0,
+    bufferAfterMinutes: type ? type.buffer_after_minutes : 0,
+  }));
+  return { schedule, slots: slots.map((slot) => withProviderTime(slot, schedule.timezone)) };
+}
+
+/**
+ * computeProviderSlots: fetchBusyIntervals -> slotsFromBusy for one calendar.
  */
-async function listEvents(calendar, calendarId, timeMinISO, timeMaxISO) {
-  const result = await calendar.events.list({
+async function computeProviderSlots(backend, options) {
+  const busyById = await fetchBusyIntervals(backend, [options.calendarId], options.window, options.tz);
+  const busy = busyById.get(options.calendarId);
+  if (busy instanceof Error) throw busy;
+  return slotsFromBusy(busy || [], options);
+}
+
+/**
+ * withProviderTime: Adds the slot's start/end in the provider's own timezone next to the caller's.
+ */
+function withProviderTime(slot, providerZone) {
+  const zone = providerZone || DEFAULT_TIMEZONE;
+  return {
+    ...slot,
+    provider_start: DateTime.fromISO(slot.start, { setZone: true }).setZone(zone).toISO(),
+    provider_end: DateTime.fromISO(slot.end, { setZone: true }).setZone(zone).toISO(),
+    provider_time_zone: zone,
+  };
+}
+
+/**
+ * Slots and Availability APIs
+ * - Accepts both camelCase and snake_case argument names (routes pass snake_case).
+ * - When appointment_type is given, the catalog entry sets slot length and buffers and
+ *   the provider (provider_token or calendar_id) must offer that type.
+ * - The window is intersected with the provider's working hours (breaks and time-off removed)
+ *   before busy events are subtracted; include_by_request_days adds e.g. Saturday hours.
+ * - part_of_day (morning / afternoon / evening) keeps only slots starting in that part of the caller's day.
+ * - modality (telehealth / in_person / phone) keeps only slots bookable that way: in-person slots fall on the
+ *   provider's clinic days (at `clinic` when given; a clinic alone implies in_person) and name their clinic.
+ * - Slots are in user_timezone (the caller's zone); provider_start / provider_end give the provider's clock.
+ */
+async function get_provider_availability(args = {}, googleCredsEnv, impersonateUser) {
+  const calendarId = args.calendarId || args.calendar_id;
+  const requestedDate = args.requested_date || args.requestedDate;
+  const tz = args.user_timezone || args.timezone || DEFAULT_TIMEZONE;
+  const daysToCheck = Number(args.days_to_check || args.daysToCheck || 1) || 1;
+
+  const type = appointmentTypes.resolveAppointmentType({
+    appointmentType: args.appointment_type || args.appointmentType,
+    providerToken: args.provider_token || args.providerToken,
     calendarId,
-    singleEvents: true,
-    orderBy: 'startTime',
-    timeMin: timeMinISO,
-    timeMax: timeMaxISO,
-    maxResults: 2500,
   });
-  return result.data.items || [];
+  const slotDurationMinutes = type
+    ? type.duration_minutes
+    : Number(args.slotDurationMinutes || args.slot_duration_minutes || DEFAULT_REQUIRED_FREE_MINUTES) || DEFAULT_REQUIRED_FREE_MINUTES;
+
+  const backend = await backendForCalendar(calendarId, googleCredsEnv, impersonateUser);
+  const start = requestedDate ? DateTime.fromISO(requestedDate, { zone: tz }) : DateTime.now().setZone(tz).startOf('day');
+  const end = start.plus({ days: daysToCheck });
+
+  const { schedule, slots } = await computeProviderSlots(backend, {
+    calendarId,
+    providerToken: args.provider_token || args.providerToken,
+    window: Interval.fromDateTimes(start, end),
+    tz,
+    type,
+    slotDurationMinutes,
+    includeByRequest: !!(args.include_by_request_days || args.includeByRequestDays),
+  });
+  const partOfDay = args.part_of_day || args.partOfDay || null;
+  const visit = visitFilter(args, { type, provider: providerFor(args.provider_token || args.providerToken, calendarId) });
+  const inPart = partOfDay ? slots.filter((slot) => datePhrases.inPartOfDay(slot.start, partOfDay, tz)) : slots;
+
+  return {
+    ok: true,
+    timezone: tz,
+    provider_timezone: schedule.timezone,
+    appointment_type: type ? type.token : null,
+    modalities: type ? type.modalities : undefined,
+    modality: visit ? visit.modality : undefined,
+    slot_duration_minutes: slotDurationMinutes,
+    part_of_day: partOfDay,
+    slots: visit ? modality.filterSlots(inPart, visit) : inPart,
+  };
+}
+
+function providerFor(providerToken, calendarId) {
+  return (providerToken && providers.getProvider(providerToken)) || (calendarId && providers.getProviderByCalendarId(calendarId)) || null;
 }
 
 /**
- * Slots and Availability APIs
+ * visitFilter: { modality, clinic, provider } when the request filters by modality or clinic, else null.
+ */
+function visitFilter(args, { type, provider }) {
+  if (!args.modality && !args.clinic) return null;
+  const visit = modality.resolveModality({ modality: args.modality || 'in_person', clinic: args.clinic }, { type, provider });
+  return { ...visit, provider };
+}
+
+/**
+ * get_calendar_slots: Same lookup as get_provider_availability, grouped by calendar day.
+ */
+async function get_calendar_slots(args = {}, googleCredsEnv, impersonateUser) {
+  const result = await get_provider_availability(args, googleCredsEnv, impersonateUser);
+  const byDay = new Map();
+  for (const slot of result.slots) {
+    const day = DateTime.fromISO(slot.start, { zone: result.timezone }).toISODate();
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(slot);
+  }
+  const { slots, ...rest } = result;
+  return { ...rest, days: Array.from(byDay, ([date, daySlots]) => ({ date, slots: daySlots })) };
+}
+
+/**
+ * find_first_available: Searches every matching provider's calendar (FreeBusy, batched per impersonated
+ * user) and returns the earliest `limit` slots overall, each tagged with the provider token.
+ * - Providers are filtered by state/insurance (providers.findProviders) and by appointment_type offering.
+ * - The range defaults to today + days_to_check (7) days; slots already in the past are dropped.
+ * - modality / clinic narrow it to providers who see patients that way and to slots bookable that way.
+ * - A calendar that fails to load is reported under `errors` instead of failing the whole search.
+ */
+async function find_first_available(args = {}, googleCredsEnv, impersonateUser) {
+  const tz = args.user_timezone || args.timezone || DEFAULT_TIMEZONE;
+  const limit = Math.max(1, Number(args.limit || 5) || 5);
+  const appointmentType = args.appointment_type || args.appointmentType;
+
+  const now = DateTime.now().setZone(tz);
+  const startDate = args.start_date || args.startDate;
+  const endDate = args.end_date || args.endDate;
+  let start = startDate ? DateTime.fromISO(startDate, { zone: tz }).startOf('day') : now.startOf('day');
+  if (!start.isValid || start < now.startOf('day')) start = now.startOf('day');
+  let end = endDate ? DateTime.fromISO(endDate, { zone: tz }).endOf('day') : null;
+  if (!end || !end.isValid || end <= start) {
+    end = start.plus({ days: Number(args.days_to_check || args.daysToCheck || 7) || 7 });
+  }
+
+  // Validates the token up front so an unknown type is a 400 rather than "no providers"
+  const type = appointmentTypes.resolveAppointmentType({ appointmentType });
+  const slotDurationMinutes = type
+    ? type.duration_minutes
+    : Number(args.slot_duration_minutes || args.slotDurationMinutes || DEFAULT_REQUIRED_FREE_MINUTES) || DEFAULT_REQUIRED_FREE_MINUTES;
+
+  // An invalid modality for the type is a 400; providers who cannot offer it are simply not searched
+  const visit = args.modality || args.clinic
+    ? modality.resolveModality({ modality: args.modality || 'in_person', clinic: args.clinic }, { type })
+    : null;
+  const offersVisit = (p) => {
+    try {
+      modality.resolveModality({ modality: visit.modality, clinic: args.clinic }, { type, provider: providers.getProvider(p.token) });
+      return true;
+    } catch (e) {
+      return false;
+    }
+  };
+  const matches = (await providers.findProviders({ state: args.state, insurance: args.insurance }))
+    .filter((p) => !type || (type.providers || []).includes(p.token))
+    .filter((p) => !visit || offersVisit(p));
+
+  const base = {
+    ok: true,
+    timezone: tz,
+    appointment_type: type ? type.token : null,
+    modality: visit ? visit.modality : undefined,
+    range: { start: start.toISO(), end: end.toISO() },
+    providers_considered: matches.map((p) => p.token),
+  };
+  if (!matches.length) return { ...base, slots: [] };
+
+  const window = Interval.fromDateTimes(start, end);
+  const includeByRequest = !!(args.include_by_request_days || args.includeByRequestDays);
+
+  // One FreeBusy query per impersonated user covers all of their calendars; a group that fails
+  // (e.g. its delegation is missing) only marks its own providers as errored
+  const groups = new Map();
+  for (const p of matches) {
+    const subject = impersonateUser || googleAuth.subjectForCalendar(p.calendar_id) || '';
+    if (!groups.has(subject)) groups.set(subject, []);
+    groups.get(subject).push(p.calendar_id);
+  }
+  const busyById = new Map();
+  await Promise.all(Array.from(groups, async ([subject, calendarIds]) => {
+    try {
+      const backend = await backendFor(googleCredsEnv, subject || undefined);
+      for (const [id, busy] of await fetchBusyIntervals(backend, calendarIds, window, tz)) busyById.set(id, busy);
+    } catch (e) {
+      for (const id of calendarIds) busyById.set(id, e);
+    }
+  }));
+
+  const slots = [];
+  const errors = [];
+  for (const p of matches) {
+    const busy = busyById.get(p.calendar_id);
+    if (busy instanceof Error) {
+      logger.warn(`find_first_available: ${p.token} lookup failed`, busy);
+      errors.push({ provider_token: p.token, message: 'Calendar lookup failed' });
+      continue;
+    }
+    const { slots: providerSlots } = slotsFromBusy(busy || [], {
+      calendarId: p.calendar_id,
+      providerToken: p.token,
+      window,
+      tz,
+      type,
+      slotDurationMinutes,
+      includeByRequest,
+    });
+    const bookable = visit ? modality.filterSlots(providerSlots, { ...visit, provider: providers.getProvider(p.token) }) : providerSlots;
+    for (const slot of bookable) {
+      if (DateTime.fromISO(slot.start) <= now) continue;
+      slots.push({
+        ...slot,
+        provider_token: p.token,
+        provider_name: p.display_name || p.name,
+        calendar_id: p.calendar_id,
+      });
+    }
+  }
+
+  slots.sort((a, b) => DateTime.fromISO(a.start) - DateTime.fromISO(b.start));
+  const out = { ...base, slots: slots.slice(0, limit) };
+  if (errors.length) out.errors = errors;
+  return out;
+}
+
+/**
+ * book_provider_appointment: Inserts an event on the provider's calendar.
+ * - appointment_type (in the event's payload) sets the event length and is recorded on the event.
+ * - Patient details in the payload are validated (400 `invalid_patient_details` with field_errors) and
+ *   written to the event's private properties (see patient-details.js).
+ * - Title, description and attendees are rebuilt without PHI, and invites follow PATIENT_INVITES (see phi.js).
+ * - modality / clinic are validated (in-person only on the provider's clinic days) and set the event's location
+ *   or video link (see modality.js).
+ * - The slot is re-checked under a lock right before inserting (see holdSlot); a conflict throws slot_taken.
+ *   A slot held for a pending waitlist offer counts as taken, except for the booking with that holdId.
+ * - With an idempotencyKey (Retell call_id or Idempotency-Key header), retries return the original booking.
+ * - New bookings queue the patient's confirmation messages (see notifications.js) and are recorded in the
+ *   attendance ledger; replays are not. Patient bookings carry `patient_flags` (prior_no_shows, route_to_staff).
+ */
+async function book_provider_appointment({ calendarId, event, payload = {}, idempotencyKey, holdId, googleCredsEnv, impersonateUser, sendUpdates = phi.sendUpdates() }) {
+  const providerToken = payload.provider_token || payload.providerToken;
+  return metrics.countBooking(metrics.providerLabel({ providerToken, calendarId }), async () => {
+    const type = appointmentTypes.resolveAppointmentType({
+      appointmentType: payload.appointment_type || payload.appointmentType,
+      providerToken,
+      calendarId,
+    });
+    const patient = patientDetails.patientFromPayload(payload);
+    const safe = phi.applyPhiPolicy(event, { patient, type, calendarId });
+    const typed = patientDetails.applyPatientDetails(appointmentTypes.applyAppointmentType(safe, type), patient);
+    const resource = modality.forBooking(typed, { payload, type, provider: providerFor(providerToken, calendarId) });
+
+    const backend = await backendForCalendar(calendarId, googleCredsEnv, impersonateUser);
+    const result = await idempotency.withIdempotency(backend, { calendarId, key: idempotencyKey, event: resource }, async (stamped) => {
+      const inserted = await holdSlot(backend, {
+        calendarId,
+        providerToken,
+        event: stamped,
+        type,
+        tz: payload.user_timezone || payload.timezone,
+        includeByRequest: !!payload.include_by_request_days,
+        holdId,
+      }, () => backend.insertEvent(calendarId, stamped, { sendUpdates }));
+      return { ok: true, appointment_type: type ? type.token : null, calendar_id: calendarId, event: inserted };
+    }, (existing) => ({ ok: true, appointment_type: type ? type.token : null, calendar_id: calendarId, event: existing }));
+    if (!result.idempotent_replay) {
+      notifications.notifyBooked({ event: result.event, calendarId });
+      await attendance.recordBooking({ event: result.event, calendarId });
+    }
+    const flags = await attendance.eventFlags(result.event);
+    return flags ? { ...result, patient_flags: flags } : result;
+  });
+}
+
+/**
+ * eventInterval: start/end DateTimes of a timed event resource (null for all-day or malformed events).
+ */
+function eventInterval(event, tz) {
+  const s = event && event.start && event.start.dateTime;
+  const e = event && event.end && event.end.dateTime;
+  if (!s || !e) return null;
+  const zone = tz || (event.start && event.start.timeZone) || DEFAULT_TIMEZONE;
+  const start = DateTime.fromISO(s, { zone });
+  const end = DateTime.fromISO(e, { zone });
+  return start.isValid && end.isValid && end > start ? { start, end } : null;
+}
+
+/**
+ * nearestAlternativeSlots: Free slots of the same length closest to the requested start
+ * (searched from the day before to two days after), used to make slot_taken speakable.
+ */
+async function nearestAlternativeSlots(backend, { calendarId, providerToken, start, end, type, includeByRequest, limit = 3 }) {
+  const minutes = Math.round(end.diff(start, 'minutes').minutes);
+  const now = DateTime.now();
+  // Slots stay on the working-hours grid from the day start, as availability offers them; past ones are dropped below
+  const window = Interval.fromDateTimes(start.minus({ days: 1 }).startOf('day'), start.plus({ days: 2 }).endOf('day'));
+  const { slots } = await computeProviderSlots(backend, {
+    calendarId,
+    providerToken,
+    window,
+    tz: start.zoneName,
+    type,
+    slotDurationMinutes: minutes,
+    includeByRequest,
+  });
+  // Skip anything overlapping the contested range (it may be mid-insert by the request holding the lock)
+  return slots
+    .filter((slot) => DateTime.fromISO(slot.start) > now)
+    .filter((slot) => DateTime.fromISO(slot.end) <= start || DateTime.fromISO(slot.start) >= end)
+    .map((slot) => ({ slot, distance: Math.abs(DateTime.fromISO(slot.start) - start) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(({ slot }) => slot)
+    .sort((a, b) => DateTime.fromISO(a.start) - DateTime.fromISO(b.start));
+}
+
+/**
+ * holdSlot: Runs write() only if the event's time is still free.
+ * - Takes an in-process lock on calendar + time range so concurrent bookings of the same slot serialize;
+ *   a request that finds the range locked is treated as a conflict.
+ * - Re-queries the provider's busy time for the exact interval (plus type buffers) under the lock.
+ * - Conflicts throw statusCode 409 `slot_taken` with the nearest alternative slots attached.
+ * - The calendar's cached busy time is dropped afterwards either way.
+ * - All-day events are written without a check.
+ */
+async function holdSlot(backend, { calendarId, providerToken, event, type, tz, excludeEventId, includeByRequest, holdId }, write) {
+  const span = eventInterval(event, tz);
+  if (!span) {
+    const written = await write();
+    await busyCache.invalidate(calendarId);
+    return written;
+  }
+
+  const token = providerToken || (providers.getProviderByCalendarId(calendarId) || {}).token;
+  const check = { calendarId, providerToken: token, start: span.start, end: span.end, type, includeByRequest };
+
+  const outcome = await slotLocks.withSlotLock(calendarId, span.start, span.end, async () => {
+    const free = await isSlotFree(backend, { ...check, excludeEventId, holdId });
+    if (!free) return { taken: true };
+    return { taken: false, value: await write() };
+  });
+  // Either we just wrote, or the cached busy time offered a slot that is actually taken
+  await busyCache.invalidate(calendarId);
+
+  if (outcome.acquired && !outcome.value.taken) return outcome.value.value;
+
+  metrics.slotTaken.inc({ provider: metrics.providerLabel({ providerToken: token, calendarId }) });
+  let alternatives = [];
+  try {
+    alternatives = await nearestAlternativeSlots(backend, check);
+  } catch (e) {
+    logger.warn('holdSlot: could not compute alternatives', e);
+  }
+  throw operationError('slot_taken', 'That time is no longer available', 409, {
+    requested: { start: span.start.toISO(), end: span.end.toISO() },
+    alternatives,
+  });
+}
+
+function digitsOnly(raw) {
+  return String(raw || '').replace(/\D+/g, '');
+}
+
+/**
+ * eventMatchesPatient: Name words and the last 10 phone digits must both appear on the event.
+ */
+function eventMatchesPatient(event, patientName, patientPhone) {
+  const privateProps = (event.extendedProperties && event.extendedProperties.private) || {};
+  const text = [
+    event.summary,
+    event.description,
+    ...Object.values(privateProps),
+    ...(event.attendees || []).map((a) => `${a.displayName || ''} ${a.email || ''}`),
+  ].join(' ');
+
+  if (patientPhone) {
+    const phone = digitsOnly(patientPhone).slice(-10);
+    if (phone.length !== 10 || !digitsOnly(text).includes(phone)) return false;
+  }
+  if (patientName) {
+    const haystack = text.toLowerCase();
+    const words = String(patientName).toLowerCase().split(/\s+/).filter((w) => w.length > 1);
+    if (!words.every((w) => haystack.includes(w))) return false;
+  }
+  return true;
+}
+
+/**
+ * find_patient_appointment: Locates one upcoming appointment; resolves to { calendarId, event, backend }.
+ * - backends is a backend, or a function calendarId -> backend (so each calendar is read as its provider).
+ * - With event_id, reads it directly from calendar_id (or the provider_token's calendar); an appointment that has
+ *   already started counts as not found unless options.includePast (marking attendance looks back).
+ * - Otherwise searches upcoming events (next `days_ahead` days, default 90) in that calendar, or in
+ *   every provider calendar when none is given, for patient_name + patient_phone.
+ * - Throws statusCode 404 when nothing matches and 409 when more than one appointment matches.
+ */
+async function find_patient_appointment(backends, args = {}, { includePast = false } = {}) {
+  const backendOf = typeof backends === 'function' ? backends : async () => backends;
+  const provider = args.provider_token ? providers.getProvider(args.provider_token) : null;
+  const calendarId = args.calendar_id || (provider && provider.calendar_id);
+  const eventId = args.event_id;
+
+  if (eventId) {
+    if (!calendarId) throw operationError('bad_request', 'calendar_id or provider_token required with event_id', 400);
+    try {
+      const backend = await backendOf(calendarId);
+      const event = await backend.getEvent(calendarId, eventId);
+      if (!event || event.status === 'cancelled') throw operationError('appointment_not_found', 'Appointment not found', 404);
+      // Same rule as the name + phone search: only upcoming appointments can be cancelled or moved
+      const start = DateTime.fromISO((event.start && (event.start.dateTime || event.start.date)) || '');
+      if (!includePast && !(start > DateTime.now())) {
+        throw operationError('appointment_not_found', 'No upcoming appointment found with that event ID', 404);
+      }
+      return { calendarId, event, backend };
+    } catch (err) {
+      if (err && err.statusCode) throw err;
+      if (err && (err.code === 404 || err.code === 410)) throw operationError('appointment_not_found', 'Appointment not found', 404);
+      throw err;
+    }
+  }
+
+  if (!args.patient_name || !args.patient_phone) {
+    throw operationError('bad_request', 'event_id, or patient_name and patient_phone, required', 400);
+  }
+
+  const calendarIds = calendarId ? [calendarId] : providers.getProviders().map((p) => p.calendar_id).filter(Boolean);
+  const now = DateTime.now();
+  const until = now.plus({ days: Number(args.days_ahead || 90) || 90 });
+
+  const matches = [];
+  for (const id of calendarIds) {
+    const backend = await backendOf(id);
+    const events = await listEvents(backend, id, now.toISO(), until.toISO());
+    for (const ev of events) {
+      if (ev.status === 'cancelled') continue;
+      if (eventMatchesPatient(ev, args.patient_name, args.patient_phone)) matches.push({ calendarId: id, event: ev, backend });
+    }
+  }
+
+  if (!matches.length) throw operationError('appointment_not_found', 'No upcoming appointment found for that name and phone number', 404);
+  if (matches.length > 1) {
+    throw operationError('ambiguous_appointment', 'More than one upcoming appointment matches; specify event_id', 409, {
+      candidates: matches.map(({ calendarId: id, event }) => ({
+        event_id: event.id,
+        calendar_id: id,
+        start: event.start && (event.start.dateTime || event.start.date),
+      })),
+    });
+  }
+  return matches[0];
+}
+
+/**
+ * isSlotFree: True when [start, end] (plus the type's buffers) sits inside the provider's working
+ * hours and overlaps no busy event other than excludeEventId, and no slot hold other than holdId.
+ * - Uses FreeBusy; with excludeEventId it lists events instead (same busy rules) to skip that event.
+ */
+async function isSlotFree(backend, { calendarId, providerToken, start, end, type, excludeEventId, includeByRequest, holdId }) {
+  const before = type ? Number(type.buffer_before_minutes || 0) : 0;
+  const after = type ? Number(type.buffer_after_minutes || 0) : 0;
+
+  const schedule = workingHours.getProviderSchedule({ providerToken, calendarId });
+  const open = workingHours.workingIntervals(schedule, Interval.fromDateTimes(start.startOf('day'), start.endOf('day')), {
+    zone: start.zoneName,
+    includeByRequest,
+  });
+  if (!open.some((i) => i.start <= start && i.end >= end)) return false;
+
+  const needed = Interval.fromDateTimes(start.minus({ minutes: before }), end.plus({ minutes: after }));
+  let busy;
+  if (excludeEventId) {
+    // FreeBusy cannot leave out the event being moved, so this case needs the event details
+    const events = await listEvents(backend, calendarId, needed.start.toISO(), needed.end.toISO());
+    busy = mergeBusyIntervals([
+      ...events.filter((ev) => ev.id !== excludeEventId && calendarBackend.isBlockingEvent(ev, calendarId)),
+      ...await heldFor(calendarId, holdId),
+    ], start.zoneName);
+  } else {
+    busy = (await fetchBusyIntervals(backend, [calendarId], needed, start.zoneName, { fresh: true, exceptHold: holdId })).get(calendarId);
+    if (busy instanceof Error) throw busy;
+  }
+  return !busy.some((b) => b.overlaps(needed));
+}
+
+/**
+ * cancel_provider_appointment: Deletes the patient's appointment.
+ * - The delete runs under the slot lock for the appointment's time (see holdSlot), after re-reading the event, so a
+ *   concurrent cancel or change of the same appointment gets 409 appointment_busy or 404 instead of acting twice.
+ * - Response flags late cancellations (inside LATE_CANCELLATION_HOURS) with the fee so the agent can tell the caller.
+ * - Queues the patient's cancellation messages (see notifications.js) and records the notice given in the
+ *   attendance ledger.
+ */
+async function cancel_provider_appointment(args = {}, googleCredsEnv, impersonateUser) {
+  const { calendarId, event, backend } = await find_patient_appointment(
+    (id) => backendForCalendar(id, googleCredsEnv, impersonateUser),
+    args
+  );
+
+  const startISO = event.start && (event.start.dateTime || event.start.date);
+  const endISO = event.end && (event.end.dateTime || event.end.date);
+  const policy = cancellation.cancellationPolicy(startISO);
+
+  const remove = async () => {
+    // Re-read under the lock: a request that raced us may already have cancelled or moved it
+    const current = await backend.getEvent(calendarId, event.id).catch((err) => {
+      if (err && (err.code === 404 || err.code === 410)) return null;
+      throw err;
+    });
+    const currentStart = current && current.start && (current.start.dateTime || current.start.date);
+    if (!current || current.status === 'cancelled' || currentStart !== startISO) return false;
+    await backend.deleteEvent(calendarId, event.id, { sendUpdates: phi.sendUpdates() });
+    return true;
+  };
+  // All-day events have no slot to lock (as in holdSlot)
+  const span = eventInterval(event);
+  const outcome = span
+    ? await slotLocks.withSlotLock(calendarId, span.start, span.end, remove)
+    : { acquired: true, value: await remove() };
+  await busyCache.invalidate(calendarId);
+  if (!outcome.acquired) {
+    throw operationError('appointment_busy', 'That appointment is being changed right now; please try again', 409);
+  }
+  if (!outcome.value) throw operationError('appointment_not_found', 'Appointment not found', 404);
+  notifications.notifyCancelled({ event, calendarId, lateCancellation: policy.late_cancellation });
+  await attendance.recordCancellation({ event, calendarId, lateCancellation: policy.late_cancellation });
+
+  return {
+    ok: true,
+    cancelled: true,
+    event_id: event.id,
+    calendar_id: calendarId,
+    start: startISO,
+    end: endISO,
+    ...policy,
+  };
+}
+
+/**
+ * reschedule_provider_appointment: Moves the appointment to new_start (same calendar, same length).
+ * - The new time is re-checked under a slot lock against working hours and busy events (ignoring
+ *   the event itself); a conflict throws slot_taken with alternatives.
+ * - The move is a single events.patch, so the old slot is only released once the new one is held.
+ * - Moving inside LATE_CANCELLATION_HOURS of the original start is flagged like a late cancellation.
+ * - In-person visits can only move to another of the provider's days at the same clinic (409 not_a_clinic_day).
+ * - Queues the patient's reschedule messages (see notifications.js) and records the move in the attendance ledger.
  */
-async function get_provider_availability({ calendarId, requested_date, slotDurationMinutes = DEFAULT_REQUIRED_FREE_MINUTES, days_to_check = 1, user_timezone = DEFAULT_TIMEZONE }, googleCredsEnv, impersonateUser) {
-  const jwt = await getJwtAuth(googleCredsEnv, impersonateUser);
-  const calendar = google.calendar({ version: 'v3', auth: jwt });
-  const start = DateTime.fromISO(requested_date, { zone: user_timezone });
-  const end = start.plus({ days: days_to_check });
-  const events = await listEvents(calendar, calendarId, start.toISO(), end.toISO());
-  const busyIntervals = mergeBusyIntervals(events, user_timezone);
-  return computeFreeSlots(busyIntervals, Interval.fromDateTimes(start, end), slotDurationMinutes);
+async function reschedule_provider_appointment(args = {}, googleCredsEnv, impersonateUser) {
+  const tz = args.user_timezone || args.timezone || DEFAULT_TIMEZONE;
+  const newStart = args.new_start ? DateTime.fromISO(args.new_start, { zone: tz }) : null;
+  if (!newStart || !newStart.isValid) throw operationError('bad_request', 'new_start must be an ISO date-time', 400);
+  if (newStart <= DateTime.now()) throw operationError('bad_request', 'new_start must be in the future', 400);
+
+  const { calendarId, event, backend } = await find_patient_appointment(
+    (id) => backendForCalendar(id, googleCredsEnv, impersonateUser),
+    args
+  );
+
+  const oldStartISO = event.start && (event.start.dateTime || event.start.date);
+  const oldEndISO = event.end && (event.end.dateTime || event.end.date);
+  const privateProps = (event.extendedProperties && event.extendedProperties.private) || {};
+  const type = appointmentTypes.getAppointmentType(privateProps.appointment_type);
+  const minutes = type
+    ? type.duration_minutes
+    : Math.round(DateTime.fromISO(oldEndISO).diff(DateTime.fromISO(oldStartISO), 'minutes').minutes) || DEFAULT_REQUIRED_FREE_MINUTES;
+  const newEnd = newStart.plus({ minutes });
+
+  const policy = cancellation.cancellationPolicy(oldStartISO);
+  const zone = (event.start && event.start.timeZone) || tz;
+  const resource = {
+    start: { dateTime: newStart.toISO(), timeZone: zone },
+    end: { dateTime: newEnd.toISO(), timeZone: zone },
+    extendedProperties: {
+      private: { ...privateProps, rescheduled_from: oldStartISO },
+    },
+  };
+  // In-person visits stay on the clinic's days
+  const provider = providerFor(null, calendarId);
+  if (privateProps.modality === 'in_person' && provider) {
+    const clinic = modality.assertClinicDay(provider, { startISO: newStart.toISO(), endISO: newEnd.toISO(), clinic: privateProps.clinic });
+    resource.location = `${clinic.name}, ${clinic.address}`;
+    resource.extendedProperties.private.clinic = clinic.token;
+  }
+
+  const patched = await holdSlot(backend, {
+    calendarId,
+    event: resource,
+    type,
+    tz,
+    excludeEventId: event.id,
+    includeByRequest: !!args.include_by_request_days,
+  }, () => backend.patchEvent(calendarId, event.id, resource, { sendUpdates: phi.sendUpdates() }));
+  notifications.notifyRescheduled({
+    event: patched,
+    calendarId,
+    previousStart: oldStartISO,
+    lateCancellation: policy.late_cancellation,
+  });
+  await attendance.recordReschedule({
+    event: patched,
+    calendarId,
+    previousStart: oldStartISO,
+    lateCancellation: policy.late_cancellation,
+  });
+
+  return {
+    ok: true,
+    rescheduled: true,
+    event_id: event.id,
+    calendar_id: calendarId,
+    previous_start: oldStartISO,
+    previous_end: oldEndISO,
+    start: newStart.toISO(),
+    end: newEnd.toISO(),
+    ...policy,
+    event: patched,
+  };
+}
+
+/**
+ * mark_attendance: Staff mark for a past appointment: `status` attended or no_show (also "no-show", "no show").
+ * - Found by event_id (+ calendar_id or provider_token); appointments that have not started yet get 409.
+ * - Sets the private `attendance` / `attendance_marked_at` properties and records the mark in the patient's
+ *   attendance ledger, replacing an earlier mark. Events without a patient phone and DOB get 422 no_patient_details.
+ * - Returns { ok, event_id, calendar_id, start, status, patient_flags }.
+ */
+async function mark_attendance(args = {}, googleCredsEnv, impersonateUser) {
+  const status = String(args.status || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (!attendance.STATUSES.includes(status)) {
+    throw operationError('bad_request', `status must be one of: ${attendance.STATUSES.join(', ')}`, 400);
+  }
+  if (!args.event_id) throw operationError('bad_request', 'event_id required', 400);
+
+  const { calendarId, event, backend } = await find_patient_appointment(
+    (id) => backendForCalendar(id, googleCredsEnv, impersonateUser),
+    args,
+    { includePast: true }
+  );
+  const startISO = event.start && (event.start.dateTime || event.start.date);
+  if (DateTime.fromISO(startISO) > DateTime.now()) {
+    throw operationError('appointment_not_started', 'Attendance can only be marked once the appointment has started', 409);
+  }
+  const privateProps = (event.extendedProperties && event.extendedProperties.private) || {};
+  if (!attendance.patientKey(privateProps.patient_phone, privateProps.patient_dob)) {
+    throw operationError('no_patient_details', 'The appointment has no patient phone and date of birth to record against', 422);
+  }
+
+  const patched = await backend.patchEvent(calendarId, event.id, {
+    extendedProperties: {
+      private: { ...privateProps, attendance: status, attendance_marked_at: new Date().toISOString() },
+    },
+  }, { sendUpdates: 'none' });
+  await attendance.recordAttendance({ event: patched, calendarId, status, markedBy: args.marked_by });
+
+  return {
+    ok: true,
+    event_id: event.id,
+    calendar_id: calendarId,
+    start: startISO,
+    status,
+    patient_flags: await attendance.eventFlags(patched),
+  };
 }
 
-module.exports = { getJwtAuth, mergeBusyIntervals, listEvents, get_provider_availability };
\ No newline at end of file
+module.exports = {
+  getJwtAuth,
+  mergeBusyIntervals,
+  computeFreeSlots,
+  backendFor,
+  backendForCalendar,
+  fetchBusyIntervals,
+  listEvents,
+  get_provider_availability,
+  get_calendar_slots,
+  book_provider_appointment,
+  find_first_available,
+  find_patient_appointment,
+  cancel_provider_appointment,
+  reschedule_provider_appointment,
+  mark_attendance,
+  cancellationPolicy: cancellation.cancellationPolicy,
+  holdSlot,
+  setSlotHolds,
+  parse_patient_name: patientDetails.parsePatientName,
+};
@@ -0,0 +1,177 @@
+'use strict';
+/**
+ * Google Calendar push notifications (events.watch) that keep busy-cache.js honest.
+ *
+ * Each provider calendar gets a watch channel pointing at WATCH_WEBHOOK_URL (the public URL of
+ * POST /calendar/notifications). When anything on the calendar changes, Google posts a notification,
+ * that calendar's cached busy time is dropped and the waitlist is checked for newly opened slots.
+ *
+ * Channel tokens are `<base64url calendar id>.<HMAC>` signed with WATCH_CHANNEL_SECRET (falls back to
+ * SECRET_TOKEN), so a notification can be verified and mapped to its calendar without any stored state.
+ *
+ * Channels expire (Google's default is a week). renewChannels opens a fresh channel for any calendar
+ * whose channel is missing or expires within WATCH_RENEW_BEFORE_HOURS, then stops the old one. It runs
+ * on a timer in-process and from POST /calendar/watch/renew for Cloud Scheduler, since an idle
+ * Cloud Run instance does not run timers. The channel list lives in this process only; after a
+ * restart the next renewal simply opens new channels and the orphans expire on their own.
+ *
+ * Exports:
+ *  - channelToken / verifyChannelToken: Sign and check channel tokens.
+ *  - watchCalendar: Opens a channel for one calendar.
+ *  - renewChannels: Makes sure every provider calendar has a channel that is not about to expire.
+ *  - handleNotification: Validates a notification's headers, invalidates the calendar's cache and queues a waitlist scan.
+ *  - startRenewalTimer: Runs renewChannels every WATCH_RENEW_INTERVAL_MINUTES.
+ *  - listChannels: Channels opened by this process.
+ */
+
+const crypto = require('crypto');
+const busyCache = require('./busy-cache');
+const providers = require('./providers');
+const calendarOps = require('./calendar-operations');
+const waitlist = require('./waitlist');
+const logger = require('./logger');
+
+const WATCH_WEBHOOK_URL = process.env.WATCH_WEBHOOK_URL || '';
+const WATCH_CHANNEL_TTL_HOURS = Number(process.env.WATCH_CHANNEL_TTL_HOURS || 168);
+const WATCH_RENEW_BEFORE_HOURS = Number(process.env.WATCH_RENEW_BEFORE_HOURS || 12);
+const WATCH_RENEW_INTERVAL_MINUTES = Number(process.env.WATCH_RENEW_INTERVAL_MINUTES || 60);
+
+// calendarId -> { id, resource_id, calendar_id, expiration (ms) }
+const channels = new Map();
+
+function watchError(code, message, statusCode) {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  return err;
+}
+
+function channelSecret() {
+  return process.env.WATCH_CHANNEL_SECRET || process.env.SECRET_TOKEN || '';
+}
+
+function sign(channelId, calendarId) {
+  return crypto.createHmac('sha256', channelSecret()).update(`${channelId}|${calendarId}`).digest('hex');
+}
+
+function channelToken(channelId, calendarId) {
+  return `${Buffer.from(calendarId).toString('base64url')}.${sign(channelId, calendarId)}`;
+}
+
+/**
+ * verifyChannelToken: The calendar ID the token was issued for, or null when it does not verify.
+ */
+function verifyChannelToken(channelId, token) {
+  if (!channelId || !token || !channelSecret()) return null;
+  const [encoded, mac] = String(token).split('.');
+  if (!encoded || !mac) return null;
+  const calendarId = Buffer.from(encoded, 'base64url').toString('utf8');
+  const expected = Buffer.from(sign(channelId, calendarId), 'utf8');
+  const given = Buffer.from(mac, 'utf8');
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  return calendarId;
+}
+
+/**
+ * watchCalendar: events.watch for one calendar; replaces (and stops) any channel we already had for it.
+ */
+async function watchCalendar(backend, calendarId) {
+  if (!WATCH_WEBHOOK_URL) throw watchError('watch_not_configured', 'WATCH_WEBHOOK_URL is not set', 400);
+  if (!channelSecret()) throw watchError('watch_not_configured', 'WATCH_CHANNEL_SECRET or SECRET_TOKEN is required', 400);
+
+  const id = crypto.randomUUID();
+  const created = await backend.watchEvents(calendarId, {
+    id,
+    type: 'web_hook',
+    address: WATCH_WEBHOOK_URL,
+    token: channelToken(id, calendarId),
+    expiration: String(Date.now() + WATCH_CHANNEL_TTL_HOURS * 3600000),
+  });
+
+  const previous = channels.get(calendarId);
+  const channel = {
+    id,
+    resource_id: created.resourceId,
+    calendar_id: calendarId,
+    expiration: Number(created.expiration) || Date.now() + WATCH_CHANNEL_TTL_HOURS * 3600000,
+  };
+  channels.set(calendarId, channel);
+
+  if (previous) {
+    try {
+      await backend.stopChannel({ id: previous.id, resourceId: previous.resource_id });
+    } catch (e) {
+      logger.warn(`watchCalendar: could not stop old channel for ${calendarId}`, e);
+    }
+  }
+  return channel;
+}
+
+/**
+ * renewChannels: Opens channels for provider calendars that have none or whose channel expires soon.
+ * - One calendar failing does not stop the others; failures are returned under `errors`.
+ */
+async function renewChannels({ googleCredsEnv, impersonateUser, now = Date.now() } = {}) {
+  const calendarIds = providers.getProviders().map((p) => p.calendar_id).filter(Boolean);
+  const renewed = [];
+  const errors = [];
+
+  for (const calendarId of calendarIds) {
+    const current = channels.get(calendarId);
+    if (current && current.expiration - now > WATCH_RENEW_BEFORE_HOURS * 3600000) continue;
+    try {
+      const backend = await calendarOps.backendForCalendar(calendarId, googleCredsEnv, impersonateUser);
+      renewed.push(await watchCalendar(backend, calendarId));
+    } catch (e) {
+      logger.warn(`renewChannels: ${calendarId} failed`, e);
+      errors.push({ calendar_id: calendarId, message: e && e.message ? e.message : 'watch failed' });
+    }
+  }
+  return { renewed, errors, channels: listChannels() };
+}
+
+/**
+ * handleNotification: Checks X-Goog-Channel-ID / X-Goog-Channel-Token and drops the calendar's cached busy time.
+ * - Throws 401 `invalid_channel_token` for anything we did not sign.
+ * - The initial "sync" message only confirms the channel and changes nothing.
+ * - A change may have freed a slot (e.g. staff deleted an event), so a debounced waitlist scan is queued.
+ */
+async function handleNotification(headers = {}) {
+  const channelId = headers['x-goog-channel-id'];
+  const state = headers['x-goog-resource-state'] || null;
+  const calendarId = verifyChannelToken(channelId, headers['x-goog-channel-token']);
+  if (!calendarId) throw watchError('invalid_channel_token', 'Unknown or invalid notification channel', 401);
+
+  if (state !== 'sync') {
+    await busyCache.invalidate(calendarId);
+    waitlist.scheduleScan(calendarId);
+  }
+  return { calendar_id: calendarId, state };
+}
+
+let timer = null;
+
+function startRenewalTimer(options = {}) {
+  if (timer || !WATCH_WEBHOOK_URL) return null;
+  const run = () => renewChannels(options).catch((e) => {
+    logger.warn('startRenewalTimer: renewal failed', e);
+  });
+  run();
+  timer = setInterval(run, WATCH_RENEW_INTERVAL_MINUTES * 60000);
+  timer.unref();
+  return timer;
+}
+
+function listChannels() {
+  return Array.from(channels.values()).map((c) => ({ ...c, expires_at: new Date(c.expiration).toISOString() }));
+}
+
+module.exports = {
+  channelToken,
+  verifyChannelToken,
+  watchCalendar,
+  renewChannels,
+  handleNotification,
+  startRenewalTimer,
+  listChannels
+};
@@ -0,0 +1,152 @@
+'use strict';
+/**
+ * Caller timezone resolution.
+ *
+ * Slots are spoken in the caller's timezone, which we rarely get explicitly. In order of trust:
+ *  1. an explicit IANA zone from the agent (`user_timezone` / `timezone`);
+ *  2. the state the caller lives in (the same state used for provider licensing);
+ *  3. the NANP area code of the caller's number (Retell `call.from_number`).
+ * Mobile numbers travel, so the area code only decides a split state (e.g. the Florida panhandle,
+ * north Idaho) or fills in when no state is known. Anything left over uses DEFAULT_TIMEZONE.
+ *
+ * Exports:
+ *  - resolveCallerTimezone: { user_timezone, state, region, from_number } -> { zone, source, ambiguous, ... }.
+ *  - fromRequest: resolveCallerTimezone over a route payload plus the Retell call on req.
+ *  - areaCodeOf: "+1 (850) 555-0100" -> "850" (null for non-NANP numbers).
+ */
+
+const { DateTime } = require('luxon');
+const providers = require('./providers');
+const areaCodesJson = require('./area_codes.json');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/New_York';
+
+// Zone for most of the state first; split states list the other zone(s) in use.
+const STATE_ZONES = {
+  AL: ['America/Chicago'], AK: ['America/Anchorage', 'America/Adak'], AZ: ['America/Phoenix'],
+  AR: ['America/Chicago'], CA: ['America/Los_Angeles'], CO: ['America/Denver'],
+  CT: ['America/New_York'], DE: ['America/New_York'], DC: ['America/New_York'],
+  FL: ['America/New_York', 'America/Chicago'], GA: ['America/New_York'], HI: ['Pacific/Honolulu'],
+  ID: ['America/Boise', 'America/Los_Angeles'], IL: ['America/Chicago'],
+  IN: ['America/Indiana/Indianapolis', 'America/Chicago'], IA: ['America/Chicago'],
+  KS: ['America/Chicago', 'America/Denver'], KY: ['America/New_York', 'America/Chicago'],
+  LA: ['America/Chicago'], ME: ['America/New_York'], MD: ['America/New_York'], MA: ['America/New_York'],
+  MI: ['America/Detroit', 'America/Chicago'], MN: ['America/Chicago'], MS: ['America/Chicago'],
+  MO: ['America/Chicago'], MT: ['America/Denver'], NE: ['America/Chicago', 'America/Denver'],
+  NV: ['America/Los_Angeles'], NH: ['America/New_York'], NJ: ['America/New_York'],
+  NM: ['America/Denver'], NY: ['America/New_York'], NC: ['America/New_York'],
+  ND: ['America/Chicago', 'America/Denver'], OH: ['America/New_York'], OK: ['America/Chicago'],
+  OR: ['America/Los_Angeles', 'America/Boise'], PA: ['America/New_York'], RI: ['America/New_York'],
+  SC: ['America/New_York'], SD: ['America/Chicago', 'America/Denver'],
+  TN: ['America/Chicago', 'America/New_York'], TX: ['America/Chicago', 'America/Denver'],
+  UT: ['America/Denver'], VT: ['America/New_York'], VA: ['America/New_York'],
+  WA: ['America/Los_Angeles'], WV: ['America/New_York'], WI: ['America/Chicago'], WY: ['America/Denver']
+};
+
+// Region words callers use for the minority side of a split state ("I'm in the panhandle").
+const REGION_ZONES = {
+  FL: { zone: 'America/Chicago', pattern: /\b(panhandle|pensacola|panama city|destin|fort walton|crestview|navarre|niceville)\b/ },
+  ID: { zone: 'America/Los_Angeles', pattern: /\b(north(ern)?( idaho)?|panhandle|coeur d.?alene|moscow|lewiston|sandpoint|post falls)\b/ },
+  TX: { zone: 'America/Denver', pattern: /\b(el paso|hudspeth|far west)\b/ },
+  OR: { zone: 'America/Boise', pattern: /\b(malheur|ontario)\b/ },
+  KY: { zone: 'America/Chicago', pattern: /\b(western|bowling green|paducah|owensboro|hopkinsville)\b/ },
+  TN: { zone: 'America/New_York', pattern: /\b(east(ern)?( tennessee)?|knoxville|chattanooga|tri.?cities|johnson city)\b/ },
+  MI: { zone: 'America/Chicago', pattern: /\b(menominee|iron mountain|ironwood)\b/ },
+  IN: { zone: 'America/Chicago', pattern: /\b(gary|hammond|northwest( indiana)?|evansville)\b/ }
+};
+
+function isValidZone(zone) {
+  return typeof zone === 'string' && zone.length > 0 && DateTime.now().setZone(zone).isValid;
+}
+
+/**
+ * areaCodeOf: NANP area code from any formatting of a US number; null otherwise.
+ */
+function areaCodeOf(number) {
+  if (!number) return null;
+  let digits = String(number).replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+  if (digits.length !== 10 || !/^[2-9]/.test(digits)) return null;
+  return digits.slice(0, 3);
+}
+
+function areaCodeZones(code) {
+  if (!code) return [];
+  const split = areaCodesJson.split_area_codes[code];
+  if (split) return split;
+  const zone = areaCodesJson.area_codes[code];
+  return zone ? [zone] : [];
+}
+
+/**
+ * resolveCallerTimezone: Returns
+ *   { zone, source: 'explicit'|'region'|'area_code'|'state'|'default', ambiguous, state, area_code, alternatives }.
+ * `ambiguous` means the caller could be in one of `alternatives`; the agent should confirm their time.
+ */
+function resolveCallerTimezone({ user_timezone, timezone, state, region, from_number } = {}) {
+  const explicit = user_timezone || timezone;
+  const stateCode = state ? providers.normalizeState(state) : null;
+  const areaCode = areaCodeOf(from_number);
+  const base = { state: stateCode, area_code: areaCode };
+
+  if (isValidZone(explicit)) {
+    return { zone: explicit, source: 'explicit', ambiguous: false, ...base, alternatives: [] };
+  }
+
+  const stateZones = (stateCode && STATE_ZONES[stateCode]) || [];
+  const codeZones = areaCodeZones(areaCode);
+
+  if (stateZones.length) {
+    const alternatives = stateZones.slice(1);
+    const hint = REGION_ZONES[stateCode];
+    if (region && hint && hint.pattern.test(String(region).toLowerCase())) {
+      return { zone: hint.zone, source: 'region', ambiguous: false, ...base, alternatives: [] };
+    }
+    // In a split state the area code picks the side; a code that itself straddles the line
+    // (850, 270, 208) gives its main zone but stays ambiguous
+    const inState = codeZones.filter((z) => stateZones.includes(z));
+    if (stateZones.length > 1 && inState.length) {
+      return {
+        zone: inState[0],
+        source: 'area_code',
+        ambiguous: inState.length > 1,
+        ...base,
+        alternatives: inState.slice(1)
+      };
+    }
+    return { zone: stateZones[0], source: 'state', ambiguous: alternatives.length > 0, ...base, alternatives };
+  }
+
+  if (codeZones.length) {
+    return {
+      zone: codeZones[0],
+      source: 'area_code',
+      ambiguous: codeZones.length > 1,
+      ...base,
+      alternatives: codeZones.slice(1)
+    };
+  }
+
+  return { zone: DEFAULT_TIMEZONE, source: 'default', ambiguous: true, ...base, alternatives: [] };
+}
+
+/**
+ * fromRequest: Reads user_timezone / timezone, state, region and from_number (args first, then the Retell call).
+ */
+function fromRequest(req, payload = {}) {
+  const call = (req && req.retell && req.retell.call) || {};
+  return resolveCallerTimezone({
+    user_timezone: payload.user_timezone || payload.userTimezone,
+    timezone: payload.timezone,
+    state: payload.state,
+    region: payload.region || payload.city,
+    from_number: payload.from_number || call.from_number || payload.patient_phone
+  });
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  resolveCallerTimezone,
+  fromRequest,
+  areaCodeOf
+};
@@ -0,0 +1,38 @@
+'use strict';
+/**
+ * Late cancellation policy (knowledge base): changing an appointment with less than 24 hours notice carries a $100 fee.
+ *
+ * LATE_CANCELLATION_HOURS and LATE_CANCELLATION_FEE_USD are read here only; the cancel / reschedule responses
+ * (calendar-operations.js), the agent's speech and the patient messages (notifications.js) all use this module.
+ *
+ * Exports:
+ *  - cancellationPolicy: Whether changing an appointment starting at startISO now counts as late, with the fee.
+ *  - LATE_CANCELLATION_HOURS / LATE_CANCELLATION_FEE_USD: The configured notice and fee.
+ */
+
+const { DateTime } = require('luxon');
+
+const LATE_CANCELLATION_HOURS = Number(process.env.LATE_CANCELLATION_HOURS || 24);
+const LATE_CANCELLATION_FEE_USD = Number(process.env.LATE_CANCELLATION_FEE_USD || 100);
+
+/**
+ * cancellationPolicy: { hours_notice, late_cancellation, fee_usd, late_cancellation_hours, policy }.
+ */
+function cancellationPolicy(startISO, now = DateTime.now()) {
+  const start = DateTime.fromISO(startISO);
+  const hoursNotice = start.isValid ? start.diff(now, 'hours').hours : null;
+  const late = hoursNotice !== null && hoursNotice < LATE_CANCELLATION_HOURS;
+  return {
+    hours_notice: hoursNotice === null ? null : Math.round(hoursNotice * 10) / 10,
+    late_cancellation: late,
+    fee_usd: late ? LATE_CANCELLATION_FEE_USD : 0,
+    late_cancellation_hours: LATE_CANCELLATION_HOURS,
+    policy: `Cancellations with less than ${LATE_CANCELLATION_HOURS} hours notice carry a $${LATE_CANCELLATION_FEE_USD} fee`,
+  };
+}
+
+module.exports = {
+  cancellationPolicy,
+  LATE_CANCELLATION_HOURS,
+  LATE_CANCELLATION_FEE_USD
+};
@@ -0,0 +1,37 @@
+'use strict';
+/**
+ * Clinic locations.
+ *
+ * clinics.json (next to providers.json) is keyed by clinic token and mirrors docs/CLINIC LOCATIONS.md:
+ * name, state, timezone, phone, fax, email, street address and office hours. One clinic is marked `main`.
+ *
+ * Exports:
+ *  - getClinics: Every clinic.
+ *  - getClinic: A clinic by token ("florida") or state ("FL", "Florida").
+ *  - clinicForState: The clinic in a patient's state, else the main clinic.
+ */
+
+const catalog = require('./clinics.json');
+const providers = require('./providers');
+
+function getClinics() {
+  return Object.keys(catalog).map((key) => ({ token: key, ...catalog[key] }));
+}
+
+function getClinic(tokenOrState) {
+  if (!tokenOrState) return null;
+  const key = String(tokenOrState).trim().toLowerCase();
+  if (catalog[key]) return { token: key, ...catalog[key] };
+  const state = providers.normalizeState(tokenOrState);
+  return (state && getClinics().find((c) => c.state === state)) || null;
+}
+
+function clinicForState(state) {
+  return getClinic(providers.normalizeState(state)) || getClinics().find((c) => c.main) || null;
+}
+
+module.exports = {
+  getClinics,
+  getClinic,
+  clinicForState
+};
@@ -0,0 +1,337 @@
+'use strict';
+/**
+ * Natural-language date phrases -> date range + part of day.
+ *
+ * Callers say "next Tuesday afternoon", "the 14th", "tomorrow morning" or "sometime after Thanksgiving".
+ * This turns the phrase into a concrete range in the caller's timezone, deterministically (pass `now`
+ * to pin "today"), and returns a plain-English interpretation the agent can read back to confirm.
+ *
+ * Conventions:
+ *  - "Tuesday" / "this Tuesday": the next Tuesday after today.
+ *  - "next Tuesday": the Tuesday of next week (weeks start Monday).
+ *  - "the 14th": the next 14th from today (this month, else next month).
+ *  - Month/day without a year: the next occurrence (this year, else next year).
+ *  - "after X": the 7 days following X. "before X": today up to the day before X.
+ *  - "this week" / "next week" / "next month": the whole period; "early" / "late" narrow it to a half.
+ *  - Holidays: New Year's, Memorial Day, Independence Day, Labor Day, Thanksgiving, Christmas.
+ *
+ * Exports:
+ *  - PARTS_OF_DAY: { morning: [8, 12], afternoon: [12, 17], evening: [17, 21] } (local hours).
+ *  - parseDatePhrase: Phrase -> { ok, start_date, end_date, days, part_of_day, interpretation, rule }.
+ *  - inPartOfDay: Whether an ISO start falls in a part of day in the given zone.
+ *  - resolveRequestedDate: What the availability routes use: ISO date or phrase -> search start, days, part of day.
+ */
+
+const { DateTime } = require('luxon');
+const speech = require('./speech');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/New_York';
+
+const PARTS_OF_DAY = {
+  morning: [8, 12],
+  afternoon: [12, 17],
+  evening: [17, 21]
+};
+
+const PART_WORDS = [
+  { re: /\b(first thing|early morning|mornings?)\b/, part: 'morning' },
+  { re: /\b(after lunch|afternoons?)\b/, part: 'afternoon' },
+  { re: /\b(evenings?|after work|tonight)\b/, part: 'evening' }
+];
+
+const WEEKDAYS = { monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6, sunday: 7 };
+const WEEKDAY_ABBR = { mon: 1, tue: 2, tues: 2, wed: 3, thu: 4, thur: 4, thurs: 4, fri: 5, sat: 6, sun: 7 };
+const MONTHS = {
+  january: 1, february: 2, march: 3, april: 4, may: 5, june: 6, july: 7, august: 8,
+  september: 9, october: 10, november: 11, december: 12,
+  jan: 1, feb: 2, mar: 3, apr: 4, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12
+};
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  couple: 2, few: 3
+};
+
+// Filler that carries no date meaning ("sometime", "around", "on", ...)
+const FILLER = /\b(sometime|some time|anytime|any time|around|about|maybe|possibly|please|preferably|ideally|if possible|like|on|for)\b/g;
+
+function weekdayIndex(word) {
+  return WEEKDAYS[word] || WEEKDAY_ABBR[word] || null;
+}
+
+/**
+ * Holidays observed by the clinic calendar, for the given year.
+ */
+function holidayDate(name, year, zone) {
+  const nthWeekday = (month, weekday, n) => {
+    let d = DateTime.fromObject({ year, month, day: 1 }, { zone });
+    while (d.weekday !== weekday) d = d.plus({ days: 1 });
+    return d.plus({ weeks: n - 1 });
+  };
+  const lastWeekday = (month, weekday) => {
+    let d = DateTime.fromObject({ year, month, day: 1 }, { zone }).endOf('month').startOf('day');
+    while (d.weekday !== weekday) d = d.minus({ days: 1 });
+    return d;
+  };
+  switch (name) {
+    case 'new years': return DateTime.fromObject({ year, month: 1, day: 1 }, { zone });
+    case 'memorial day': return lastWeekday(5, 1);
+    case 'independence day': return DateTime.fromObject({ year, month: 7, day: 4 }, { zone });
+    case 'labor day': return nthWeekday(9, 1, 1);
+    case 'thanksgiving': return nthWeekday(11, 4, 4);
+    case 'christmas': return DateTime.fromObject({ year, month: 12, day: 25 }, { zone });
+    default: return null;
+  }
+}
+
+const HOLIDAY_PATTERNS = [
+  { re: /\bnew years?( day| eve)?\b/, name: 'new years' },
+  { re: /\bmemorial day\b/, name: 'memorial day' },
+  { re: /\b(independence day|fourth of july|4th of july|july 4th)\b/, name: 'independence day' },
+  { re: /\blabor day\b/, name: 'labor day' },
+  { re: /\bthanksgiving( day)?\b/, name: 'thanksgiving' },
+  { re: /\b(christmas|xmas)( day)?\b/, name: 'christmas' }
+];
+
+function range(start, days, rule) {
+  return { start: start.startOf('day'), days: Math.max(1, days), rule };
+}
+
+function narrow(r, modifier) {
+  if (!modifier || r.days < 2) return r;
+  const half = Math.ceil(r.days / 2);
+  if (modifier === 'early') return { ...r, days: half, rule: `early_${r.rule}` };
+  return { ...r, start: r.start.plus({ days: r.days - half }), days: half, rule: `late_${r.rule}` };
+}
+
+/**
+ * resolve: The core matcher; returns { start, days, rule } or null. `text` is already normalized.
+ */
+function resolve(text, today, zone) {
+  let m;
+
+  // after / before an anchor ("after thanksgiving", "before the 14th")
+  if ((m = text.match(/^(after|before|by)\s+(.+)$/))) {
+    const anchor = resolve(m[2], today, zone);
+    if (!anchor) return null;
+    if (m[1] === 'after') return range(anchor.start.plus({ days: anchor.days }), 7, `after_${anchor.rule}`);
+    const days = Math.round(anchor.start.diff(today, 'days').days);
+    return days > 0 ? range(today, days, `before_${anchor.rule}`) : null;
+  }
+
+  // early / late / end of <period>
+  if ((m = text.match(/^(early|late|later|end of|the end of)\s+(.+)$/))) {
+    const inner = resolve(m[2], today, zone);
+    return inner ? narrow(inner, m[1] === 'early' ? 'early' : 'late') : null;
+  }
+
+  // ISO date
+  if ((m = text.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+    const d = DateTime.fromObject({ year: +m[1], month: +m[2], day: +m[3] }, { zone });
+    return d.isValid ? range(d, 1, 'iso_date') : null;
+  }
+
+  // US numeric date: 10/27 or 10/27/2026
+  if ((m = text.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/))) {
+    let year = m[3] ? +m[3] : today.year;
+    if (year < 100) year += 2000;
+    let d = DateTime.fromObject({ year, month: +m[1], day: +m[2] }, { zone });
+    if (!d.isValid) return null;
+    if (!m[3] && d < today) d = d.plus({ years: 1 });
+    return range(d, 1, 'numeric_date');
+  }
+
+  if (/^(today|tonight|this (morning|afternoon|evening))$/.test(text)) return range(today, 1, 'today');
+  if (/^(tomorrow|tmrw|tomorrow (morning|afternoon|evening))$/.test(text)) return range(today.plus({ days: 1 }), 1, 'tomorrow');
+  if (/^(the )?day after tomorrow$/.test(text)) return range(today.plus({ days: 2 }), 1, 'day_after_tomorrow');
+
+  // in N days / weeks
+  if ((m = text.match(/^in (?:a |the )?(\d+|[a-z]+) (day|days|week|weeks)$/))) {
+    const n = /^\d+$/.test(m[1]) ? +m[1] : NUMBER_WORDS[m[1]];
+    if (!n) return null;
+    if (m[2].startsWith('day')) return range(today.plus({ days: n }), 1, 'in_days');
+    return range(today.plus({ weeks: n }).startOf('week'), 7, 'in_weeks');
+  }
+  if (/^in a week$/.test(text)) return range(today.plus({ weeks: 1 }).startOf('week'), 7, 'in_weeks');
+
+  // weeks / weekends / months
+  if (/^(this|the) week$/.test(text)) {
+    return range(today, Math.floor(today.endOf('week').diff(today, 'days').days) + 1, 'this_week');
+  }
+  if (/^next week$/.test(text)) return range(today.plus({ weeks: 1 }).startOf('week'), 7, 'next_week');
+  if (/^(this )?weekend$/.test(text)) {
+    const sat = today.weekday === 7 ? today.minus({ days: 1 }) : today.plus({ days: 6 - today.weekday });
+    return range(sat < today ? today : sat, sat < today ? 1 : 2, 'this_weekend');
+  }
+  if (/^next weekend$/.test(text)) return range(today.plus({ weeks: 1 }).startOf('week').plus({ days: 5 }), 2, 'next_weekend');
+  if (/^(this|the) month$/.test(text)) {
+    return range(today, Math.floor(today.endOf('month').diff(today, 'days').days) + 1, 'this_month');
+  }
+  if (/^next month$/.test(text)) {
+    const first = today.plus({ months: 1 }).startOf('month');
+    return range(first, first.daysInMonth, 'next_month');
+  }
+
+  // weekday names: "tuesday", "this tuesday", "next tuesday"
+  if ((m = text.match(/^(this |next |coming |this coming )?([a-z]+)$/)) && weekdayIndex(m[2])) {
+    const wd = weekdayIndex(m[2]);
+    if (m[1] && m[1].trim() === 'next') {
+      const nextWeek = today.plus({ weeks: 1 }).startOf('week');
+      return range(nextWeek.plus({ days: wd - 1 }), 1, 'next_weekday');
+    }
+    const ahead = ((wd - today.weekday + 7) % 7) || 7;
+    return range(today.plus({ days: ahead }), 1, 'weekday');
+  }
+
+  // "october 27", "oct 27th", "27th of october", "october 27 2026"
+  if ((m = text.match(/^([a-z]+) (\d{1,2})(?:st|nd|rd|th)?(?: (\d{4}))?$/)) && MONTHS[m[1]]) {
+    return monthDay(MONTHS[m[1]], +m[2], m[3] ? +m[3] : null, today, zone);
+  }
+  if ((m = text.match(/^(?:the )?(\d{1,2})(?:st|nd|rd|th)? (?:of )?([a-z]+)(?: (\d{4}))?$/)) && MONTHS[m[2]]) {
+    return monthDay(MONTHS[m[2]], +m[1], m[3] ? +m[3] : null, today, zone);
+  }
+
+  // "the 14th", "14th"
+  if ((m = text.match(/^(?:the )?(\d{1,2})(st|nd|rd|th)$/))) {
+    const day = +m[1];
+    let d = DateTime.fromObject({ year: today.year, month: today.month, day }, { zone });
+    if (!d.isValid || d < today) {
+      d = DateTime.fromObject({ year: today.plus({ months: 1 }).year, month: today.plus({ months: 1 }).month, day }, { zone });
+    }
+    return d.isValid ? range(d, 1, 'day_of_month') : null;
+  }
+
+  // holidays
+  for (const h of HOLIDAY_PATTERNS) {
+    if (h.re.test(text) && text.replace(h.re, '').trim() === '') {
+      let d = holidayDate(h.name, today.year, zone);
+      if (d < today) d = holidayDate(h.name, today.year + 1, zone);
+      return range(d, 1, 'holiday');
+    }
+  }
+
+  return null;
+}
+
+function monthDay(month, day, year, today, zone) {
+  let d = DateTime.fromObject({ year: year || today.year, month, day }, { zone });
+  if (!d.isValid) return null;
+  if (!year && d < today) d = d.plus({ years: 1 });
+  return range(d, 1, 'month_day');
+}
+
+/**
+ * normalize: lowercase, drop punctuation and filler, and pull out the part of day.
+ */
+function normalize(phrase) {
+  let text = String(phrase || '').toLowerCase()
+    .replace(/[,.!?;]+/g, ' ')
+    .replace(/\bin the\b/g, ' ')
+    .replace(/\b(a\.m\.|p\.m\.)/g, (s) => s.replace(/\./g, ''))
+    .replace(/'/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  let part = null;
+  for (const { re, part: p } of PART_WORDS) {
+    if (re.test(text)) {
+      part = p;
+      // "tonight" / "this morning" also say which day, keep the day word for the matcher
+      text = text.replace(/\btonight\b/, 'today').replace(re, ' ');
+      break;
+    }
+  }
+
+  text = text.replace(FILLER, ' ').replace(/\bthis\s*$/, '').replace(/\s+/g, ' ').trim();
+  return { text, part };
+}
+
+/**
+ * parseDatePhrase: `now` (ISO string or DateTime) pins "today" for deterministic results.
+ */
+function parseDatePhrase(phrase, { zone = DEFAULT_TIMEZONE, now } = {}) {
+  const base = now ? (DateTime.isDateTime(now) ? now : DateTime.fromISO(String(now), { zone })) : DateTime.now();
+  const today = base.setZone(zone).startOf('day');
+  const { text, part } = normalize(phrase);
+
+  // A bare part of day ("afternoon") means today
+  const resolved = text ? resolve(text, today, zone) : (part ? range(today, 1, 'today') : null);
+  if (!resolved) {
+    return { ok: false, phrase: phrase || '', time_zone: zone, reason: 'unrecognized_date_phrase' };
+  }
+
+  const start = resolved.start;
+  const end = start.plus({ days: resolved.days - 1 });
+  const span = resolved.days === 1
+    ? speech.speakDate(start)
+    : `${speech.speakDate(start)} through ${speech.speakDate(end)}`;
+
+  return {
+    ok: true,
+    phrase: phrase || '',
+    time_zone: zone,
+    start_date: start.toISODate(),
+    end_date: end.toISODate(),
+    days: resolved.days,
+    part_of_day: part,
+    rule: resolved.rule,
+    interpretation: part ? `${span}, ${part}` : span
+  };
+}
+
+function inPartOfDay(isoStart, part, zone) {
+  if (!part || !PARTS_OF_DAY[part]) return true;
+  const dt = DateTime.fromISO(isoStart, { zone });
+  const [from, to] = PARTS_OF_DAY[part];
+  const hour = dt.hour + dt.minute / 60;
+  return hour >= from && hour < to;
+}
+
+/**
+ * resolveRequestedDate: ISO dates pass straight through; anything else goes through parseDatePhrase.
+ * - Missing, unparseable or past dates fall back to today with adjusted: true (the agent should confirm).
+ * - days is the larger of the phrase's range and minDays.
+ */
+function resolveRequestedDate(raw, { zone = DEFAULT_TIMEZONE, now, minDays = 1 } = {}) {
+  const base = now ? (DateTime.isDateTime(now) ? now : DateTime.fromISO(String(now), { zone })) : DateTime.now();
+  const today = base.setZone(zone).startOf('day');
+  const out = { requested_date: today.toISODate(), days: Math.max(1, Number(minDays) || 1), part_of_day: null, adjusted: false, interpreted: null };
+
+  if (!raw || !String(raw).trim()) {
+    out.adjusted = true;
+    return out;
+  }
+
+  let start = DateTime.fromISO(String(raw).trim(), { zone });
+  let days = out.days;
+  if (!start.isValid) {
+    const parsed = parseDatePhrase(raw, { zone, now: base });
+    if (!parsed.ok) {
+      out.adjusted = true;
+      out.interpreted = parsed;
+      return out;
+    }
+    out.interpreted = parsed;
+    out.part_of_day = parsed.part_of_day;
+    start = DateTime.fromISO(parsed.start_date, { zone });
+    days = Math.max(days, parsed.days);
+  }
+
+  start = start.startOf('day');
+  if (start < today) {
+    // Keep whatever part of the range is still ahead of us
+    const end = start.plus({ days });
+    days = Math.max(1, Math.round(end.diff(today, 'days').days));
+    start = today;
+    out.adjusted = true;
+  }
+  out.requested_date = start.toISODate();
+  out.days = days;
+  return out;
+}
+
+module.exports = {
+  PARTS_OF_DAY,
+  parseDatePhrase,
+  inPartOfDay,
+  resolveRequestedDate
+};
@@ -0,0 +1,112 @@
+'use strict';
+/**
+ * Google service-account credentials and authorized clients.
+ *
+ * Credentials are read once, from the first of:
+ *  1. an explicit key passed by the caller (JSON string or object);
+ *  2. GOOGLE_CREDS or GCAL_KEY_JSON (JSON text);
+ *  3. GOOGLE_CREDS_BASE64 (base64 of the JSON key);
+ *  4. a key file: GOOGLE_CREDS_FILE or GOOGLE_APPLICATION_CREDENTIALS (e.g. a Secret Manager volume
+ *     mounted on Cloud Run), else ./gcal-creds.json or ./credentials.json for local runs.
+ *
+ * One authorized JWT client is kept per (service account, impersonated subject). It is re-authorized
+ * TOKEN_REFRESH_MARGIN_SECONDS before its access token expires, and concurrent requests share a
+ * single authorization.
+ *
+ * Exports:
+ *  - loadCredentials: The service-account key ({ client_email, private_key, ... }).
+ *  - getAuthClient: Authorized JWT client impersonating `subject`.
+ *  - subjectForCalendar: Who to impersonate for a calendar (provider calendar_email, else GOOGLE_IMPERSONATE_USER).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { google } = require('googleapis');
+const providers = require('./providers');
+const metrics = require('./metrics');
+
+const SCOPES = ['https://www.googleapis.com/auth/calendar'];
+const TOKEN_REFRESH_MARGIN_SECONDS = Number(process.env.TOKEN_REFRESH_MARGIN_SECONDS || 300);
+const LOCAL_KEY_FILES = ['gcal-creds.json', 'credentials.json'];
+
+let envCredentials = null;
+// `${client_email}|${subject}` -> { jwt, pending }
+const clients = new Map();
+
+function parseKey(raw, source) {
+  if (raw && typeof raw === 'object') return raw;
+  try {
+    return JSON.parse(String(raw));
+  } catch (e) {
+    throw new Error(`google-auth: ${source} is not valid JSON: ${e.message || e}`);
+  }
+}
+
+function readEnvCredentials() {
+  const json = process.env.GOOGLE_CREDS || process.env.GCAL_KEY_JSON;
+  if (json && String(json).trim()) return parseKey(json, process.env.GOOGLE_CREDS ? 'GOOGLE_CREDS' : 'GCAL_KEY_JSON');
+
+  const b64 = process.env.GOOGLE_CREDS_BASE64;
+  if (b64 && String(b64).trim()) return parseKey(Buffer.from(b64.trim(), 'base64').toString('utf8'), 'GOOGLE_CREDS_BASE64');
+
+  const configured = process.env.GOOGLE_CREDS_FILE || process.env.GOOGLE_APPLICATION_CREDENTIALS;
+  const candidates = configured ? [configured] : LOCAL_KEY_FILES.map((f) => path.join(process.cwd(), f));
+  for (const file of candidates) {
+    if (fs.existsSync(file)) return parseKey(fs.readFileSync(file, 'utf8'), file);
+  }
+  if (configured) throw new Error(`google-auth: key file ${configured} not found`);
+  throw new Error('google-auth: Google credentials not found (GOOGLE_CREDS, GCAL_KEY_JSON, GOOGLE_CREDS_BASE64 or a key file)');
+}
+
+/**
+ * loadCredentials: explicit key if given, otherwise the environment / key file (read once per process).
+ */
+function loadCredentials(explicit) {
+  const creds = explicit && String(explicit).trim() ? parseKey(explicit, 'credentials parameter') : null;
+  if (creds) return creds;
+  if (!envCredentials) envCredentials = readEnvCredentials();
+  return envCredentials;
+}
+
+function expiresSoon(jwt) {
+  const expiry = jwt && jwt.credentials && jwt.credentials.expiry_date;
+  return !expiry || expiry - Date.now() < TOKEN_REFRESH_MARGIN_SECONDS * 1000;
+}
+
+/**
+ * getAuthClient: Cached, authorized client for { subject, credentials }.
+ */
+async function getAuthClient({ subject, credentials } = {}) {
+  if (!subject) throw new Error('google-auth: a subject to impersonate is required (provider calendar_email or GOOGLE_IMPERSONATE_USER)');
+  const creds = loadCredentials(credentials);
+  if (!creds.client_email || !creds.private_key) throw new Error('google-auth: credentials must include client_email and private_key');
+
+  const key = `${creds.client_email}|${subject}`;
+  let entry = clients.get(key);
+  if (!entry) {
+    entry = { jwt: new google.auth.JWT(creds.client_email, null, creds.private_key, SCOPES, subject), pending: null };
+    clients.set(key, entry);
+  }
+  if (!expiresSoon(entry.jwt)) return entry.jwt;
+
+  if (!entry.pending) {
+    entry.pending = metrics.timeGoogleCall('auth.authorize', {}, () => entry.jwt.authorize())
+      .then(() => entry.jwt)
+      .finally(() => { entry.pending = null; });
+  }
+  return entry.pending;
+}
+
+/**
+ * subjectForCalendar: Provider's calendar_email for their calendar, else GOOGLE_IMPERSONATE_USER.
+ */
+function subjectForCalendar(calendarId) {
+  const provider = calendarId ? providers.getProviderByCalendarId(calendarId) : null;
+  return (provider && provider.calendar_email) || process.env.GOOGLE_IMPERSONATE_USER || null;
+}
+
+module.exports = {
+  loadCredentials,
+  getAuthClient,
+  subjectForCalendar
+};
@@ -8,18 +8,29 @@
 
 const express = require('express');
 const router = express.Router();
+const retell = require('./retell');
+const logger = require('./logger');
+const apiAuth = require('./api-auth');
+const phi = require('./phi');
+const requestContext = require('./middleware/requestContext');
 
 // JSON body parsing for this router
-router.use(express.json({ limit: '256kb' }));
+router.use(express.json({ limit: '256kb', verify: apiAuth.captureRawBody }));
+
+// Retell envelope ({ call, name, args }) -> req.retell for every route
+router.use(retell.context);
+
+// Correlation ID (Retell call_id), access log and request metrics for every route
+router.use(requestContext);
 
 // Mount sub-routers (expects these files to be in ./routes/)
 function mountIfExists(pathRel, mountPath) {
   try {
     const r = require(pathRel);
     router.use(mountPath, r);
-    console.log(`Mounted ${pathRel} at ${mountPath}`);
+    logger.info(`Mounted ${pathRel} at ${mountPath}`);
   } catch (err) {
-    console.warn(`Optional router ${pathRel} not mounted:`, err && err.message ? err.message : err);
+    logger.warn(`Optional router ${pathRel} not mounted`, err);
   }
 }
 
@@ -30,6 +41,16 @@ mountIfExists('./routes/routes_book', '/');
 mountIfExists('./routes/routes_slots', '/');
 mountIfExists('./routes/routes_parse', '/');
 mountIfExists('./routes/routes_book_provider_appointment', '/');
+mountIfExists('./routes/routes_first_available', '/');
+mountIfExists('./routes/routes_cancel', '/');
+mountIfExists('./routes/routes_reschedule', '/');
+mountIfExists('./routes/routes_retell', '/');
+mountIfExists('./routes/routes_calendar_watch', '/');
+mountIfExists('./routes/routes_metrics', '/');
+mountIfExists('./routes/routes_waitlist', '/');
+mountIfExists('./routes/routes_new_patient', '/');
+mountIfExists('./routes/routes_reminders', '/');
+mountIfExists('./routes/routes_attendance', '/');
 
 // Additional short-hand endpoints (helpful if some callers use the root paths directly)
 router.post('/provider_lookup', (req, res, next) => { return require('./routes/routes_provider_lookup').handle ? require('./routes/routes_provider_lookup').handle(req, res, next) : next(); });
@@ -46,11 +67,13 @@ module.exports = router;
 
 // If run directly, start a small server for local testing
 if (require.main === module) {
+  apiAuth.assertConfigured();
+  phi.assertConfigured();
   const app = express();
-  app.use(express.json({ limit: '256kb' }));
+  app.use(express.json({ limit: '256kb', verify: apiAuth.captureRawBody }));
   app.use('/', router);
   const PORT = Number(process.env.PORT || 8080);
   app.listen(PORT, () => {
-    console.log(`GoogleCalendarWebhook (router) listening on port ${PORT}`);
+    logger.info(`GoogleCalendarWebhook (router) listening on port ${PORT}`);
   });
 }
\ No newline at end of file
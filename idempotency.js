@@ -0,0 +1,128 @@
+'use strict';
+/**
+ * Idempotent booking helpers.
+ *
+ * Retell retries tool calls on timeouts, so the same booking request can arrive several times.
+ * A request's idempotency key comes from an explicit header / `idempotency_key` arg, or from the
+ * Retell envelope's `call.call_id`. The key is scoped to the calendar and start time, so one call
+ * can still book two different appointments.
+ *
+ * Repeats inside IDEMPOTENCY_WINDOW_MINUTES return the original booking:
+ *  - fast path: in-memory cache of results (and of in-flight requests, for concurrent retries);
+ *  - durable path: the scoped key is written to the event's extendedProperties.private.idempotency_key
+ *    and looked up with the backend's listEvents(privateExtendedProperty), so de-duplication survives restarts.
+ *
+ * Exports:
+ *  - keyFromRequest: Extracts the raw key from an Express request.
+ *  - withIdempotency: Wraps an insert so repeats replay the original result.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const IDEMPOTENCY_WINDOW_MINUTES = Number(process.env.IDEMPOTENCY_WINDOW_MINUTES || 60);
+const PROPERTY = 'idempotency_key';
+
+// scopedKey -> { value, expiresAt }
+const results = new Map();
+// scopedKey -> Promise (requests currently inserting)
+const inflight = new Map();
+
+/**
+ * keyFromRequest: Idempotency-Key header, then args.idempotency_key, then Retell call.call_id.
+ */
+function keyFromRequest(req, payload = {}) {
+  const header = req && typeof req.get === 'function'
+    ? (req.get('Idempotency-Key') || req.get('X-Idempotency-Key'))
+    : null;
+  const call = (req && req.retell && req.retell.call) || (req && req.body && req.body.call);
+  const key = header || payload.idempotency_key || (call && call.call_id) || null;
+  return key ? String(key).trim() || null : null;
+}
+
+function scopeKey(key, calendarId, event) {
+  const start = (event && event.start && (event.start.dateTime || event.start.date)) || '';
+  return crypto.createHash('sha256').update(`${key}|${calendarId}|${start}`).digest('hex').slice(0, 40);
+}
+
+function pruneExpired(nowMs) {
+  for (const [k, entry] of results) {
+    if (entry.expiresAt <= nowMs) results.delete(k);
+  }
+}
+
+/**
+ * findBookedEvent: Durable lookup of an event stamped with scopedKey inside the window.
+ */
+async function findBookedEvent(backend, calendarId, scopedKey) {
+  const items = await backend.listEvents(calendarId, {
+    privateExtendedProperty: `${PROPERTY}=${scopedKey}`,
+    updatedMin: new Date(Date.now() - IDEMPOTENCY_WINDOW_MINUTES * 60000).toISOString(),
+    showDeleted: false,
+    maxResults: 5,
+  });
+  return items.find((ev) => ev.status !== 'cancelled') || null;
+}
+
+/**
+ * stampKey: Copy of the event with the scoped key in extendedProperties.private.
+ */
+function stampKey(event, scopedKey) {
+  const extended = event.extendedProperties || {};
+  return {
+    ...event,
+    extendedProperties: {
+      ...extended,
+      private: { ...(extended.private || {}), [PROPERTY]: scopedKey },
+    },
+  };
+}
+
+/**
+ * withIdempotency: Runs insert(stampedEvent) at most once per key inside the window.
+ * - backend is a calendar backend (calendar-backend.js) used for the durable lookup.
+ * - Without a key, insert(event) runs unchanged.
+ * - Replays resolve to the original result with `idempotent_replay: true`.
+ * - replayFromEvent(event) shapes a result when only the stored calendar event is available.
+ */
+async function withIdempotency(backend, { calendarId, key, event }, insert, replayFromEvent) {
+  if (!key) return insert(event);
+
+  const scopedKey = scopeKey(key, calendarId, event);
+  const nowMs = Date.now();
+  pruneExpired(nowMs);
+
+  const cached = results.get(scopedKey);
+  if (cached) return { ...cached.value, idempotent_replay: true };
+  if (inflight.has(scopedKey)) return { ...(await inflight.get(scopedKey)), idempotent_replay: true };
+
+  const run = (async () => {
+    let existing = null;
+    try {
+      existing = await findBookedEvent(backend, calendarId, scopedKey);
+    } catch (e) {
+      logger.warn('withIdempotency: durable lookup failed, inserting', e);
+    }
+    if (existing) {
+      return { value: replayFromEvent ? replayFromEvent(existing) : { ok: true, event: existing }, replay: true };
+    }
+    return { value: await insert(stampKey(event, scopedKey)), replay: false };
+  })();
+
+  const shared = run.then((r) => r.value);
+  shared.catch(() => {}); // failures surface through `run` below; concurrent waiters see them too
+  inflight.set(scopedKey, shared);
+  try {
+    const { value, replay } = await run;
+    results.set(scopedKey, { value, expiresAt: Date.now() + IDEMPOTENCY_WINDOW_MINUTES * 60000 });
+    return replay ? { ...value, idempotent_replay: true } : value;
+  } finally {
+    inflight.delete(scopedKey);
+  }
+}
+
+module.exports = {
+  IDEMPOTENCY_WINDOW_MINUTES,
+  keyFromRequest,
+  withIdempotency
+};
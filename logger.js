@@ -0,0 +1,131 @@
+'use strict';
+/**
+ * Shared structured logger with PHI redaction.
+ *
+ * Each line is a JSON object in Cloud Logging's structured format (severity, message, time), with
+ * the request's correlation_id / call_id and Cloud Trace resource attached (see request-context.js),
+ * so every line from one Retell call can be pulled up together. LOG_FORMAT=text prints plain lines
+ * for local runs; LOG_LEVEL (debug, info, warn, error; default info) sets the minimum severity.
+ *
+ * Everything this service logs goes through here instead of console.*, so patient names, phone
+ * numbers, dates of birth and emails never reach Cloud Logging:
+ *  - object fields that hold patient data (patient*, *_name, phone/number, dob/birth, email,
+ *    user_message, transcript) are replaced with "[redacted]";
+ *  - strings (including error messages and stacks) have emails, phone numbers and calendar dates
+ *    that are not part of a timestamp masked.
+ *
+ * Details after the message: plain objects become fields of the entry, errors go under `error`
+ * (code and redacted message; `error` level adds the stack frames), anything else is appended to the message.
+ *
+ * Exports:
+ *  - debug / info / warn / error: Log a message with optional details.
+ *  - redact: The redacted copy of a value.
+ */
+
+const requestContext = require('./request-context');
+
+const LOG_FORMAT = (process.env.LOG_FORMAT || 'json').toLowerCase();
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const SEVERITY = { debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR' };
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+
+const REDACTED = '[redacted]';
+const PHI_KEY = /patient|first_name|last_name|full_name|display_name|phone|from_number|to_number|dob|birth|email|user_message|transcript/i;
+// Provider calendar IDs look like emails but identify the practice, not a patient
+const CALENDAR_KEY = /^calendar_id$/;
+
+const EMAIL = /[A-Za-z0-9._%+'-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+const PHONE = /(?:\+?1[\s.-]?)?\(?\b[2-9]\d{2}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g;
+// 03/05/1990, 3-5-1990, 1990-03-05 (but not the date in 2025-03-05T10:00)
+const DATE = /\b(?:\d{1,2}[/-]\d{1,2}[/-]\d{2,4}|\d{4}-\d{2}-\d{2}(?!T))\b/g;
+const MONTH_DATE = /\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+\d{1,2}(?:st|nd|rd|th)?,?\s+\d{4}\b/gi;
+
+function redactString(s) {
+  return String(s)
+    .replace(EMAIL, '[email]')
+    .replace(MONTH_DATE, '[date]')
+    .replace(DATE, '[date]')
+    .replace(PHONE, '[phone]');
+}
+
+/**
+ * redact: Deep copy of value with PHI fields and patterns masked.
+ */
+function redact(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value !== 'object') return value;
+  if (value instanceof Error) return errorSummary(value);
+  if (depth > 5) return '[object]';
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    if (CALENDAR_KEY.test(key) && typeof v === 'string') out[key] = v;
+    else out[key] = PHI_KEY.test(key) && v !== null && v !== undefined && v !== '' ? REDACTED : redact(v, depth + 1);
+  }
+  return out;
+}
+
+function errorSummary(err) {
+  const code = err.code ? `[${err.code}] ` : '';
+  return `${code}${redactString(err.message || String(err))}`;
+}
+
+function errorWithStack(err) {
+  // Stack frames carry no patient data; the message line is replaced by its redacted form
+  const frames = String(err.stack || '').split('\n').slice(1).join('\n');
+  return frames ? `${errorSummary(err)}\n${frames}` : errorSummary(err);
+}
+
+function write(level, message, details) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const entry = { severity: SEVERITY[level], message: redactString(message), time: new Date().toISOString() };
+  const context = requestContext.current();
+  if (context) {
+    entry.correlation_id = context.correlation_id;
+    if (context.call_id) entry.call_id = context.call_id;
+    if (context.trace) entry['logging.googleapis.com/trace'] = context.trace;
+  }
+
+  const appended = [];
+  for (const d of details) {
+    if (d instanceof Error) entry.error = level === 'error' ? errorWithStack(d) : errorSummary(d);
+    else if (d && typeof d === 'object' && !Array.isArray(d)) Object.assign(entry, redact(d));
+    else if (d !== undefined) appended.push(typeof d === 'object' ? JSON.stringify(redact(d)) : redact(String(d)));
+  }
+  if (appended.length) entry.message = `${entry.message} ${appended.join(' ')}`;
+
+  const out = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  if (LOG_FORMAT === 'text') {
+    const { severity, message: text, time, ...fields } = entry;
+    const extra = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : '';
+    out(`${time} ${severity} ${text}${extra}`);
+  } else {
+    out(JSON.stringify(entry));
+  }
+}
+
+function debug(message, ...details) {
+  write('debug', message, details);
+}
+
+function info(message, ...details) {
+  write('info', message, details);
+}
+
+function warn(message, ...details) {
+  write('warn', message, details);
+}
+
+function error(message, ...details) {
+  write('error', message, details);
+}
+
+module.exports = {
+  debug,
+  info,
+  warn,
+  error,
+  redact
+};
@@ -3,13 +3,25 @@
 const express = require('express');
 const fs = require('fs');    // single fs declaration
 const path = require('path');
+const logger = require('./logger');
+const apiAuth = require('./api-auth');
+const phi = require('./phi');
 
 const PORT = Number(process.env.PORT) || 8080;
 
+// Refuse to start without auth or the patient reference key in production (see api-auth.js, phi.js)
+try {
+  apiAuth.assertConfigured();
+  phi.assertConfigured();
+} catch (err) {
+  logger.error('Startup aborted', err);
+  process.exit(1);
+}
+
 const app = express();
 
-// parse JSON bodies for all incoming requests
-app.use(express.json({ limit: '512kb' }));
+// parse JSON bodies for all incoming requests (the raw body is kept for Retell signature checks)
+app.use(express.json({ limit: '512kb', verify: apiAuth.captureRawBody }));
 
 // Try to mount google_calendar_webhook.js (preferred) which itself mounts ./routes/*.
 // If not present, fall back to ./routes_index or ./routes folder index.
@@ -19,7 +31,7 @@ try {
   if (gcw && typeof gcw === 'function' || (gcw && gcw.stack && typeof gcw.use === 'function')) {
     // if it exports a router or an app, mount it at root
     app.use('/', gcw);
-    console.log('Mounted google_calendar_webhook router (./google_calendar_webhook.js)');
+    logger.info('Mounted google_calendar_webhook router (./google_calendar_webhook.js)');
     mounted = true;
   }
 } catch (err) {
@@ -31,10 +43,10 @@ if (!mounted) {
     // try routes_index.js or a /routes folder index
     const routes = require('./routes_index') || require('./routes');
     app.use('/', routes);
-    console.log('Mounted routes from ./routes_index or ./routes');
+    logger.info('Mounted routes from ./routes_index or ./routes');
     mounted = true;
   } catch (err) {
-    console.warn('No route modules found to mount; running with minimal handlers');
+    logger.warn('No route modules found to mount; running with minimal handlers');
   }
 }
 
@@ -43,22 +55,40 @@ app.get('/health', (_req, res) => res.json({ ok: true, timestamp: new Date().toI
 
 // Error handler (last)
 app.use((err, req, res, next) => {
-  console.error('UNHANDLED ERROR', err && (err.stack || err.message || err));
+  logger.error('UNHANDLED ERROR', err);
   try {
     res.status(500).json({ error: 'server_error', message: 'Internal error' });
   } catch (e) {
-    console.error('Failed to send error response:', e && e.message ? e.message : e);
+    logger.error('Failed to send error response', e);
   }
   if (typeof next === 'function') next();
 });
 
 // Start server (Cloud Run requires listening on process.env.PORT)
 app.listen(PORT, () => {
-  console.log(`Calendar API Server running on port ${PORT}`);
-  if (!process.env.SECRET_TOKEN) {
-    console.warn('Auth: DISABLED (no SECRET_TOKEN env set)');
+  logger.info(`Calendar API Server running on port ${PORT}`);
+  if (!apiAuth.isConfigured()) {
+    logger.warn('Auth: DISABLED (no API_KEYS, SECRET_TOKEN or RETELL_API_KEY set)');
   } else {
-    console.log('Auth: ENABLED');
+    logger.info('Auth: ENABLED');
+  }
+  // Keep Google Calendar push channels alive (no-op unless WATCH_WEBHOOK_URL is set)
+  try {
+    require('./calendar-watch').startRenewalTimer();
+  } catch (err) {
+    logger.warn('Calendar watch renewal not started', err);
+  }
+  // Send due appointment reminders (also POST /reminders/run)
+  try {
+    require('./reminders').startReminderTimer();
+  } catch (err) {
+    logger.warn('Reminder timer not started', err);
+  }
+  // Offer freed slots to the waitlist and expire stale offers (also POST /waitlist/scan)
+  try {
+    require('./waitlist').startScanTimer();
+  } catch (err) {
+    logger.warn('Waitlist scan timer not started', err);
   }
 });
 
@@ -0,0 +1,182 @@
+'use strict';
+/**
+ * Process metrics in Prometheus text format (served by GET /metrics).
+ *
+ * Kept in memory per instance: counters and histograms with labels, no client library needed.
+ * Provider labels are provider tokens, never patient data.
+ *
+ * Exports:
+ *  - httpRequests / httpRequestDuration: Requests by method, route and status; latency by method and route.
+ *  - googleApiCalls / googleApiCallDuration: Google API calls by operation and outcome; latency by operation.
+ *  - bookings: Booking attempts by provider and outcome (success, or the error code).
+ *  - slotTaken: slot_taken conflicts by provider.
+ *  - rateLimited: Requests refused with 429 by policy and dimension.
+ *  - waitlistOffers: Waitlist offers by outcome (offered, accepted, declined, expired).
+ *  - notifications: Patient message send attempts by channel and outcome (sent, retry, failed).
+ *  - reminders / reminderReplies: Appointment reminders by offset and outcome; patient replies by action.
+ *  - attendanceEntries: Attendance ledger entries by kind (booked, cancelled, rescheduled, attended, no_show).
+ *  - countBooking: Runs a booking and counts its outcome in bookings_total.
+ *  - timeGoogleCall: Runs a Google API call, recording its latency and outcome and logging its timing.
+ *  - providerLabel: Provider token for a token / calendar ID (or "unknown").
+ *  - render: All metrics as Prometheus exposition text.
+ *  - counter / histogram: Create further metrics.
+ */
+
+const providers = require('./providers');
+const logger = require('./logger');
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const registry = [];
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((n) => (labels[n] === undefined || labels[n] === null ? '' : String(labels[n]))));
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values, extra = {}) {
+  const pairs = labelNames.map((n, i) => [n, values[i]]).concat(Object.entries(extra));
+  if (!pairs.length) return '';
+  return `{${pairs.map(([n, v]) => `${n}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+/**
+ * counter: { inc(labels, value = 1) }.
+ */
+function counter(name, help, labelNames = []) {
+  const series = new Map();
+  const metric = {
+    name,
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + value);
+    },
+    lines() {
+      const out = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [key, value] of series) out.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+      return out;
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * histogram: { observe(labels, seconds) }.
+ */
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+  const metric = {
+    name,
+    observe(labels = {}, value) {
+      const key = labelKey(labelNames, labels);
+      let s = series.get(key);
+      if (!s) {
+        s = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, s);
+      }
+      buckets.forEach((b, i) => { if (value <= b) s.counts[i] += 1; });
+      s.sum += value;
+      s.count += 1;
+    },
+    lines() {
+      const out = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, s] of series) {
+        const values = JSON.parse(key);
+        buckets.forEach((b, i) => out.push(`${name}_bucket${formatLabels(labelNames, values, { le: b })} ${s.counts[i]}`));
+        out.push(`${name}_bucket${formatLabels(labelNames, values, { le: '+Inf' })} ${s.count}`);
+        out.push(`${name}_sum${formatLabels(labelNames, values)} ${s.sum}`);
+        out.push(`${name}_count${formatLabels(labelNames, values)} ${s.count}`);
+      }
+      return out;
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+const httpRequests = counter('http_requests_total', 'HTTP requests by method, route and status.', ['method', 'route', 'status']);
+const httpRequestDuration = histogram('http_request_duration_seconds', 'HTTP request latency in seconds.', ['method', 'route']);
+const googleApiCalls = counter('google_api_calls_total', 'Google API calls by operation and outcome.', ['operation', 'outcome']);
+const googleApiCallDuration = histogram('google_api_call_duration_seconds', 'Google API call latency in seconds.', ['operation']);
+const bookings = counter('bookings_total', 'Booking attempts by provider and outcome (success or error code).', ['provider', 'outcome']);
+const slotTaken = counter('slot_taken_total', 'Bookings and reschedules refused because the slot was taken, by provider.', ['provider']);
+const rateLimited = counter('rate_limited_total', 'Requests refused by rate limiting, by policy and dimension.', ['policy', 'dimension']);
+const notifications = counter('notifications_total', 'Patient message send attempts by channel and outcome (sent, retry, failed).', ['channel', 'outcome']);
+const reminders = counter('reminders_total', 'Appointment reminders by offset (hours before) and outcome (sent, skipped).', ['offset', 'outcome']);
+const reminderReplies = counter('reminder_replies_total', 'Replies to reminders by action (confirmed, cancelled, unrecognized, nothing_pending, not_found).', ['action']);
+const attendanceEntries = counter('attendance_entries_total', 'Attendance ledger entries by kind (booked, cancelled, rescheduled, attended, no_show).', ['kind']);
+const waitlistOffers = counter('waitlist_offers_total', 'Waitlist slot offers by outcome (offered, accepted, declined, expired).', ['outcome']);
+
+/**
+ * timeGoogleCall: fn()'s result; `fields` (e.g. calendar_id) are added to the timing log line.
+ * - outcome is "ok", or the error's code (HTTP status for googleapis errors).
+ */
+async function timeGoogleCall(operation, fields, fn) {
+  const started = process.hrtime.bigint();
+  let outcome = 'ok';
+  try {
+    return await fn();
+  } catch (e) {
+    outcome = e && e.code ? String(e.code) : 'error';
+    throw e;
+  } finally {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    googleApiCalls.inc({ operation, outcome });
+    googleApiCallDuration.observe({ operation }, seconds);
+    logger.info(`google api ${operation}`, {
+      google_api: { operation, outcome, duration_ms: Math.round(seconds * 1000), ...fields },
+    });
+  }
+}
+
+/**
+ * countBooking: book()'s result; outcome is success, idempotent_replay, the error code of a
+ * handled error (slot_taken, invalid_patient_details...) or "error".
+ */
+async function countBooking(provider, book) {
+  try {
+    const result = await book();
+    bookings.inc({ provider, outcome: result && result.idempotent_replay ? 'idempotent_replay' : 'success' });
+    return result;
+  } catch (err) {
+    bookings.inc({ provider, outcome: (err && err.statusCode && err.code) || 'error' });
+    throw err;
+  }
+}
+
+/**
+ * providerLabel: Token of the provider for providerToken or calendarId.
+ */
+function providerLabel({ providerToken, calendarId } = {}) {
+  if (providerToken) return providerToken;
+  const provider = calendarId ? providers.getProviderByCalendarId(calendarId) : null;
+  return (provider && provider.token) || 'unknown';
+}
+
+function render() {
+  return `${registry.map((m) => m.lines().join('\n')).join('\n')}\n`;
+}
+
+module.exports = {
+  httpRequests,
+  httpRequestDuration,
+  googleApiCalls,
+  googleApiCallDuration,
+  bookings,
+  slotTaken,
+  rateLimited,
+  waitlistOffers,
+  notifications,
+  reminders,
+  reminderReplies,
+  attendanceEntries,
+  countBooking,
+  timeGoogleCall,
+  providerLabel,
+  render,
+  counter,
+  histogram
+};
@@ -0,0 +1,64 @@
+/**
+ * Rate-limit middleware (see ../rate-limit.js).
+ * - rateLimit(policy) returns middleware for the 'query' or 'booking' policy; put it after requireAuth so
+ *   the API key is known.
+ * - Over the limit: 429 with Retry-After and a `speech` line the agent can read to the caller.
+ * - Booking requests reserve their place when admitted; the reservation is released when the response finishes
+ *   with an error or as an idempotent replay, so only successful new bookings and changes stay counted.
+ * - If the counter store fails the request is let through (logged), so an outage does not stop booking.
+ *
+ * Use by: router.post('/book', requireAuth('book'), rateLimit('booking'), handler)
+ */
+
+const rateLimiter = require('../rate-limit');
+const retell = require('../retell');
+const logger = require('../logger');
+const metrics = require('../metrics');
+
+const SPEECH = {
+  patient_phone: "I'm not able to book more appointments for this phone number right now. Our front desk can help if you call the office.",
+  from_number: "I'm not able to book more appointments on this call right now. Our front desk can help if you call the office.",
+  query: "I'm having trouble looking that up right now. Please give me a moment and we can try again.",
+};
+
+module.exports = function rateLimit(policy) {
+  if (!rateLimiter.POLICIES[policy]) throw new Error(`rateLimit: unknown policy "${policy}"`);
+
+  return async function checkRateLimit(req, res, next) {
+    const subjects = rateLimiter.subjectsOf(req, retell.payloadOf(req));
+    let over = null;
+    try {
+      over = await rateLimiter.check(policy, subjects);
+    } catch (e) {
+      logger.warn(`rateLimit: ${policy} check failed, allowing request`, e);
+      return next();
+    }
+
+    if (over) {
+      metrics.rateLimited.inc({ policy, dimension: over.dimension });
+      logger.warn('rateLimit: limit reached', { rate_limit: over, api_key: subjects.api_key });
+      res.set('Retry-After', String(over.retry_after_seconds));
+      return res.status(429).json({
+        error: 'rate_limited',
+        message: `Too many ${policy === 'booking' ? 'bookings' : 'requests'} for this ${over.dimension.replace('_', ' ')}`,
+        ...over,
+        speech: policy === 'query' ? SPEECH.query : SPEECH[over.dimension] || SPEECH.from_number,
+      });
+    }
+
+    if (rateLimiter.POLICIES[policy].countOn === 'success') {
+      // A replayed booking (Retell retry) is not a new one
+      let replay = false;
+      const sendJson = res.json.bind(res);
+      res.json = (body) => {
+        replay = !!(body && body.idempotent_replay);
+        return sendJson(body);
+      };
+      res.on('finish', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300 && !replay) return;
+        rateLimiter.release(policy, subjects).catch((e) => logger.warn(`rateLimit: could not release ${policy}`, e));
+      });
+    }
+    return next();
+  };
+};
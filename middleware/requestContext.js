@@ -0,0 +1,50 @@
+/**
+ * Per-request correlation, access logging and HTTP metrics.
+ * - Runs the rest of the request inside request-context.js, so every log line carries the correlation ID
+ *   (the Retell call_id when there is one); the ID is echoed back as X-Correlation-Id.
+ * - On finish logs one Cloud Logging httpRequest entry and records http_requests_total / http_request_duration_seconds.
+ *
+ * Use after retell.context (it reads req.retell): router.use(retell.context); router.use(requestContext);
+ */
+
+const { AsyncResource } = require('async_hooks');
+const requestContextStore = require('../request-context');
+const logger = require('../logger');
+const metrics = require('../metrics');
+
+// Route template rather than the raw URL, so labels stay bounded
+function routeLabel(req) {
+  if (req.route && req.route.path) return `${req.baseUrl || ''}${req.route.path}`;
+  return 'unmatched';
+}
+
+module.exports = function requestContext(req, res, next) {
+  const started = process.hrtime.bigint();
+  const originalUrl = req.originalUrl || req.url;
+
+  requestContextStore.run(req, (context) => {
+    res.setHeader('X-Correlation-Id', context.correlation_id);
+
+    // Bound so the access log keeps this request's correlation ID whatever emits 'finish'
+    res.on('finish', AsyncResource.bind(() => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      const route = routeLabel(req);
+      metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      metrics.httpRequestDuration.observe({ method: req.method, route }, seconds);
+
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      logger[level](`${req.method} ${originalUrl} ${res.statusCode}`, {
+        httpRequest: {
+          requestMethod: req.method,
+          requestUrl: originalUrl,
+          status: res.statusCode,
+          latency: `${seconds.toFixed(3)}s`,
+          userAgent: req.headers['user-agent'] || undefined,
+        },
+        retell_function: context.function_name || undefined,
+      });
+    }));
+
+    next();
+  });
+};
@@ -1,30 +1,38 @@
 /**
- * Simple auth middleware for bearer SECRET_TOKEN.
- * - If SECRET_TOKEN is unset, middleware will allow all requests (use cautiously).
- * - If ALLOW_UNAUTH_PARSE=true, parse routes can bypass auth (but middleware still functions).
+ * Auth middleware: Retell signature or a scoped API key (see ../api-auth.js).
+ * - requireAuth(scope) returns middleware that needs `scope` ('read', 'book' or 'admin'); the caller ends up on req.auth.
+ * - 401 for missing/invalid credentials, 403 when the key lacks the scope.
+ * - With no keys configured, requests pass outside production (warned once).
  *
  * Use by: const requireAuth = require('../middleware/requireAuth');
- * then in route: router.post('/foo', requireAuth, handler)
+ * then in route: router.post('/foo', requireAuth('read'), handler)
  */
 
-module.exports = function requireAuth(req, res, next) {
-  // Allow unauthenticated parse endpoints via env if desired
-  if (process.env.ALLOW_UNAUTH_PARSE === 'true') {
-    return next();
-  }
+const apiAuth = require('../api-auth');
+const logger = require('../logger');
 
-  const SECRET_TOKEN = process.env.SECRET_TOKEN || '';
-  if (!SECRET_TOKEN) {
-    // no secret configured => accept (but we warn server-side)
-    console.warn('requireAuth: SECRET_TOKEN not configured, allowing requests (development mode)');
-    return next();
-  }
+let warnedUnconfigured = false;
+
+module.exports = function requireAuth(scope) {
+  if (!apiAuth.SCOPES.includes(scope)) throw new Error(`requireAuth: unknown scope "${scope}"`);
 
-  const authHeader = (req.headers && (req.headers.authorization || req.headers.Authorization)) || '';
-  const valid = authHeader === `Bearer ${SECRET_TOKEN}`;
-  if (!valid) {
-    res.status(401).json({ error: 'Unauthorized' });
-    return;
-  }
-  return next();
-};
\ No newline at end of file
+  return function checkAuth(req, res, next) {
+    const result = apiAuth.authenticate(req);
+    if (!result.ok) {
+      logger.warn('requireAuth: rejected request', { auth_error: result.message, path: req.originalUrl || req.url });
+      return res.status(result.status).json({ error: result.error, message: result.message });
+    }
+
+    if (result.principal.method === 'none' && !warnedUnconfigured) {
+      warnedUnconfigured = true;
+      logger.warn('requireAuth: no API_KEYS, SECRET_TOKEN or RETELL_API_KEY configured, allowing requests (development mode)');
+    }
+    if (!apiAuth.hasScope(result.principal, scope)) {
+      logger.warn('requireAuth: missing scope', { api_key: result.principal.name, scope });
+      return res.status(403).json({ error: 'forbidden', message: `API key "${result.principal.name}" does not have the ${scope} scope` });
+    }
+
+    req.auth = result.principal;
+    return next();
+  };
+};
@@ -0,0 +1,28 @@
+/**
+ * SMS webhook auth middleware: X-Twilio-Signature or the shared SMS_REPLY_SECRET (see ../api-auth.js verifySmsWebhook).
+ * - Not an API key check: the SMS provider cannot send one, and the agent's keys must not reach this route.
+ * - 401 for missing/invalid credentials; with nothing configured, requests pass outside production (warned once).
+ * - Runs after the body parser, since the Twilio signature covers the form parameters.
+ *
+ * Use by: const requireSmsWebhook = require('../middleware/requireSmsWebhook');
+ * then in route: router.post('/foo', express.urlencoded({ extended: false }), requireSmsWebhook, handler)
+ */
+
+const apiAuth = require('../api-auth');
+const logger = require('../logger');
+
+let warnedUnconfigured = false;
+
+module.exports = function requireSmsWebhook(req, res, next) {
+  const result = apiAuth.verifySmsWebhook(req);
+  if (!result.ok) {
+    logger.warn('requireSmsWebhook: rejected request', { auth_error: result.message, path: req.originalUrl || req.url });
+    return res.status(result.status).json({ error: result.error, message: result.message });
+  }
+  if (result.unconfigured && !warnedUnconfigured) {
+    warnedUnconfigured = true;
+    logger.warn('requireSmsWebhook: no TWILIO_AUTH_TOKEN or SMS_REPLY_SECRET configured, allowing requests (development mode)');
+  }
+  req.auth = { name: 'sms_webhook', method: result.unconfigured ? 'none' : 'sms_webhook', scopes: [] };
+  return next();
+};
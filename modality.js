@@ -0,0 +1,222 @@
+'use strict';
+/**
+ * Visit modality (telehealth, in-person, phone) and clinic for bookings and availability.
+ *
+ * Bookings take `modality` ("telehealth" / "video", "in_person" / "in person" / "office", "phone") and, for in-person
+ * visits, an optional `clinic` (clinics.json token or state). Without a modality the appointment type's only one is
+ * used (phone_consult_15 is phone), else DEFAULT_MODALITY (telehealth). The type must offer the modality
+ * (appointment_types.json `modalities`), and telehealth needs a provider with `telehealth: true`.
+ *
+ * In-person visits are only bookable on a provider's clinic days, declared in providers.json:
+ *   "clinic_days": [{ "clinic": "arizona", "days": ["tue", "thu"], "start": "08:00", "end": "16:00" }]
+ * (start / end are optional and read in the clinic's timezone; the provider's working hours still apply).
+ * The event's `location` is the clinic name and address.
+ *
+ * Telehealth events get a video link: VIDEO_LINK_TEMPLATE (e.g. https://video.example.com/{provider_token}/{room})
+ * when set, written to `location` and the private `video_link`; otherwise a Google Meet link through
+ * `conferenceData` (GOOGLE_MEET_LINKS=false turns that off). The chosen modality and clinic are stored in the
+ * private `modality` / `clinic` properties.
+ *
+ * Exports:
+ *  - MODALITIES: Known modality tokens.
+ *  - normalizeModality: Spoken / written modality -> token, or null.
+ *  - clinicDays: A provider's clinic days with each clinic resolved.
+ *  - clinicForSlot: The provider's clinic for a slot (optionally a requested clinic), or null off clinic days.
+ *  - filterSlots: Slots bookable as a modality; in-person slots carry their clinic.
+ *  - resolveModality: Validated { modality, clinic } for a booking or availability request.
+ *  - assertClinicDay: The clinic for an in-person time, or 409 not_a_clinic_day.
+ *  - applyModality: Event with its location / conference request and the private modality / clinic properties.
+ *  - forBooking: resolveModality + assertClinicDay + applyModality for an event about to be booked.
+ *  - videoLink: The video link on a booked event (template link or Meet link), or null.
+ */
+
+const crypto = require('crypto');
+const { DateTime } = require('luxon');
+const clinics = require('./clinics');
+
+const MODALITIES = ['telehealth', 'in_person', 'phone'];
+const DEFAULT_MODALITY = process.env.DEFAULT_MODALITY || 'telehealth';
+const VIDEO_LINK_TEMPLATE = process.env.VIDEO_LINK_TEMPLATE || '';
+const GOOGLE_MEET_LINKS = process.env.GOOGLE_MEET_LINKS !== 'false';
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const ALIASES = {
+  telehealth: 'telehealth', video: 'telehealth', virtual: 'telehealth', online: 'telehealth', remote: 'telehealth',
+  in_person: 'in_person', inperson: 'in_person', office: 'in_person', clinic: 'in_person', onsite: 'in_person',
+  phone: 'phone', telephone: 'phone', call: 'phone'
+};
+const LABELS = { telehealth: 'telehealth', in_person: 'in-person', phone: 'by phone' };
+
+function modalityError(code, message, statusCode, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  Object.assign(err, extra);
+  return err;
+}
+
+function normalizeModality(raw) {
+  const key = String(raw || '').trim().toLowerCase().replace(/[\s-]+/g, '_').replace(/_?visit$/, '');
+  return ALIASES[key] || ALIASES[key.replace(/_/g, '')] || null;
+}
+
+function clinicDays(provider) {
+  return ((provider && provider.clinic_days) || [])
+    .map((entry) => ({ ...entry, days: (entry.days || []).map((d) => String(d).toLowerCase().slice(0, 3)), clinic: clinics.getClinic(entry.clinic) }))
+    .filter((entry) => entry.clinic);
+}
+
+function clinicDaysSummary(provider) {
+  return clinicDays(provider).map((e) => ({ clinic: e.clinic.token, clinic_name: e.clinic.name, days: e.days, start: e.start, end: e.end }));
+}
+
+/**
+ * clinicForSlot: The clinic whose day (and optional hours) cover start-end, limited to clinicToken when given.
+ */
+function clinicForSlot(provider, startISO, endISO, clinicToken) {
+  for (const entry of clinicDays(provider)) {
+    if (clinicToken && entry.clinic.token !== clinicToken) continue;
+    const zone = entry.clinic.timezone;
+    const start = DateTime.fromISO(startISO, { zone });
+    const end = endISO ? DateTime.fromISO(endISO, { zone }) : start;
+    if (!start.isValid || !entry.days.includes(WEEKDAYS[start.weekday - 1])) continue;
+    if (entry.start && start.toFormat('HH:mm') < entry.start) continue;
+    if (entry.end && (end.toFormat('HH:mm') > entry.end || !end.hasSame(start, 'day'))) continue;
+    return entry.clinic;
+  }
+  return null;
+}
+
+/**
+ * resolveModality: { modality, clinic } from a payload's modality / clinic for a type and provider.
+ * - 400 invalid_modality (unknown, not offered for the type, telehealth with a provider who does not offer it),
+ *   400 unknown_clinic, 400 in_person_unavailable (the provider has no clinic days, or none at that clinic).
+ * - `clinic` is the requested clinic (null when none was asked for); the slot's clinic is checked at booking time.
+ */
+function resolveModality({ modality, clinic } = {}, { type, provider } = {}) {
+  const offered = (type && type.modalities) || MODALITIES;
+  let token = modality ? normalizeModality(modality) : null;
+  if (modality && !token) {
+    throw modalityError('invalid_modality', `modality must be one of: ${MODALITIES.join(', ')}`, 400);
+  }
+  if (!token) token = offered.length === 1 ? offered[0] : DEFAULT_MODALITY;
+  if (!offered.includes(token)) {
+    throw modalityError('invalid_modality', `${type.display_name} is not offered ${LABELS[token]}`, 400, { modalities: offered });
+  }
+  if (token === 'telehealth' && provider && provider.telehealth === false) {
+    throw modalityError('invalid_modality', `${provider.display_name || provider.name} does not offer telehealth`, 400);
+  }
+
+  let requested = null;
+  if (clinic) {
+    requested = clinics.getClinic(clinic);
+    if (!requested) throw modalityError('unknown_clinic', `Unknown clinic "${clinic}"`, 400);
+  }
+  if (token === 'in_person' && provider) {
+    const days = clinicDays(provider).filter((e) => !requested || e.clinic.token === requested.token);
+    if (!days.length) {
+      const where = requested ? ` at the ${requested.name}` : '';
+      throw modalityError('in_person_unavailable', `${provider.display_name || provider.name} has no in-person clinic days${where}`, 400, {
+        clinic_days: clinicDaysSummary(provider)
+      });
+    }
+  }
+  return { modality: token, clinic: token === 'in_person' ? requested : null };
+}
+
+/**
+ * filterSlots: Drops slots that cannot be booked as the modality. In-person slots must fall on one of the
+ * provider's clinic days (at `clinic` when given) and gain `clinic` / `clinic_name`.
+ */
+function filterSlots(slots, { modality, clinic, provider } = {}) {
+  if (modality === 'telehealth' && provider && provider.telehealth === false) return [];
+  if (modality !== 'in_person') return slots;
+  return slots.flatMap((slot) => {
+    const at = clinicForSlot(provider, slot.start, slot.end, clinic && clinic.token);
+    return at ? [{ ...slot, clinic: at.token, clinic_name: at.name }] : [];
+  });
+}
+
+/**
+ * assertClinicDay: The clinic for an in-person booking at start-end; 409 not_a_clinic_day (with the provider's
+ * clinic_days) when the time is off every clinic day.
+ */
+function assertClinicDay(provider, { startISO, endISO, clinic }) {
+  if (typeof clinic === 'string') clinic = clinics.getClinic(clinic);
+  const at = clinicForSlot(provider, startISO, endISO, clinic && clinic.token);
+  if (!at) {
+    const where = clinic ? `the ${clinic.name}` : 'a clinic';
+    throw modalityError('not_a_clinic_day', `That time is not on one of the provider's in-person days at ${where}`, 409, {
+      clinic_days: clinicDaysSummary(provider)
+    });
+  }
+  return at;
+}
+
+function fillTemplate(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (_, key) => encodeURIComponent(vars[key] === undefined ? '' : vars[key]));
+}
+
+/**
+ * applyModality: Sets location (clinic address or template video link), the Meet conference request and the
+ * private modality / clinic / video_link properties.
+ */
+function applyModality(event, { modality, clinic, providerToken } = {}) {
+  const extended = event.extendedProperties || {};
+  const priv = { ...(extended.private || {}), modality };
+  const out = { ...event };
+  if (modality === 'in_person' && clinic) {
+    priv.clinic = clinic.token;
+    out.location = `${clinic.name}, ${clinic.address}`;
+  } else if (modality === 'telehealth') {
+    if (VIDEO_LINK_TEMPLATE) {
+      const link = fillTemplate(VIDEO_LINK_TEMPLATE, { room: crypto.randomBytes(8).toString('hex'), provider_token: providerToken || '' });
+      priv.video_link = link;
+      out.location = link;
+    } else if (GOOGLE_MEET_LINKS) {
+      out.conferenceData = {
+        createRequest: { requestId: crypto.randomUUID(), conferenceSolutionKey: { type: 'hangoutsMeet' } }
+      };
+    }
+  }
+  out.extendedProperties = { ...extended, private: priv };
+  return out;
+}
+
+function eventTime(part) {
+  return part && (part.dateTime || part.date);
+}
+
+/**
+ * forBooking: Validates the payload's modality / clinic for the event's time (in-person: on a clinic day) and
+ * applies them to the event.
+ */
+function forBooking(event, { payload = {}, type, provider } = {}) {
+  const visit = resolveModality({ modality: payload.modality, clinic: payload.clinic }, { type, provider });
+  if (visit.modality === 'in_person' && provider) {
+    visit.clinic = assertClinicDay(provider, { startISO: eventTime(event.start), endISO: eventTime(event.end), clinic: visit.clinic });
+  }
+  return applyModality(event, { ...visit, providerToken: provider && provider.token });
+}
+
+function videoLink(event) {
+  if (!event) return null;
+  const priv = (event.extendedProperties && event.extendedProperties.private) || {};
+  if (priv.video_link) return priv.video_link;
+  if (event.hangoutLink) return event.hangoutLink;
+  const entry = ((event.conferenceData && event.conferenceData.entryPoints) || []).find((e) => e.entryPointType === 'video');
+  return entry ? entry.uri : null;
+}
+
+module.exports = {
+  MODALITIES,
+  normalizeModality,
+  clinicDays,
+  clinicForSlot,
+  filterSlots,
+  resolveModality,
+  assertClinicDay,
+  applyModality,
+  forBooking,
+  videoLink
+};
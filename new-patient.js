@@ -0,0 +1,343 @@
+'use strict';
+/**
+ * New-patient flow (knowledge base: a free 15-minute phone consultation, then a 60-minute initial evaluation
+ * within 5-7 business days).
+ *
+ * classifyPatient looks the patient's phone up in every provider calendar (the private `patient_phone`
+ * property written at booking, see patient-details.js) over the last NEW_PATIENT_LOOKBACK_DAYS (1095) and the
+ * year ahead. Anyone with a past appointment other than the phone consultation is returning; everyone else is
+ * new, and next_step says what is still missing (consultation, evaluation, or nothing).
+ *
+ * bookNewPatient books the consultation (or reuses one already on the calendar), then either books the
+ * evaluation the caller chose, reserves the earliest evaluation slot in the target window, or returns
+ * evaluation_options for the agent to offer. The two events point at each other through the private
+ * `linked_consult_event_id` / `linked_evaluation_event_id` properties. Both also carry the request's hashed
+ * idempotency key (`new_patient_request`), so a retried request returns the original booking instead of
+ * already_scheduled.
+ *
+ * Types come from NEW_PATIENT_CONSULT_TYPE (phone_consult_15) and NEW_PATIENT_EVALUATION_TYPE (initial_evaluation);
+ * the window is NEW_PATIENT_EVAL_MIN_BUSINESS_DAYS (5) to NEW_PATIENT_EVAL_MAX_BUSINESS_DAYS (7) business days
+ * (Monday-Friday) after the consultation.
+ *
+ * Exports:
+ *  - classifyPatient: { patient_status: new | returning, next_step, appointments, ... } for a phone number.
+ *  - evaluationWindow: The target dates for the initial evaluation after a given day.
+ *  - bookNewPatient: Consultation plus a linked initial evaluation (booked, reserved or proposed).
+ */
+
+const crypto = require('crypto');
+const { DateTime } = require('luxon');
+const appointmentTypes = require('./appointment-types');
+const calendarOps = require('./calendar-operations');
+const patientDetails = require('./patient-details');
+const providers = require('./providers');
+const logger = require('./logger');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/New_York';
+const NEW_PATIENT_CONSULT_TYPE = process.env.NEW_PATIENT_CONSULT_TYPE || 'phone_consult_15';
+const NEW_PATIENT_EVALUATION_TYPE = process.env.NEW_PATIENT_EVALUATION_TYPE || 'initial_evaluation';
+const NEW_PATIENT_LOOKBACK_DAYS = Number(process.env.NEW_PATIENT_LOOKBACK_DAYS || 1095);
+const NEW_PATIENT_EVAL_MIN_BUSINESS_DAYS = Number(process.env.NEW_PATIENT_EVAL_MIN_BUSINESS_DAYS || 5);
+const NEW_PATIENT_EVAL_MAX_BUSINESS_DAYS = Number(process.env.NEW_PATIENT_EVAL_MAX_BUSINESS_DAYS || 7);
+const EVALUATION_OPTIONS = 3;
+
+function newPatientError(code, message, statusCode, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  Object.assign(err, extra);
+  return err;
+}
+
+function eventStart(event) {
+  return event && event.start && (event.start.dateTime || event.start.date);
+}
+
+function eventEnd(event) {
+  return event && event.end && (event.end.dateTime || event.end.date);
+}
+
+function summarize(event, calendarId) {
+  const priv = (event.extendedProperties && event.extendedProperties.private) || {};
+  const provider = providers.getProviderByCalendarId(calendarId);
+  return {
+    event_id: event.id,
+    calendar_id: calendarId,
+    provider_token: provider ? provider.token : null,
+    appointment_type: priv.appointment_type || null,
+    start: eventStart(event),
+    end: eventEnd(event),
+  };
+}
+
+function addBusinessDays(date, days) {
+  let out = date;
+  let left = days;
+  while (left > 0) {
+    out = out.plus({ days: 1 });
+    if (out.weekday <= 5) left -= 1;
+  }
+  return out;
+}
+
+/**
+ * evaluationWindow: { start_date, end_date } from MIN to MAX business days after `from` (ISO or DateTime).
+ */
+function evaluationWindow(from, zone = DEFAULT_TIMEZONE) {
+  const day = (DateTime.isDateTime(from) ? from : DateTime.fromISO(String(from), { zone })).setZone(zone).startOf('day');
+  return {
+    start_date: addBusinessDays(day, NEW_PATIENT_EVAL_MIN_BUSINESS_DAYS).toISODate(),
+    end_date: addBusinessDays(day, NEW_PATIENT_EVAL_MAX_BUSINESS_DAYS).toISODate(),
+  };
+}
+
+function nextStep(status, upcoming) {
+  if (status === 'returning') return 'book_follow_up';
+  if (upcoming.some((a) => a.appointment_type === NEW_PATIENT_EVALUATION_TYPE)) return 'already_scheduled';
+  if (upcoming.some((a) => a.appointment_type === NEW_PATIENT_CONSULT_TYPE)) return 'book_initial_evaluation';
+  return 'book_consultation';
+}
+
+/**
+ * classifyPatient: Prior and upcoming appointments for a phone number across every provider calendar.
+ * - Returns { ok, patient_status, next_step, past_appointments, upcoming_appointments, last_visit }.
+ * - A calendar that cannot be read is listed under `errors` and the rest still count.
+ */
+async function classifyPatient({ phone } = {}) {
+  const normalized = patientDetails.normalizePhone(phone);
+  if (normalized.error) {
+    throw newPatientError('invalid_patient_details', normalized.error.message, 400, { field_errors: [normalized.error] });
+  }
+
+  const now = DateTime.now();
+  const timeMin = now.minus({ days: NEW_PATIENT_LOOKBACK_DAYS }).toISO();
+  const timeMax = now.plus({ days: 365 }).toISO();
+  const past = [];
+  const upcoming = [];
+  const errors = [];
+
+  for (const provider of providers.getProviders()) {
+    if (!provider.calendar_id) continue;
+    try {
+      const backend = await calendarOps.backendForCalendar(provider.calendar_id);
+      const events = await backend.listEvents(provider.calendar_id, {
+        timeMin,
+        timeMax,
+        privateExtendedProperty: [`patient_phone=${normalized.value}`],
+      });
+      for (const event of events) {
+        if (event.status === 'cancelled') continue;
+        const summary = summarize(event, provider.calendar_id);
+        if (DateTime.fromISO(summary.start) < now) past.push(summary);
+        else upcoming.push(summary);
+      }
+    } catch (e) {
+      logger.warn(`classifyPatient: ${provider.token} lookup failed`, e);
+      errors.push({ provider_token: provider.token, message: 'Calendar lookup failed' });
+    }
+  }
+
+  past.sort((a, b) => a.start.localeCompare(b.start));
+  upcoming.sort((a, b) => a.start.localeCompare(b.start));
+  const status = past.some((a) => a.appointment_type !== NEW_PATIENT_CONSULT_TYPE) ? 'returning' : 'new';
+  const out = {
+    ok: true,
+    patient_status: status,
+    next_step: nextStep(status, upcoming),
+    past_appointments: past.length,
+    upcoming_appointments: upcoming,
+    last_visit: past.length ? past[past.length - 1] : null,
+  };
+  if (errors.length) out.errors = errors;
+  return out;
+}
+
+async function evaluationSlots({ provider, consultEnd, zone }) {
+  const window = evaluationWindow(consultEnd, zone);
+  const days = Math.round(DateTime.fromISO(window.end_date).diff(DateTime.fromISO(window.start_date), 'days').days) + 1;
+  const result = await calendarOps.get_provider_availability({
+    calendar_id: provider.calendar_id,
+    provider_token: provider.token,
+    appointment_type: NEW_PATIENT_EVALUATION_TYPE,
+    requested_date: window.start_date,
+    days_to_check: days,
+    user_timezone: zone,
+  });
+  const after = DateTime.fromISO(consultEnd);
+  return { window, slots: result.slots.filter((s) => DateTime.fromISO(s.start) >= after) };
+}
+
+/**
+ * assertFutureStart: 400 bad_request unless `value` is an ISO date-time after now.
+ */
+function assertFutureStart(value, field, zone) {
+  const start = DateTime.fromISO(String(value), { zone });
+  if (!start.isValid) throw newPatientError('bad_request', `${field} must be an ISO date-time`, 400);
+  if (start <= DateTime.now()) throw newPatientError('bad_request', `${field} must be in the future`, 400);
+}
+
+function requestKey(idempotencyKey) {
+  return idempotencyKey ? crypto.createHash('sha256').update(`new_patient|${idempotencyKey}`).digest('hex').slice(0, 40) : null;
+}
+
+function bookingEvent(start, zone, linked = {}, request = null) {
+  return {
+    start: { dateTime: start, timeZone: zone },
+    end: { dateTime: start, timeZone: zone }, // the appointment type sets the real end
+    extendedProperties: { private: request ? { ...linked, new_patient_request: request } : linked },
+  };
+}
+
+/**
+ * findReplay: The original result when this request already booked an evaluation on the provider's calendar
+ * (a Retell retry after a timeout), else null.
+ */
+async function findReplay(provider, request, zone) {
+  const backend = await calendarOps.backendForCalendar(provider.calendar_id);
+  const events = await backend.listEvents(provider.calendar_id, {
+    timeMin: DateTime.now().toISO(),
+    privateExtendedProperty: [`new_patient_request=${request}`],
+  });
+  const booked = events.filter((e) => e.status !== 'cancelled').map((e) => summarize(e, provider.calendar_id));
+  const evaluation = booked.find((a) => a.appointment_type === NEW_PATIENT_EVALUATION_TYPE);
+  const consult = booked.find((a) => a.appointment_type === NEW_PATIENT_CONSULT_TYPE);
+  if (!evaluation || !consult) return null;
+
+  const window = evaluationWindow(consult.end, zone);
+  const day = DateTime.fromISO(evaluation.start, { zone }).toISODate();
+  return {
+    ok: true,
+    patient_status: 'new',
+    provider_token: provider.token,
+    consult,
+    evaluation: { ...evaluation, in_target_window: day >= window.start_date && day <= window.end_date },
+    evaluation_window: window,
+    next_step: 'done',
+    idempotent_replay: true,
+  };
+}
+
+/**
+ * bookNewPatient: Books the consultation and links an initial evaluation to it.
+ * - Needs provider_token (or calendar_id) and patient details; consult_start unless the patient already has an
+ *   upcoming consultation with that provider, which is then reused (consult.existing: true).
+ * - evaluation_start books that evaluation; reserve_evaluation: true books the earliest slot in the window;
+ *   otherwise evaluation_options lists the first slots in the window for the caller to choose from.
+ * - consult_start and evaluation_start must be in the future (400 bad_request).
+ * - Returning patients get 409 `returning_patient` and patients with an evaluation already booked 409 `already_scheduled`,
+ *   unless this idempotencyKey booked it: the original result is returned with `idempotent_replay: true`.
+ * - Once the consultation is booked, a failed evaluation booking is reported in `evaluation_error` (with
+ *   alternatives) rather than failing the request.
+ */
+async function bookNewPatient(payload = {}, { idempotencyKey, timezone } = {}) {
+  const provider = providers.getProvider(payload.provider_token) || providers.getProviderByCalendarId(payload.calendar_id);
+  if (!provider) throw newPatientError('bad_request', 'provider_token or calendar_id required', 400);
+  appointmentTypes.resolveAppointmentType({ appointmentType: NEW_PATIENT_CONSULT_TYPE, providerToken: provider.token });
+  appointmentTypes.resolveAppointmentType({ appointmentType: NEW_PATIENT_EVALUATION_TYPE, providerToken: provider.token });
+
+  const patient = patientDetails.patientFromPayload(payload);
+  if (!patient || !patient.phone) {
+    throw newPatientError('invalid_patient_details', 'Patient name, date of birth and phone are required', 400);
+  }
+  const zone = timezone || payload.user_timezone || DEFAULT_TIMEZONE;
+  const classification = await classifyPatient({ phone: patient.phone });
+  if (classification.patient_status === 'returning') {
+    throw newPatientError('returning_patient', 'This patient has been seen before; book a follow-up instead', 409, {
+      last_visit: classification.last_visit,
+    });
+  }
+  const request = requestKey(idempotencyKey);
+  if (classification.next_step === 'already_scheduled') {
+    const replay = request ? await findReplay(provider, request, zone) : null;
+    if (replay) return replay;
+    throw newPatientError('already_scheduled', 'This patient already has an initial evaluation booked', 409, {
+      upcoming_appointments: classification.upcoming_appointments,
+    });
+  }
+
+  // Checked before anything is booked, so a past evaluation time cannot leave a lone consultation behind
+  if (payload.evaluation_start) assertFutureStart(payload.evaluation_start, 'evaluation_start', zone);
+
+  const patientArgs = {
+    provider_token: provider.token,
+    patient_name: patient.full_name,
+    patient_dob: patient.dob,
+    patient_phone: patient.phone,
+    patient_email: patient.email,
+    patient_state: patient.state,
+    user_timezone: zone,
+  };
+
+  // Reuse a consultation already booked with this provider (e.g. from earlier in the call), else book the requested one
+  let consult = classification.upcoming_appointments.find((a) => (
+    a.appointment_type === NEW_PATIENT_CONSULT_TYPE && a.calendar_id === provider.calendar_id
+  ));
+  if (consult) {
+    consult = { ...consult, existing: true };
+  } else {
+    if (!payload.consult_start) throw newPatientError('bad_request', 'consult_start required', 400);
+    assertFutureStart(payload.consult_start, 'consult_start', zone);
+    const booked = await calendarOps.book_provider_appointment({
+      calendarId: provider.calendar_id,
+      event: bookingEvent(payload.consult_start, zone, {}, request),
+      payload: { ...patientArgs, appointment_type: NEW_PATIENT_CONSULT_TYPE },
+      idempotencyKey,
+    });
+    consult = summarize(booked.event, provider.calendar_id);
+  }
+
+  const { window, slots } = await evaluationSlots({ provider, consultEnd: consult.end, zone });
+  const out = {
+    ok: true,
+    patient_status: 'new',
+    provider_token: provider.token,
+    consult,
+    evaluation: null,
+    evaluation_window: window,
+  };
+
+  const wanted = payload.evaluation_start ? [payload.evaluation_start] : (payload.reserve_evaluation ? slots.map((s) => s.start) : []);
+  for (const start of wanted.slice(0, EVALUATION_OPTIONS)) {
+    try {
+      const booked = await calendarOps.book_provider_appointment({
+        calendarId: provider.calendar_id,
+        event: bookingEvent(start, zone, { linked_consult_event_id: consult.event_id }, request),
+        payload: { ...patientArgs, appointment_type: NEW_PATIENT_EVALUATION_TYPE },
+        idempotencyKey,
+      });
+      out.evaluation = summarize(booked.event, provider.calendar_id);
+      break;
+    } catch (err) {
+      // A reserved slot that was just taken falls through to the next one
+      if (!err || !err.statusCode) throw err;
+      out.evaluation_error = { error: err.code, message: err.message, alternatives: err.alternatives };
+      if (err.code !== 'slot_taken' || payload.evaluation_start) break;
+    }
+  }
+
+  if (out.evaluation) {
+    delete out.evaluation_error;
+    const day = DateTime.fromISO(out.evaluation.start, { zone }).toISODate();
+    out.evaluation.in_target_window = day >= window.start_date && day <= window.end_date;
+    try {
+      const backend = await calendarOps.backendForCalendar(provider.calendar_id);
+      const consultEvent = await backend.getEvent(provider.calendar_id, consult.event_id);
+      const priv = (consultEvent.extendedProperties && consultEvent.extendedProperties.private) || {};
+      await backend.patchEvent(provider.calendar_id, consult.event_id, {
+        extendedProperties: { private: { ...priv, linked_evaluation_event_id: out.evaluation.event_id } },
+      }, { sendUpdates: 'none' });
+    } catch (e) {
+      logger.warn('bookNewPatient: could not link the consultation to the evaluation', e);
+    }
+  } else {
+    out.evaluation_options = slots.slice(0, EVALUATION_OPTIONS);
+  }
+  out.next_step = out.evaluation ? 'done' : 'choose_evaluation';
+  return out;
+}
+
+module.exports = {
+  classifyPatient,
+  evaluationWindow,
+  bookNewPatient
+};
@@ -0,0 +1,309 @@
+'use strict';
+/**
+ * Patient notifications: confirmation, reschedule and cancellation messages by SMS and email.
+ *
+ * Bookings, cancellations and reschedules (calendar-operations.js, for every booking route) call
+ * notifyBooked / notifyRescheduled / notifyCancelled with the calendar event; reminders.js sends reminders and the
+ * answers to patients' C / X replies the same way. Recipient details come from the
+ * event's private patient properties (see patient-details.js), so events without a patient phone or email send
+ * nothing. Messages are rendered from notification_templates.json with `{placeholder}` fields:
+ *  - when / previous_when / date: the appointment time in the patient's zone (state, then phone area code);
+ *  - provider_name, appointment_type, first_name;
+ *  - location: the clinic address (clinics.json, the event's clinic or the patient's state) for in-person
+ *    visits, the video link for telehealth visits that have one (see modality.js), or telehealth / phone instructions;
+ *  - intake: the INTAKE_PORTAL_URL link, for NOTIFICATION_INTAKE_TYPES (phone_consult_15, initial_evaluation);
+ *  - cancellation_policy and fee_notice from the late-cancellation policy (cancellation-policy.js).
+ * Texts carry no more than the first name, visit type, time and provider (the knowledge base's
+ * "limited information via email/text").
+ *
+ * Sending goes through a transport per channel: anything with async send(message). NOTIFICATION_TRANSPORT picks
+ * the default for both channels: `console` (log lines, masked like every log line) or `file` (full messages
+ * appended as JSON lines to NOTIFICATION_FILE, default ./notifications.jsonl); setTransport plugs in an SMS or
+ * email provider. Messages wait in an in-process queue and a failed send is retried with backoff up to
+ * NOTIFICATION_MAX_ATTEMPTS (5) times, so a transport outage never fails the booking. NOTIFICATION_CHANNELS
+ * (sms,email) turns channels off; an empty value disables notifications.
+ *
+ * Exports:
+ *  - notifyBooked / notifyRescheduled / notifyCancelled: Render and queue the messages for one event.
+ *  - notifyReminder / notifyReminderReply: Appointment reminder; the SMS answer to a reminder reply.
+ *  - render: Fills `{placeholder}` fields in a template.
+ *  - enqueue / flush: Queue a message / wait until the queue is empty.
+ *  - setTransport / createConsoleTransport / createFileTransport: Swap transports.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DateTime } = require('luxon');
+const appointmentTypes = require('./appointment-types');
+const cancellation = require('./cancellation-policy');
+const callerTimezone = require('./caller-timezone');
+const clinics = require('./clinics');
+const modality = require('./modality');
+const providers = require('./providers');
+const speech = require('./speech');
+const templates = require('./notification_templates.json');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const NOTIFICATION_TRANSPORT = (process.env.NOTIFICATION_TRANSPORT || 'console').toLowerCase();
+const NOTIFICATION_FILE = process.env.NOTIFICATION_FILE || path.join(process.cwd(), 'notifications.jsonl');
+const NOTIFICATION_CHANNELS = (process.env.NOTIFICATION_CHANNELS === undefined ? 'sms,email' : process.env.NOTIFICATION_CHANNELS)
+  .split(',').map((c) => c.trim().toLowerCase()).filter(Boolean);
+const NOTIFICATION_MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS || 5);
+const NOTIFICATION_RETRY_BASE_MS = Number(process.env.NOTIFICATION_RETRY_BASE_MS || 2000);
+const NOTIFICATION_INTAKE_TYPES = (process.env.NOTIFICATION_INTAKE_TYPES || 'phone_consult_15,initial_evaluation')
+  .split(',').map((t) => t.trim()).filter(Boolean);
+const INTAKE_PORTAL_URL = process.env.INTAKE_PORTAL_URL || '';
+
+/**
+ * render: `{name}` fields from vars (missing ones become empty), with the blank space they leave tidied up.
+ */
+function render(template, vars = {}) {
+  return String(template || '')
+    .replace(/\{(\w+)\}/g, (_, key) => (vars[key] === undefined || vars[key] === null ? '' : String(vars[key])))
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/ {2,}/g, ' ')
+    .trim();
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      logger.info('notification sent (console transport)', {
+        channel: message.channel,
+        kind: message.kind,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+      });
+    },
+  };
+}
+
+/**
+ * createFileTransport: Appends each message as one JSON line (full content, for offline testing).
+ */
+function createFileTransport(file = NOTIFICATION_FILE) {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.promises.appendFile(file, `${JSON.stringify({ ...message, sent_at: new Date().toISOString() })}\n`);
+    },
+  };
+}
+
+function defaultTransport() {
+  if (NOTIFICATION_TRANSPORT === 'file') return createFileTransport();
+  if (NOTIFICATION_TRANSPORT !== 'console') {
+    logger.warn(`notifications: unknown NOTIFICATION_TRANSPORT "${NOTIFICATION_TRANSPORT}", using console`);
+  }
+  return createConsoleTransport();
+}
+
+const transports = { sms: defaultTransport(), email: defaultTransport() };
+
+function setTransport(channel, transport) {
+  if (!transports[channel]) throw new Error(`notifications: unknown channel "${channel}" (expected sms or email)`);
+  if (!transport || typeof transport.send !== 'function') throw new Error('notifications: transport must implement send');
+  transports[channel] = transport;
+}
+
+// Pending sends: { message, attempts, due }
+const queue = [];
+const idleWaiters = [];
+let running = false;
+let timer = null;
+
+async function pump() {
+  if (running) return;
+  running = true;
+  clearTimeout(timer);
+  timer = null;
+  try {
+    let item;
+    while ((item = queue.find((q) => q.due <= Date.now()))) {
+      queue.splice(queue.indexOf(item), 1);
+      const { message } = item;
+      try {
+        await transports[message.channel].send(message);
+        metrics.notifications.inc({ channel: message.channel, outcome: 'sent' });
+      } catch (e) {
+        item.attempts += 1;
+        if (item.attempts >= NOTIFICATION_MAX_ATTEMPTS) {
+          metrics.notifications.inc({ channel: message.channel, outcome: 'failed' });
+          logger.error('notification failed, giving up', { notification_id: message.id, channel: message.channel, kind: message.kind, attempts: item.attempts, error: e });
+        } else {
+          metrics.notifications.inc({ channel: message.channel, outcome: 'retry' });
+          logger.warn('notification failed, will retry', { notification_id: message.id, channel: message.channel, attempts: item.attempts, error: e });
+          item.due = Date.now() + NOTIFICATION_RETRY_BASE_MS * 2 ** (item.attempts - 1);
+          queue.push(item);
+        }
+      }
+    }
+  } finally {
+    running = false;
+  }
+
+  if (queue.length) {
+    const next = Math.min(...queue.map((q) => q.due));
+    timer = setTimeout(() => { pump(); }, Math.max(0, next - Date.now()));
+    timer.unref();
+  } else {
+    while (idleWaiters.length) idleWaiters.shift()();
+  }
+}
+
+/**
+ * enqueue: Queues { channel, to, subject?, text, kind } for sending; returns the message id.
+ */
+function enqueue(message) {
+  const queued = { id: `ntf_${crypto.randomBytes(8).toString('hex')}`, ...message };
+  queue.push({ message: queued, attempts: 0, due: Date.now() });
+  setImmediate(() => { pump(); });
+  return queued.id;
+}
+
+/**
+ * flush: Resolves once every queued message has been sent or given up on (waits through retries).
+ */
+function flush() {
+  if (!queue.length && !running) return Promise.resolve();
+  return new Promise((resolve) => idleWaiters.push(resolve));
+}
+
+function patientZone(priv, event) {
+  const resolved = callerTimezone.resolveCallerTimezone({ state: priv.patient_state, from_number: priv.patient_phone });
+  if (resolved.source !== 'default') return resolved.zone;
+  return (event.start && event.start.timeZone) || resolved.zone;
+}
+
+function eventStart(event) {
+  return event && event.start && (event.start.dateTime || event.start.date);
+}
+
+function messageVars(event, calendarId, { previousStart, lateCancellation } = {}) {
+  const priv = (event.extendedProperties && event.extendedProperties.private) || {};
+  const type = appointmentTypes.getAppointmentType(priv.appointment_type);
+  const provider = providers.getProviderByCalendarId(calendarId);
+  const clinic = clinics.getClinic(priv.clinic) || clinics.clinicForState(priv.patient_state);
+  const zone = patientZone(priv, event);
+  const start = eventStart(event);
+  const modalities = (type && type.modalities) || [];
+  const visit = priv.modality || (modalities.length === 1 ? modalities[0] : 'telehealth');
+  const link = modality.videoLink(event);
+  const snippets = templates.snippets;
+
+  const vars = {
+    first_name: priv.patient_first_name || 'there',
+    appointment_type: type ? type.display_name.toLowerCase() : 'appointment',
+    provider_name: provider ? provider.display_name || provider.name : 'your provider',
+    when: start ? speech.speakDateTime(start, zone) : '',
+    date: start ? DateTime.fromISO(start, { zone }).toFormat('LLLL d') : '',
+    previous_when: previousStart ? speech.speakDateTime(previousStart, zone) : '',
+    clinic_name: clinic ? clinic.name : '',
+    clinic_address: clinic ? clinic.address : '',
+    clinic_phone: clinic ? clinic.phone : '',
+    clinic_email: clinic ? clinic.email : '',
+    video_link: link || '',
+    intake_url: INTAKE_PORTAL_URL,
+    late_hours: cancellation.LATE_CANCELLATION_HOURS,
+    late_fee: cancellation.LATE_CANCELLATION_FEE_USD,
+  };
+  let where = 'telehealth';
+  if (visit === 'in_person' && clinic) where = 'in_person';
+  else if (visit === 'phone') where = 'phone';
+  else if (link) where = 'telehealth_link';
+  vars.location = render(snippets[where], vars);
+  vars.location_sms = render(snippets[`${where}_sms`], vars);
+  const wantsIntake = INTAKE_PORTAL_URL && type && NOTIFICATION_INTAKE_TYPES.includes(type.token);
+  vars.intake = wantsIntake ? render(snippets.intake, vars) : '';
+  vars.intake_sms = wantsIntake ? render(snippets.intake_sms, vars) : '';
+  vars.cancellation_policy = render(snippets.cancellation_policy, vars);
+  vars.fee_notice = lateCancellation ? render(snippets.late_fee_notice, vars) : '';
+  return { vars, phone: priv.patient_phone || null, email: priv.patient_email || null };
+}
+
+function notify(kind, { event, calendarId, previousStart, lateCancellation } = {}) {
+  if (!NOTIFICATION_CHANNELS.length || !event) return [];
+  try {
+    const { vars, phone, email } = messageVars(event, calendarId, { previousStart, lateCancellation });
+    const template = templates[kind];
+    const ids = [];
+    // A template without a channel's text (reply acknowledgements have no email) skips that channel
+    if (phone && template.sms && NOTIFICATION_CHANNELS.includes('sms')) {
+      ids.push(enqueue({ kind, channel: 'sms', to: phone, text: render(template.sms, vars), event_id: event.id }));
+    }
+    if (email && template.email && NOTIFICATION_CHANNELS.includes('email')) {
+      ids.push(enqueue({
+        kind,
+        channel: 'email',
+        to: email,
+        subject: render(template.email_subject, vars),
+        text: render(template.email, vars),
+        event_id: event.id,
+      }));
+    }
+    return ids;
+  } catch (e) {
+    // Never let messaging break the calendar operation that triggered it
+    logger.error(`notifications: could not queue ${kind} messages`, e);
+    return [];
+  }
+}
+
+/**
+ * notifyBooked: Confirmation (plus intake link for new-patient visit types) for a newly booked event.
+ */
+function notifyBooked({ event, calendarId }) {
+  return notify('booked', { event, calendarId });
+}
+
+/**
+ * notifyRescheduled: The new time, the old one and any late-change fee.
+ */
+function notifyRescheduled({ event, calendarId, previousStart, lateCancellation }) {
+  return notify('rescheduled', { event, calendarId, previousStart, lateCancellation });
+}
+
+/**
+ * notifyCancelled: Cancellation notice for the deleted event (and the late fee when it applies).
+ */
+function notifyCancelled({ event, calendarId, lateCancellation }) {
+  return notify('cancelled', { event, calendarId, lateCancellation });
+}
+
+/**
+ * notifyReminder: Reminder ahead of the appointment; the text asks for a C (confirm) or X (cancel) reply.
+ */
+function notifyReminder({ event, calendarId }) {
+  return notify('reminder', { event, calendarId });
+}
+
+// Reply action -> template; anything else repeats the options
+const REPLY_TEMPLATES = { confirmed: 'reminder_confirmed', nothing_pending: 'reminder_nothing_pending' };
+
+/**
+ * notifyReminderReply: Text answering a reply: 'confirmed' acknowledges it, 'unrecognized' repeats the options,
+ * 'nothing_pending' says no reminded appointment is waiting for an answer (the event only supplies the phone and clinic).
+ * (A cancellation is answered by notifyCancelled from the cancel path.)
+ */
+function notifyReminderReply({ event, calendarId, action }) {
+  return notify(REPLY_TEMPLATES[action] || 'reminder_help', { event, calendarId });
+}
+
+module.exports = {
+  notifyBooked,
+  notifyRescheduled,
+  notifyCancelled,
+  notifyReminder,
+  notifyReminderReply,
+  render,
+  enqueue,
+  flush,
+  setTransport,
+  createConsoleTransport,
+  createFileTransport
+};
@@ -0,0 +1,105 @@
+'use strict';
+/**
+ * Outbound events: things other systems (SMS/outreach tools, the front desk) should hear about.
+ *
+ * emit(type, data) hands the event to in-process listeners (on(type) or on('*')) and, when
+ * OUTBOUND_WEBHOOK_URL is set, POSTs it there as JSON:
+ *   { "id": "evt_...", "type": "waitlist.slot_offered", "created_at": "...", "data": { ... } }
+ * with `X-Event-Signature: sha256=<hex HMAC of the body>` keyed with OUTBOUND_WEBHOOK_SECRET (falls back to
+ * SECRET_TOKEN) so the receiver can verify it. Delivery is fire-and-forget: failures and non-2xx responses are
+ * retried OUTBOUND_WEBHOOK_RETRIES (3) times with backoff, then logged. Payloads may carry patient contact
+ * details (the receiver needs them to reach the patient); only the event type and id are logged.
+ *
+ * Exports:
+ *  - emit: Publishes an event; returns it.
+ *  - on / off: In-process listeners for one type or '*'.
+ *  - signPayload: The X-Event-Signature value for a body.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+
+const OUTBOUND_WEBHOOK_URL = process.env.OUTBOUND_WEBHOOK_URL || '';
+const OUTBOUND_WEBHOOK_RETRIES = Number(process.env.OUTBOUND_WEBHOOK_RETRIES || 3);
+const OUTBOUND_WEBHOOK_TIMEOUT_MS = Number(process.env.OUTBOUND_WEBHOOK_TIMEOUT_MS || 5000);
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(50);
+
+function webhookSecret() {
+  return process.env.OUTBOUND_WEBHOOK_SECRET || process.env.SECRET_TOKEN || '';
+}
+
+function signPayload(body, secret = webhookSecret()) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function deliver(event) {
+  const body = JSON.stringify(event);
+  const headers = { 'Content-Type': 'application/json', 'X-Event-Type': event.type, 'X-Event-Id': event.id };
+  if (webhookSecret()) headers['X-Event-Signature'] = signPayload(body);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const res = await fetch(OUTBOUND_WEBHOOK_URL, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(OUTBOUND_WEBHOOK_TIMEOUT_MS),
+      });
+      if (res.ok) return;
+      // 4xx other than 429 will not get better on retry
+      if (res.status < 500 && res.status !== 429) {
+        logger.warn('outbound event rejected', { event_id: event.id, event_type: event.type, status: res.status });
+        return;
+      }
+      throw new Error(`HTTP ${res.status}`);
+    } catch (e) {
+      if (attempt >= OUTBOUND_WEBHOOK_RETRIES) {
+        logger.error('outbound event delivery failed', { event_id: event.id, event_type: event.type, error: e });
+        return;
+      }
+      await sleep(500 * 2 ** attempt);
+    }
+  }
+}
+
+/**
+ * emit: { id, type, created_at, data } delivered to listeners and the webhook (if configured).
+ * - A listener that throws is logged and does not stop the others.
+ */
+function emit(type, data = {}) {
+  const event = { id: `evt_${crypto.randomBytes(8).toString('hex')}`, type, created_at: new Date().toISOString(), data };
+  for (const name of [type, '*']) {
+    for (const listener of emitter.listeners(name)) {
+      try {
+        listener(event);
+      } catch (e) {
+        logger.warn(`outbound event listener failed for ${type}`, e);
+      }
+    }
+  }
+  logger.info('outbound event', { event_id: event.id, event_type: type });
+  if (OUTBOUND_WEBHOOK_URL) deliver(event).catch((e) => logger.error('outbound event delivery failed', e));
+  return event;
+}
+
+function on(type, listener) {
+  emitter.on(type, listener);
+}
+
+function off(type, listener) {
+  emitter.off(type, listener);
+}
+
+module.exports = {
+  emit,
+  on,
+  off,
+  signPayload
+};
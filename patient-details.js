@@ -0,0 +1,424 @@
+'use strict';
+/**
+ * Patient identity capture for booking.
+ *
+ * Callers give their details by voice, so values arrive as transcribed speech: "smith-jones, mary",
+ * "march fifth nineteen ninety" (as 03/05/1990), "four oh seven, six three eight...", "jane dot doe at
+ * gmail dot com". Each field is normalized, and anything unusable comes back as a field-level error
+ * with a `prompt` the agent can read to re-ask for just that field.
+ *
+ * Knowledge-base input rules: phone numbers must be 10-digit NANP numbers; anything else is re-asked
+ * as "a 10 digit phone number".
+ *
+ * Booked events carry the details only in private extended properties, in a fixed schema:
+ * patient_full_name, patient_first_name, patient_last_name, patient_suffix, patient_dob,
+ * patient_phone (10 digits), patient_email, patient_state. Titles, descriptions and attendees are
+ * kept PHI-free by phi.js.
+ *
+ * Exports:
+ *  - normalizeName / normalizeDob / normalizePhone / normalizeEmail / normalizeStateField:
+ *      raw -> { value } or { error: { field, code, message, prompt } }.
+ *  - validatePatientDetails: Validates a payload's patient fields; { ok, patient, errors }.
+ *  - patientFromPayload: The validated patient for a booking payload (null when it has none); throws 400 on errors.
+ *  - applyPatientDetails: Copy of an event with the patient written into its private properties.
+ *  - parsePatientName: The parse_patient_name function ({ user_message | text | patient_name }).
+ */
+
+const { DateTime } = require('luxon');
+const providers = require('./providers');
+
+const SUFFIXES = { jr: 'Jr.', sr: 'Sr.', ii: 'II', iii: 'III', iv: 'IV', v: 'V' };
+// Lower-case particles that belong to the last name ("Maria de la Cruz", "Vincent van Gogh")
+const PARTICLES = new Set(['de', 'del', 'della', 'der', 'da', 'di', 'dos', 'du', 'la', 'le', 'van', 'von', 'st.', 'bin', 'al']);
+const MAX_AGE_YEARS = 120;
+
+// Fields a booking must carry when it carries any patient details (REQUIRED_PATIENT_FIELDS overrides)
+const REQUIRED_FIELDS = (process.env.REQUIRED_PATIENT_FIELDS || 'name,dob,phone').split(',').map((f) => f.trim()).filter(Boolean);
+// When true, bookings without patient details are rejected instead of booked as-is
+const REQUIRE_PATIENT_DETAILS = process.env.REQUIRE_PATIENT_DETAILS === 'true';
+
+const PROMPTS = {
+  name: 'Could you tell me your first and last name?',
+  dob: 'Could you tell me your date of birth, including the year?',
+  phone: 'Could you give me a 10 digit phone number?',
+  email: 'Could you spell out your email address?',
+  state: 'Which state do you live in?'
+};
+
+// Spoken digits for phone numbers ("four oh seven"); "double" / "triple" repeat the next digit
+const DIGIT_WORDS = {
+  zero: '0', oh: '0', o: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9'
+};
+const REPEAT_WORDS = { double: 2, triple: 3 };
+
+// Spoken numbers for dates of birth ("march fifth nineteen ninety", "two thousand and four")
+const UNITS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9 };
+const TEENS = {
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+};
+const TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+const ORDINALS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10,
+  eleventh: 11, twelfth: 12, thirteenth: 13, fourteenth: 14, fifteenth: 15, sixteenth: 16, seventeenth: 17,
+  eighteenth: 18, nineteenth: 19, twentieth: 20, thirtieth: 30
+};
+
+function fieldError(field, code, message) {
+  return { error: { field, code, message, prompt: PROMPTS[field] } };
+}
+
+function capitalizeWord(word) {
+  // Capitalize each hyphen / apostrophe segment: smith-jones -> Smith-Jones, o'brien -> O'Brien, mcdonald -> McDonald
+  return word
+    .split(/([-'’])/)
+    .map((part) => {
+      if (!part || /^[-'’]$/.test(part)) return part;
+      const lower = part.toLowerCase();
+      if (/^mc.{2,}/.test(lower)) return `Mc${lower.charAt(2).toUpperCase()}${lower.slice(3)}`;
+      return lower.charAt(0).toUpperCase() + lower.slice(1);
+    })
+    .join('');
+}
+
+/**
+ * normalizeName: { full_name, first_name, middle_name, last_name, suffix }.
+ * - Accepts "First Last", "First M. Last Jr", and "Last, First".
+ * - All-lower / all-upper input is re-cased; mixed case (DeSantis, McKenzie) is kept as spoken.
+ */
+function normalizeName(raw) {
+  let s = String(raw || '').replace(/\s+/g, ' ').trim();
+  if (!s) return fieldError('name', 'missing', 'Name is required');
+  if (/\d/.test(s)) return fieldError('name', 'invalid', 'Names cannot contain digits');
+  if (/[^\p{L}\s.'’,-]/u.test(s)) return fieldError('name', 'invalid', 'Name contains unsupported characters');
+
+  // "Doe, Jane" -> "Jane Doe" (but keep "Jane Doe, Jr." as-is)
+  const comma = s.match(/^([^,]+),\s*([^,]+)$/);
+  if (comma && !SUFFIXES[comma[2].replace(/\./g, '').toLowerCase()]) s = `${comma[2]} ${comma[1]}`;
+  s = s.replace(/,/g, ' ').replace(/\s+/g, ' ').trim();
+
+  const words = s.split(' ');
+  let suffix = '';
+  const last = words[words.length - 1].replace(/\./g, '').toLowerCase();
+  if (words.length > 2 && SUFFIXES[last]) {
+    suffix = SUFFIXES[last];
+    words.pop();
+  }
+  if (words.length < 2) return fieldError('name', 'incomplete', 'First and last name are both required');
+
+  const recase = s === s.toLowerCase() || s === s.toUpperCase();
+  const cased = words.map((w) => (recase && !PARTICLES.has(w.toLowerCase()) ? capitalizeWord(w) : (recase ? w.toLowerCase() : w)));
+
+  // Particles before the final word join the last name
+  let lastStart = cased.length - 1;
+  while (lastStart > 1 && PARTICLES.has(cased[lastStart - 1].toLowerCase())) lastStart -= 1;
+
+  const first = cased[0];
+  const lastName = cased.slice(lastStart).join(' ');
+  const middle = cased.slice(1, lastStart).join(' ');
+  const full = [first, middle, lastName, suffix].filter(Boolean).join(' ');
+  return { value: { full_name: full, first_name: first, middle_name: middle, last_name: lastName, suffix } };
+}
+
+/**
+ * readNumberGroups: Splits a run of number words into two-digit groups: "nineteen ninety five" -> [19, 95],
+ * "nineteen oh five" -> [19, 5], "two thousand and four" -> [2004]. An ordinal ends its group (`ordinal: true`).
+ */
+function readNumberGroups(words) {
+  const groups = [];
+  let i = 0;
+  while (i < words.length) {
+    const w = words[i];
+    if (w === 'thousand' && groups.length) {
+      groups[groups.length - 1].value *= 1000;
+      i += 1;
+      if (words[i] === 'and') i += 1;
+      const rest = readNumberGroups(words.slice(i, i + 2)).filter((g) => g.value < 100);
+      if (rest.length) {
+        groups[groups.length - 1].value += rest[0].value;
+        i += rest[0].words;
+      }
+      continue;
+    }
+    if (ORDINALS[w]) {
+      groups.push({ value: ORDINALS[w], ordinal: true, words: 1 });
+      i += 1;
+    } else if (TENS[w]) {
+      const next = words[i + 1];
+      if (UNITS[next]) groups.push({ value: TENS[w] + UNITS[next], words: 2 });
+      else if (ORDINALS[next] && ORDINALS[next] < 10) groups.push({ value: TENS[w] + ORDINALS[next], ordinal: true, words: 2 });
+      else groups.push({ value: TENS[w], words: 1 });
+      i += groups[groups.length - 1].words;
+    } else if (TEENS[w] || UNITS[w]) {
+      groups.push({ value: TEENS[w] || UNITS[w], words: 1 });
+      i += 1;
+    } else if ((w === 'oh' || w === 'o') && UNITS[words[i + 1]]) {
+      groups.push({ value: UNITS[words[i + 1]], leadingZero: true, words: 2 });
+      i += 2;
+    } else {
+      i += 1;
+    }
+  }
+  return groups;
+}
+
+/**
+ * spokenNumbersToDigits: Number words in a date turned into digits ("march fifth nineteen ninety" -> "march 5 1990").
+ * - Two groups after a day read as a year: 19 + 90 -> 1990, 19 + oh 5 -> 1905, 20 + 12 -> 2012.
+ */
+function spokenNumbersToDigits(text) {
+  const isNumberWord = (w) => UNITS[w] || TEENS[w] || TENS[w] || ORDINALS[w] || w === 'thousand' || w === 'oh';
+  const out = [];
+  const words = text.split(' ');
+  let i = 0;
+  while (i < words.length) {
+    if (!isNumberWord(words[i]) || (words[i] === 'oh' && !out.length)) {
+      out.push(words[i]);
+      i += 1;
+      continue;
+    }
+    let j = i;
+    while (j < words.length && (isNumberWord(words[j]) || (words[j] === 'and' && words[j - 1] === 'thousand'))) j += 1;
+    const groups = readNumberGroups(words.slice(i, j));
+    let k = 0;
+    while (k < groups.length) {
+      const g = groups[k];
+      const next = groups[k + 1];
+      const yearLike = !g.ordinal && g.value >= 10 && g.value < 100 && next && !next.ordinal && next.value < 100
+        && (next.leadingZero || next.value >= 10) && groups.length - k === 2;
+      if (yearLike) {
+        out.push(String(g.value * 100 + next.value));
+        k += 2;
+      } else {
+        out.push(String(g.value));
+        k += 1;
+      }
+    }
+    i = j;
+  }
+  return out.join(' ');
+}
+
+/**
+ * normalizeDob: "YYYY-MM-DD" from ISO, M/D/YYYY, M-D-YYYY, MMDDYYYY or "March 5, 1990" / "5 March 1990".
+ * - Spoken numbers are read as digits: "march fifth nineteen ninety", "the twenty-first of june two thousand four".
+ * - Two-digit years are rejected (re-ask), as are future dates and ages over MAX_AGE_YEARS.
+ */
+function normalizeDob(raw, { now = DateTime.now() } = {}) {
+  const words = String(raw || '').trim().toLowerCase().replace(/(\d)(st|nd|rd|th)\b/g, '$1').replace(/,/g, ' ').replace(/([a-z])-([a-z])/g, '$1 $2').replace(/\s+/g, ' ');
+  const s = /[a-z]/.test(words.replace(/\b(the|of)\b/g, ''))
+    ? spokenNumbersToDigits(words).replace(/\b(the|of)\b/g, ' ').replace(/\s+/g, ' ').trim()
+    : words;
+  if (!s) return fieldError('dob', 'missing', 'Date of birth is required');
+
+  let dt = null;
+  let m;
+  if ((m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    dt = DateTime.fromObject({ year: +m[1], month: +m[2], day: +m[3] });
+  } else if ((m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/))) {
+    if (m[3].length === 2) return fieldError('dob', 'ambiguous_year', 'Date of birth needs a four-digit year');
+    dt = DateTime.fromObject({ year: +m[3], month: +m[1], day: +m[2] });
+  } else if ((m = s.match(/^(\d{2})(\d{2})(\d{4})$/))) {
+    dt = DateTime.fromObject({ year: +m[3], month: +m[1], day: +m[2] });
+  } else {
+    for (const fmt of ['LLLL d yyyy', 'LLL d yyyy', 'd LLLL yyyy', 'd LLL yyyy']) {
+      const parsed = DateTime.fromFormat(s, fmt, { locale: 'en-US' });
+      if (parsed.isValid) { dt = parsed; break; }
+    }
+    if (!dt && /\b\d{2}$/.test(s) && !/\b\d{4}$/.test(s)) {
+      return fieldError('dob', 'ambiguous_year', 'Date of birth needs a four-digit year');
+    }
+  }
+
+  if (!dt || !dt.isValid) return fieldError('dob', 'invalid', 'Date of birth was not a valid date');
+  if (dt > now) return fieldError('dob', 'in_future', 'Date of birth cannot be in the future');
+  if (now.diff(dt, 'years').years > MAX_AGE_YEARS) return fieldError('dob', 'invalid', 'Date of birth is too far in the past');
+  return { value: dt.toISODate() };
+}
+
+/**
+ * ageOn: Whole years between an ISO date of birth and `now`.
+ */
+function ageOn(dobISO, now = DateTime.now()) {
+  return Math.floor(now.diff(DateTime.fromISO(dobISO), 'years').years);
+}
+
+/**
+ * spokenDigits: The digits of a phone number as written or spoken ("four oh seven, double five ..."); other words are ignored.
+ */
+function spokenDigits(raw) {
+  let digits = '';
+  let repeat = 1;
+  for (const token of String(raw || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean)) {
+    if (REPEAT_WORDS[token]) {
+      repeat = REPEAT_WORDS[token];
+      continue;
+    }
+    const d = /^\d+$/.test(token) ? token : DIGIT_WORDS[token];
+    if (!d) continue;
+    digits += d.charAt(0).repeat(repeat) + d.slice(1);
+    repeat = 1;
+  }
+  return digits;
+}
+
+/**
+ * normalizePhone: 10-digit NANP number ("4076388903"); a leading +1 / 1 is dropped.
+ * - Spoken digits are accepted: "four oh seven six three eight eight nine zero three", "double five".
+ * - Area code and exchange must start with 2-9 (NANP), so "123..." or 7/11-digit numbers are re-asked.
+ */
+function normalizePhone(raw) {
+  let digits = spokenDigits(raw);
+  if (!digits) return fieldError('phone', 'missing', 'Phone number is required');
+  if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+  if (digits.length !== 10) return fieldError('phone', 'invalid', 'Phone number must be 10 digits');
+  if (!/^[2-9]\d{2}[2-9]\d{6}$/.test(digits)) return fieldError('phone', 'invalid', 'Phone number is not a valid US or Canadian number');
+  return { value: digits };
+}
+
+function formatPhone(digits) {
+  return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
+}
+
+/**
+ * normalizeEmail: Lower-cased address; spoken forms ("jane dot doe at gmail dot com") are accepted.
+ */
+function normalizeEmail(raw) {
+  let s = String(raw || '').trim().toLowerCase();
+  if (!s) return fieldError('email', 'missing', 'Email is required');
+  s = s
+    .replace(/\s+(at)\s+/g, '@')
+    .replace(/\s+(dot)\s+/g, '.')
+    .replace(/\s+(underscore)\s+/g, '_')
+    .replace(/\s+(dash|hyphen)\s+/g, '-')
+    .replace(/\s+/g, '');
+  if (!/^[a-z0-9._%+'-]+@[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/.test(s) || s.includes('..')) {
+    return fieldError('email', 'invalid', 'Email address is not valid');
+  }
+  return { value: s };
+}
+
+function normalizeStateField(raw) {
+  if (!String(raw || '').trim()) return fieldError('state', 'missing', 'State is required');
+  const code = providers.normalizeState(raw);
+  return code ? { value: code } : fieldError('state', 'invalid', 'State was not recognized');
+}
+
+/**
+ * rawPatientFields: Reads patient fields from a payload: flat (patient_name, patient_dob, patient_phone,
+ * patient_email, patient_state) or nested under `patient` ({ name | first_name + last_name, dob, phone, email, state }).
+ */
+function rawPatientFields(payload = {}) {
+  const nested = payload.patient && typeof payload.patient === 'object' ? payload.patient : {};
+  const splitName = [nested.first_name, nested.last_name].filter(Boolean).join(' ');
+  return {
+    name: payload.patient_name || nested.name || nested.full_name || splitName || null,
+    dob: payload.patient_dob || payload.date_of_birth || nested.dob || nested.date_of_birth || null,
+    phone: payload.patient_phone || nested.phone || null,
+    email: payload.patient_email || nested.email || null,
+    state: payload.patient_state || nested.state || null
+  };
+}
+
+/**
+ * validatePatientDetails: { ok, patient, errors }.
+ * - `required` fields must be present; other fields are validated only when given.
+ * - patient = { full_name, first_name, middle_name, last_name, suffix, dob, age, phone, phone_display, email, state }.
+ */
+function validatePatientDetails(payload = {}, { required = REQUIRED_FIELDS, now } = {}) {
+  const raw = rawPatientFields(payload);
+  const normalizers = { name: normalizeName, dob: (v) => normalizeDob(v, { now }), phone: normalizePhone, email: normalizeEmail, state: normalizeStateField };
+  const values = {};
+  const errors = [];
+
+  for (const field of Object.keys(normalizers)) {
+    const given = raw[field] !== null && raw[field] !== undefined && String(raw[field]).trim() !== '';
+    if (!given && !required.includes(field)) continue;
+    const result = normalizers[field](raw[field]);
+    if (result.error) errors.push(result.error);
+    else values[field] = result.value;
+  }
+
+  const patient = {
+    ...(values.name || {}),
+    dob: values.dob || null,
+    age: values.dob ? ageOn(values.dob, now) : null,
+    phone: values.phone || null,
+    phone_display: values.phone ? formatPhone(values.phone) : null,
+    email: values.email || null,
+    state: values.state || null
+  };
+  return { ok: errors.length === 0, patient, errors };
+}
+
+function hasPatientFields(payload = {}) {
+  return Object.values(rawPatientFields(payload)).some((v) => v !== null && String(v).trim() !== '');
+}
+
+/**
+ * patientFromPayload: Validated details for a booking payload, or a statusCode 400 `invalid_patient_details`
+ * error carrying `field_errors`.
+ * - A payload without any patient fields gives null, unless REQUIRE_PATIENT_DETAILS=true.
+ */
+function patientFromPayload(payload = {}, options = {}) {
+  if (!hasPatientFields(payload) && !REQUIRE_PATIENT_DETAILS) return null;
+  const result = validatePatientDetails(payload, options);
+  if (!result.ok) {
+    const err = new Error(result.errors.map((e) => e.message).join('; '));
+    err.code = 'invalid_patient_details';
+    err.statusCode = 400;
+    err.field_errors = result.errors;
+    throw err;
+  }
+  return result.patient;
+}
+
+/**
+ * applyPatientDetails: Writes the patient_* private properties.
+ */
+function applyPatientDetails(event, patient) {
+  if (!patient) return event;
+  const props = {
+    patient_full_name: patient.full_name,
+    patient_first_name: patient.first_name,
+    patient_last_name: patient.last_name,
+    patient_suffix: patient.suffix,
+    patient_dob: patient.dob,
+    patient_phone: patient.phone,
+    patient_email: patient.email,
+    patient_state: patient.state
+  };
+  const cleanProps = Object.fromEntries(Object.entries(props).filter(([, v]) => v));
+
+  const extended = event.extendedProperties || {};
+  return {
+    ...event,
+    extendedProperties: {
+      ...extended,
+      private: { ...(extended.private || {}), ...cleanProps }
+    }
+  };
+}
+
+/**
+ * parsePatientName: { ok, full_name, first_name, middle_name, last_name, suffix } or { ok: false, errors }.
+ */
+async function parsePatientName(payload = {}) {
+  const raw = payload.user_message || payload.text || payload.patient_name || payload.name || '';
+  // Drop spoken lead-ins: "my name is ...", "this is ...", "it's ..."
+  const spoken = String(raw).replace(/^\s*(?:my name is|my name's|this is|it's|it is|i'm|i am|name is)\s+/i, '').replace(/[.!]+$/, '');
+  const result = normalizeName(spoken);
+  if (result.error) return { ok: false, full_name: String(raw).trim(), errors: [result.error] };
+  return { ok: true, ...result.value };
+}
+
+module.exports = {
+  normalizeName,
+  normalizeDob,
+  normalizePhone,
+  normalizeEmail,
+  normalizeStateField,
+  validatePatientDetails,
+  patientFromPayload,
+  applyPatientDetails,
+  parsePatientName
+};
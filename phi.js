@@ -0,0 +1,173 @@
+'use strict';
+/**
+ * Minimum-necessary PHI on calendar events.
+ *
+ * Event titles, descriptions and attendee lists are visible to invitees and to anyone the calendar
+ * is shared with, so booked events carry no patient identifiers there:
+ *  - summary: "<appointment type> - J.D." (PHI_TITLE_FORMAT=initials, default) or
+ *    "<appointment type> - P-1A2B3C4D" (PHI_TITLE_FORMAT=reference);
+ *  - description: the patient reference only. Whatever the agent sent as summary/description is
+ *    moved to the private `booking_notes` property;
+ *  - attendees: the patient is only added (and invited) when PATIENT_INVITES=true. Otherwise
+ *    attendees other than the provider are dropped and Google sends no updates.
+ * Names, phone, DOB and email stay in private extended properties (see patient-details.js), which
+ * only this service reads.
+ *
+ * The patient reference is a keyed hash of phone + date of birth (PHI_REFERENCE_SECRET, falls back
+ * to SECRET_TOKEN), so staff can match events for the same patient without seeing who it is. Without
+ * either key the hash could be brute-forced from phone + DOB, so production (see api-auth.js authRequired)
+ * refuses to start; local development uses a fixed development key and logs a warning.
+ *
+ * Patient details this service keeps outside the calendar (the waitlist file) are sealed with AES-256-GCM under a
+ * key derived from the same secret, so the file holds no readable names, phone numbers or dates of birth.
+ *
+ * Exports:
+ *  - patientReference: "P-XXXXXXXX" for a validated patient (null without phone or DOB).
+ *  - eventTitle: The PHI-free event summary.
+ *  - applyPhiPolicy: Copy of an event with title, description and attendees made PHI-free.
+ *  - sendUpdates: 'all' when patients receive invites, else 'none'.
+ *  - lookupKey: Keyed hash of one patient detail (e.g. the phone), for finding sealed records.
+ *  - sealDetails / openDetails: Encrypt a JSON value for storage / decrypt it.
+ *  - assertConfigured: Startup check for the reference key.
+ */
+
+const crypto = require('crypto');
+const providers = require('./providers');
+const apiAuth = require('./api-auth');
+const logger = require('./logger');
+
+const PHI_TITLE_FORMAT = (process.env.PHI_TITLE_FORMAT || 'initials').toLowerCase();
+const PATIENT_INVITES = process.env.PATIENT_INVITES === 'true';
+// Google limits a private property value to 1024 characters
+const MAX_PROPERTY_LENGTH = 1024;
+
+let warnedDevelopmentKey = false;
+
+function referenceSecret() {
+  const secret = process.env.PHI_REFERENCE_SECRET || process.env.SECRET_TOKEN;
+  if (secret) return secret;
+  if (apiAuth.authRequired()) throw new Error('phi: PHI_REFERENCE_SECRET (or SECRET_TOKEN) is required in production');
+  if (!warnedDevelopmentKey) {
+    warnedDevelopmentKey = true;
+    logger.warn('phi: no PHI_REFERENCE_SECRET or SECRET_TOKEN, patient references use a development key and are not safe for real patients');
+  }
+  return 'retell-calendar';
+}
+
+/**
+ * assertConfigured: Throws in production when no reference key is set; warns once outside production.
+ */
+function assertConfigured() {
+  referenceSecret();
+}
+
+/**
+ * patientReference: Stable, non-identifying reference for a patient (same phone + DOB, same reference).
+ */
+function patientReference(patient) {
+  if (!patient || !patient.phone || !patient.dob) return null;
+  const mac = crypto.createHmac('sha256', referenceSecret()).update(`${patient.phone}|${patient.dob}`).digest('hex');
+  return `P-${mac.slice(0, 8).toUpperCase()}`;
+}
+
+/**
+ * lookupKey: Keyed hash of a value of one kind ('phone', ...), so a record can be found by it without storing it.
+ */
+function lookupKey(kind, value) {
+  if (!value) return null;
+  return crypto.createHmac('sha256', referenceSecret()).update(`${kind}|${value}`).digest('hex').slice(0, 32);
+}
+
+function sealKey() {
+  return crypto.createHash('sha256').update(`seal|${referenceSecret()}`).digest();
+}
+
+/**
+ * sealDetails: "v1.<iv>.<tag>.<ciphertext>" (base64url) for any JSON value.
+ */
+function sealDetails(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', sealKey(), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return ['v1', iv, cipher.getAuthTag(), data].map((part) => (typeof part === 'string' ? part : part.toString('base64url'))).join('.');
+}
+
+/**
+ * openDetails: The value sealed by sealDetails; throws when the key differs or the text was altered.
+ */
+function openDetails(sealed) {
+  const [version, iv, tag, data] = String(sealed || '').split('.');
+  if (version !== 'v1' || !iv || !tag || data === undefined) throw new Error('phi: not a sealed value');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', sealKey(), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  const text = Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]).toString('utf8');
+  return JSON.parse(text);
+}
+
+function initials(patient) {
+  if (!patient || !patient.first_name || !patient.last_name) return null;
+  const last = patient.last_name.split(/\s+/).filter((w) => /^\p{Lu}/u.test(w)).pop() || patient.last_name;
+  return `${patient.first_name.charAt(0)}.${last.charAt(0)}.`.toUpperCase();
+}
+
+/**
+ * eventTitle: "<type display name or Appointment> - <initials | reference>".
+ */
+function eventTitle({ patient, type } = {}) {
+  const label = (type && type.display_name) || 'Appointment';
+  const reference = patientReference(patient);
+  const tag = PHI_TITLE_FORMAT === 'reference' ? reference || initials(patient) : initials(patient) || reference;
+  return tag ? `${label} - ${tag}` : label;
+}
+
+function providerEmails(calendarId) {
+  const provider = calendarId ? providers.getProviderByCalendarId(calendarId) : null;
+  return new Set([calendarId, provider && provider.calendar_email].filter(Boolean).map((e) => String(e).toLowerCase()));
+}
+
+/**
+ * applyPhiPolicy: Rewrites summary, description and attendees; agent-written text goes to booking_notes.
+ */
+function applyPhiPolicy(event, { patient, type, calendarId } = {}) {
+  const extended = event.extendedProperties || {};
+  const priv = { ...(extended.private || {}) };
+  const reference = patientReference(patient);
+  if (reference) priv.patient_ref = reference;
+
+  const notes = [event.summary, event.description].filter(Boolean).join('\n');
+  if (notes) priv.booking_notes = notes.slice(0, MAX_PROPERTY_LENGTH);
+
+  const ownEmails = providerEmails(calendarId);
+  let attendees = (event.attendees || []).filter((a) => a && a.email && ownEmails.has(String(a.email).toLowerCase()));
+  if (PATIENT_INVITES) {
+    attendees = (event.attendees || []).slice();
+    if (patient && patient.email && !attendees.some((a) => a && String(a.email).toLowerCase() === patient.email)) {
+      attendees.push({ email: patient.email });
+    }
+  }
+
+  const out = {
+    ...event,
+    summary: eventTitle({ patient, type }),
+    description: reference ? `Patient ref: ${reference}` : '',
+    extendedProperties: { ...extended, private: priv },
+  };
+  if (attendees.length) out.attendees = attendees;
+  else delete out.attendees;
+  return out;
+}
+
+function sendUpdates() {
+  return PATIENT_INVITES ? 'all' : 'none';
+}
+
+module.exports = {
+  patientReference,
+  eventTitle,
+  applyPhiPolicy,
+  sendUpdates,
+  lookupKey,
+  sealDetails,
+  openDetails,
+  assertConfigured
+};
@@ -0,0 +1,328 @@
+'use strict';
+/**
+ * Provider directory over providers.json.
+ *
+ * Matching follows the rules the agent is given in the knowledge base:
+ *  - States are accepted as names or abbreviations (mapping from docs/Licensed_States.md).
+ *  - Insurance names are matched by carrier family, so "BCBS", "Blue Cross" and "Anthem" all find
+ *    the Blue Cross Blue Shield plans, "UHC"/"Optum" find United Healthcare, and so on.
+ *  - Specialty, language, patient age (pediatric care is ages 6+), telehealth and in_person (providers with
+ *    clinic_days) narrow the list.
+ *
+ * Every evaluated provider carries `matched`, the criteria it meets (e.g. "licensed in FL"), and `reasons`, the
+ * ones it fails (e.g. "not licensed in TX"; empty for eligible providers), so the agent can explain why someone
+ * was or was not offered.
+ *
+ * Exports:
+ *  - getProviders: Returns every provider entry as an array.
+ *  - getProvider: Looks up a provider by token (e.g. "megan-ramirez").
+ *  - getProviderByCalendarId: Reverse lookup from a Google calendar_id.
+ *  - normalizeState: "Florida" / "fl" / "FL" -> "FL" (null when unrecognized).
+ *  - matchProviders: Evaluates every provider against the criteria (eligible and rejected, ranked).
+ *  - findProviders: Eligible providers only, best match first.
+ */
+
+const providersJson = require('./providers.json');
+
+// From docs/Licensed_States.md (ALL_STATE_NAMES), completed to all 50 states + DC.
+const STATE_NAMES = {
+  'alabama': 'AL', 'alaska': 'AK', 'arizona': 'AZ', 'arkansas': 'AR', 'california': 'CA',
+  'colorado': 'CO', 'connecticut': 'CT', 'delaware': 'DE', 'district of columbia': 'DC', 'dc': 'DC',
+  'washington dc': 'DC', 'washington d.c.': 'DC', 'florida': 'FL', 'georgia': 'GA', 'hawaii': 'HI',
+  'idaho': 'ID', 'illinois': 'IL', 'indiana': 'IN', 'iowa': 'IA', 'kansas': 'KS',
+  'kentucky': 'KY', 'louisiana': 'LA', 'maine': 'ME', 'maryland': 'MD', 'massachusetts': 'MA',
+  'michigan': 'MI', 'minnesota': 'MN', 'mississippi': 'MS', 'missouri': 'MO', 'montana': 'MT',
+  'nebraska': 'NE', 'nevada': 'NV', 'new hampshire': 'NH', 'new jersey': 'NJ', 'new mexico': 'NM',
+  'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND', 'ohio': 'OH', 'oklahoma': 'OK',
+  'oregon': 'OR', 'pennsylvania': 'PA', 'rhode island': 'RI', 'south carolina': 'SC', 'south dakota': 'SD',
+  'tennessee': 'TN', 'texas': 'TX', 'utah': 'UT', 'vermont': 'VT', 'virginia': 'VA',
+  'washington': 'WA', 'west virginia': 'WV', 'wisconsin': 'WI', 'wyoming': 'WY'
+};
+const STATE_ABBREVIATIONS = new Set(Object.values(STATE_NAMES));
+
+// Carrier families: a plan or a caller's phrase belongs to every family whose keyword it contains.
+const INSURANCE_FAMILIES = {
+  bcbs: ['bcbs', 'blue cross', 'blue shield', 'bluecross', 'anthem', 'florida blue', 'premera', 'regence', 'wellmark'],
+  anthem: ['anthem'],
+  florida_blue: ['florida blue'],
+  premera: ['premera'],
+  regence: ['regence'],
+  wellmark: ['wellmark'],
+  aetna: ['aetna', 'better health'],
+  cigna: ['cigna', 'evernorth'],
+  ambetter: ['ambetter'],
+  medicaid: ['medicaid'],
+  oscar: ['oscar'],
+  oxford: ['oxford'],
+  united: ['united healthcare', 'unitedhealthcare', 'united health', 'uhc', 'optum']
+};
+
+// A caller saying just "Blue Cross" should not be narrowed to one regional plan; a caller naming
+// the regional plan ("Premera") should only match that plan.
+const SPECIFIC_FAMILIES = ['anthem', 'florida_blue', 'premera', 'regence', 'wellmark'];
+
+function getProviders() {
+  return Object.keys(providersJson).map((key) => ({ token: key, ...providersJson[key] }));
+}
+
+function getProvider(token) {
+  if (!token) return null;
+  const key = String(token).trim().toLowerCase();
+  return providersJson[key] ? { token: key, ...providersJson[key] } : null;
+}
+
+function getProviderByCalendarId(calendarId) {
+  if (!calendarId) return null;
+  const wanted = String(calendarId).trim().toLowerCase();
+  return getProviders().find((p) => String(p.calendar_id || '').toLowerCase() === wanted) || null;
+}
+
+/**
+ * normalizeState: Accepts "FL", "fl", "Florida", " florida. " -> "FL"; null when unrecognized.
+ */
+function normalizeState(raw) {
+  if (!raw) return null;
+  const s = String(raw).trim().toLowerCase().replace(/[.,]+$/g, '').replace(/\s+/g, ' ');
+  if (!s) return null;
+  if (STATE_NAMES[s]) return STATE_NAMES[s];
+  const upper = s.replace(/\./g, '').toUpperCase();
+  return STATE_ABBREVIATIONS.has(upper) ? upper : null;
+}
+
+function normalizeText(raw) {
+  return String(raw || '').toLowerCase().replace(/[^a-z0-9/ ]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function insuranceFamilies(raw) {
+  const s = normalizeText(raw);
+  return Object.keys(INSURANCE_FAMILIES).filter((family) => INSURANCE_FAMILIES[family].some((kw) => s.includes(kw)));
+}
+
+/**
+ * matchInsurance: Returns the provider's plan that best matches the caller's phrase, or null.
+ * - A plan name matches directly only on whole words, so "a" or "ae" never picks a plan by substring.
+ */
+function matchInsurance(provider, insurance) {
+  const wanted = normalizeText(insurance);
+  const plans = provider.insurances || [];
+  if (!wanted) return null;
+
+  const direct = plans.find((plan) => ` ${normalizeText(plan)} `.includes(` ${wanted} `));
+  if (direct) return direct;
+
+  const families = insuranceFamilies(wanted);
+  if (!families.length) return null;
+  const specific = families.filter((f) => SPECIFIC_FAMILIES.includes(f));
+  const required = specific.length ? specific : families;
+
+  return plans.find((plan) => {
+    const planFamilies = insuranceFamilies(plan);
+    return required.some((f) => planFamilies.includes(f));
+  }) || null;
+}
+
+// Generic words that say nothing about the condition ("eating disorders" must not match "Anxiety disorders").
+const GENERIC_SPECIALTY_WORDS = new Set([
+  'disorder', 'disorders', 'therapy', 'management', 'treatment', 'care', 'issues', 'problems', 'psychiatry', 'adult', 'and'
+]);
+
+// Conditions callers name in other words; a phrase belongs to every entry whose term or synonym it contains.
+const SPECIALTY_SYNONYMS = {
+  ptsd: ['ptsd', 'trauma', 'post traumatic', 'posttraumatic'],
+  adhd: ['adhd', 'add', 'attention deficit'],
+  ocd: ['ocd', 'obsessive compulsive'],
+  substance: ['substance', 'addiction', 'alcohol', 'drug', 'drugs', 'opioid', 'opioids'],
+  depression: ['depression', 'depressed', 'depressive'],
+  anxiety: ['anxiety', 'anxious', 'worry'],
+  bipolar: ['bipolar', 'manic', 'mania'],
+  psychosis: ['psychosis', 'psychotic', 'schizophrenia', 'hallucinations'],
+  child: ['child', 'children', 'kid', 'kids', 'pediatric', 'adolescent', 'teen', 'teens', 'teenager']
+};
+
+/**
+ * specialtyWords: The specific words of a specialty phrase ("Substance abuse disorders" -> ["substance", "abuse"]).
+ */
+function specialtyWords(raw) {
+  return normalizeText(raw).split(/[ /]+/).filter((w) => w && !GENERIC_SPECIALTY_WORDS.has(w));
+}
+
+function specialtyConcepts(words) {
+  const text = ` ${words.join(' ')} `;
+  return Object.keys(SPECIALTY_SYNONYMS).filter((key) => SPECIALTY_SYNONYMS[key].some((term) => text.includes(` ${term} `)));
+}
+
+/**
+ * matchSpecialty: The provider's specialty matching the caller's phrase, or null.
+ * - Matches the whole phrase either way round ("panic attacks" / "Panic disorder" after generic words are dropped),
+ *   a shared synonym ("trauma" / "PTSD"), or one specific word of the provider's specialty in the phrase.
+ */
+function matchSpecialty(provider, specialty) {
+  const wanted = specialtyWords(specialty);
+  if (!wanted.length) return null;
+  const wantedText = ` ${wanted.join(' ')} `;
+  const wantedConcepts = specialtyConcepts(wanted);
+  return (provider.specialties || []).find((s) => {
+    const have = specialtyWords(s);
+    if (!have.length) return false;
+    const haveText = ` ${have.join(' ')} `;
+    if (haveText.includes(wantedText) || wantedText.includes(haveText)) return true;
+    if (specialtyConcepts(have).some((c) => wantedConcepts.includes(c))) return true;
+    return have.some((w) => w.length > 3 && wanted.includes(w));
+  }) || null;
+}
+
+function matchLanguage(provider, language) {
+  const wanted = normalizeText(language);
+  if (!wanted) return null;
+  return (provider.languages || ['English']).find((l) => normalizeText(l) === wanted || normalizeText(l).startsWith(wanted)) || null;
+}
+
+function matchName(provider, q) {
+  const wanted = normalizeText(q).replace(/\b(dr|doctor|nurse|np|pmhnp|bc)\b/g, '').trim();
+  if (!wanted) return true;
+  const haystack = [provider.token, provider.name, provider.display_name].map(normalizeText).join(' ');
+  return wanted.split(' ').every((w) => haystack.includes(w));
+}
+
+/**
+ * evaluateProvider: Scores one provider; each criterion checked goes in `matched` when met, else in `reasons`.
+ * The provider is eligible when `reasons` is empty.
+ */
+function evaluateProvider(provider, criteria) {
+  const matched = [];
+  const reasons = [];
+  let score = 0;
+
+  if (criteria.q) {
+    if (matchName(provider, criteria.q)) {
+      matched.push(`name matches "${criteria.q}"`);
+      score += 5;
+    } else {
+      reasons.push(`name does not match "${criteria.q}"`);
+    }
+  }
+
+  if (criteria.state) {
+    const code = normalizeState(criteria.state);
+    if (!code) {
+      reasons.push(`unrecognized state "${criteria.state}"`);
+    } else if ((provider.licensed_states || []).includes(code)) {
+      matched.push(`licensed in ${code}`);
+      score += 3;
+    } else {
+      reasons.push(`not licensed in ${code}`);
+    }
+  }
+
+  if (criteria.insurance) {
+    const plan = matchInsurance(provider, criteria.insurance);
+    if (plan) {
+      matched.push(`accepts ${plan}`);
+      score += 3;
+    } else {
+      reasons.push(`does not accept ${criteria.insurance}`);
+    }
+  }
+
+  if (criteria.specialty) {
+    const specialty = matchSpecialty(provider, criteria.specialty);
+    if (specialty) {
+      matched.push(`specializes in ${specialty}`);
+      score += 2;
+    } else {
+      reasons.push(`does not list ${criteria.specialty} as a specialty`);
+    }
+  }
+
+  if (criteria.language) {
+    const language = matchLanguage(provider, criteria.language);
+    if (language) {
+      matched.push(`speaks ${language}`);
+      score += 2;
+    } else {
+      reasons.push(`does not speak ${criteria.language}`);
+    }
+  }
+
+  const age = criteria.age !== undefined && criteria.age !== null && criteria.age !== '' ? Number(criteria.age) : null;
+  const minAge = Number(provider.min_patient_age || 18);
+  if (age !== null && !Number.isNaN(age)) {
+    if (age >= minAge) {
+      matched.push(age < 18 ? `sees patients ages ${minAge}+` : 'sees adult patients');
+      if (age < 18) score += 2;
+    } else {
+      reasons.push(`does not see patients under ${minAge}`);
+    }
+  } else if (criteria.pediatric) {
+    if (minAge < 18) {
+      matched.push(`sees pediatric patients ages ${minAge}+`);
+      score += 2;
+    } else {
+      reasons.push('does not see pediatric patients');
+    }
+  }
+
+  if (criteria.telehealth) {
+    if (provider.telehealth) {
+      matched.push('offers telehealth');
+      score += 1;
+    } else {
+      reasons.push('does not offer telehealth');
+    }
+  }
+
+  const clinicTokens = (provider.clinic_days || []).map((d) => d.clinic);
+  if (criteria.in_person) {
+    if (clinicTokens.length) {
+      matched.push('sees patients in person');
+      score += 1;
+    } else {
+      reasons.push('does not see patients in person');
+    }
+  }
+
+  return {
+    token: provider.token,
+    id: provider.id,
+    name: provider.name,
+    display_name: provider.display_name,
+    calendar_id: provider.calendar_id,
+    telehealth: !!provider.telehealth,
+    in_person_clinics: clinicTokens,
+    licensed_states: provider.licensed_states || [],
+    specialties: provider.specialties || [],
+    languages: provider.languages || ['English'],
+    min_patient_age: minAge,
+    eligible: !reasons.length,
+    score,
+    matched,
+    reasons
+  };
+}
+
+/**
+ * matchProviders: Every provider evaluated against the criteria; eligible first, then by score.
+ * Criteria: state, insurance, specialty, language, age, pediatric, telehealth, in_person, q (name search).
+ */
+async function matchProviders(criteria = {}) {
+  return getProviders()
+    .map((p) => evaluateProvider(p, criteria))
+    .sort((a, b) => (Number(b.eligible) - Number(a.eligible)) || (b.score - a.score) || String(a.name).localeCompare(String(b.name)));
+}
+
+/**
+ * findProviders: Eligible providers only, best match first.
+ */
+async function findProviders(criteria = {}) {
+  return (await matchProviders(criteria)).filter((p) => p.eligible);
+}
+
+module.exports = {
+  getProviders,
+  getProvider,
+  getProviderByCalendarId,
+  normalizeState,
+  matchInsurance,
+  matchProviders,
+  findProviders
+};
@@ -0,0 +1,176 @@
+'use strict';
+/**
+ * Rate limits per API key, per Retell caller (from_number) and per patient phone.
+ *
+ * Two policies:
+ *  - query (availability, slots, first available, provider lookup): every request counts.
+ *      RATE_LIMIT_QUERIES_PER_MINUTE (default 30) per caller number and per API key (x4, since one key serves many calls).
+ *  - booking (/book, /book_provider_appointment, /new_patient/book, waitlist accept, and the changes /cancel,
+ *    /reschedule and /waitlist/remove): each request reserves its place when it is admitted and the reservation is
+ *    released unless it succeeds, so parallel requests cannot all pass the check and a slot_taken retry does not
+ *    use up the caller's allowance.
+ *      RATE_LIMIT_BOOKINGS_PER_PHONE_PER_WEEK (3) per patient phone,
+ *      RATE_LIMIT_BOOKINGS_PER_CALLER_PER_DAY (5) per caller number,
+ *      RATE_LIMIT_BOOKINGS_PER_KEY_PER_HOUR (60) per API key.
+ * A limit of 0 turns that rule off.
+ *
+ * Counters are fixed windows in a swappable store: anything with async increment(key, windowMs) -> { count, resetAt }
+ * and decrement(key) works (a Redis INCR + PEXPIRE / DECR adapter only needs those two), see setStore. Phone numbers
+ * are hashed before they become keys.
+ *
+ * Exports:
+ *  - POLICIES: Rule definitions by policy name.
+ *  - subjectsOf: The keys a request is limited under for a policy.
+ *  - check: Counts (or reserves) the request; the first rule it is over, or null.
+ *  - release: Gives back a reservation for a request that did not succeed.
+ *  - setStore / createMemoryStore: Swap the counter store (default: in-process Map).
+ */
+
+const crypto = require('crypto');
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+function limitFromEnv(name, fallback) {
+  const value = process.env[name];
+  return value === undefined || value === '' ? fallback : Number(value);
+}
+
+const POLICIES = {
+  query: {
+    countOn: 'request',
+    rules: [
+      { dimension: 'from_number', limit: limitFromEnv('RATE_LIMIT_QUERIES_PER_MINUTE', 30), windowMs: MINUTE },
+      { dimension: 'api_key', limit: limitFromEnv('RATE_LIMIT_QUERIES_PER_MINUTE', 30) * 4, windowMs: MINUTE },
+    ],
+  },
+  booking: {
+    countOn: 'success',
+    rules: [
+      { dimension: 'patient_phone', limit: limitFromEnv('RATE_LIMIT_BOOKINGS_PER_PHONE_PER_WEEK', 3), windowMs: 7 * DAY },
+      { dimension: 'from_number', limit: limitFromEnv('RATE_LIMIT_BOOKINGS_PER_CALLER_PER_DAY', 5), windowMs: DAY },
+      { dimension: 'api_key', limit: limitFromEnv('RATE_LIMIT_BOOKINGS_PER_KEY_PER_HOUR', 60), windowMs: HOUR },
+    ],
+  },
+};
+
+/**
+ * createMemoryStore: Map of fixed-window counters; expired windows are swept as new ones are opened.
+ */
+function createMemoryStore() {
+  const counters = new Map();
+  function live(key, now) {
+    const entry = counters.get(key);
+    if (entry && entry.resetAt <= now) {
+      counters.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = live(key, now);
+      if (!entry) {
+        if (counters.size > 10000) {
+          for (const k of counters.keys()) live(k, now);
+        }
+        entry = { count: 0, resetAt: now + windowMs };
+        counters.set(key, entry);
+      }
+      entry.count += 1;
+      return { ...entry };
+    },
+    async decrement(key) {
+      const entry = live(key, Date.now());
+      if (entry && entry.count > 0) entry.count -= 1;
+    },
+  };
+}
+
+let store = createMemoryStore();
+
+function setStore(next) {
+  if (!next || typeof next.increment !== 'function' || typeof next.decrement !== 'function') {
+    throw new Error('rate-limit: store must implement increment and decrement');
+  }
+  store = next;
+}
+
+function hashed(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 24);
+}
+
+function phoneDigits(raw) {
+  const digits = String(raw || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : null;
+}
+
+/**
+ * subjectsOf: { api_key, from_number, patient_phone } for a request (missing ones are null).
+ */
+function subjectsOf(req, payload = {}) {
+  const call = (req.retell && req.retell.call) || {};
+  const patient = payload.patient && typeof payload.patient === 'object' ? payload.patient : {};
+  const fromNumber = phoneDigits(call.from_number || payload.from_number);
+  const patientPhone = phoneDigits(payload.patient_phone || patient.phone);
+  return {
+    api_key: req.auth && req.auth.method !== 'none' ? req.auth.name : null,
+    from_number: fromNumber ? hashed(fromNumber) : null,
+    patient_phone: patientPhone ? hashed(patientPhone) : null,
+  };
+}
+
+function activeRules(policyName, subjects) {
+  const policy = POLICIES[policyName];
+  if (!policy) throw new Error(`rate-limit: unknown policy "${policyName}"`);
+  return policy.rules
+    .filter((rule) => rule.limit > 0 && subjects[rule.dimension])
+    .map((rule) => ({ ...rule, key: `rl:${policyName}:${rule.dimension}:${subjects[rule.dimension]}` }));
+}
+
+/**
+ * check: { policy, dimension, limit, window_seconds, retry_after_seconds } for the first exhausted rule, or null.
+ * - The request is counted against every rule up front; `request` policies keep the count either way.
+ * - `success` policies hold it as a reservation: a refused request gives its places back here, an admitted one
+ *   keeps them until release (when it fails) or for good (when it succeeds).
+ */
+async function check(policyName, subjects) {
+  const reserving = POLICIES[policyName].countOn === 'success';
+  const counted = [];
+  for (const rule of activeRules(policyName, subjects)) {
+    const entry = await store.increment(rule.key, rule.windowMs);
+    counted.push(rule);
+    if (entry.count > rule.limit) {
+      if (reserving) await Promise.all(counted.map((r) => store.decrement(r.key)));
+      return {
+        policy: policyName,
+        dimension: rule.dimension,
+        limit: rule.limit,
+        window_seconds: Math.round(rule.windowMs / 1000),
+        retry_after_seconds: Math.max(1, Math.ceil((entry.resetAt - Date.now()) / 1000)),
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * release: Gives back the places an admitted request of a `success` policy reserved in check.
+ */
+async function release(policyName, subjects) {
+  if (POLICIES[policyName].countOn !== 'success') return;
+  for (const rule of activeRules(policyName, subjects)) {
+    await store.decrement(rule.key);
+  }
+}
+
+module.exports = {
+  POLICIES,
+  subjectsOf,
+  check,
+  release,
+  setStore,
+  createMemoryStore
+};
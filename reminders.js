@@ -0,0 +1,252 @@
+'use strict';
+/**
+ * Appointment reminders and the patient's C / X replies.
+ *
+ * scanReminders reads every provider calendar from now to the largest offset ahead and, for each booked event with a
+ * patient phone or email, sends the reminder that has come due at REMINDER_OFFSETS_HOURS (48,2) before the start.
+ * What has been handled is kept on the event itself (private `reminders_sent`, e.g. "48,2", and
+ * `reminder_last_sent_at`), so scans are safe to repeat and need no store of their own. When several offsets are due
+ * at once only the nearest is sent, and an offset that came due before the event was booked is skipped (the
+ * booking confirmation covered it). Scans run every REMINDER_SCAN_INTERVAL_MINUTES (15; 0 turns the in-process job
+ * off) and from POST /reminders/run for Cloud Scheduler.
+ *
+ * handleReply takes an inbound text (from the SMS provider's webhook, POST /reminders/reply): "C" confirms the
+ * patient's next appointment (private `reminder_response: confirmed`, `reminder_response_at`) and "X" cancels it
+ * through cancel_provider_appointment, so the late-cancellation policy and the cancellation message apply as
+ * they do for /cancel. The appointment is the sender's soonest upcoming one that was reminded; a sender whose upcoming
+ * appointments have not been reminded yet is texted that nothing is waiting for a reply, and nothing is changed.
+ *
+ * Exports:
+ *  - scanReminders: Sends the reminders due now; returns counts.
+ *  - handleReply: Confirms or cancels for an inbound { from, body } text.
+ *  - parseReply: 'confirm', 'cancel' or null for a reply text.
+ *  - startReminderTimer: Starts the periodic scan.
+ */
+
+const { DateTime } = require('luxon');
+const calendarOps = require('./calendar-operations');
+const notifications = require('./notifications');
+const patientDetails = require('./patient-details');
+const providers = require('./providers');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const REMINDER_OFFSETS_HOURS = (process.env.REMINDER_OFFSETS_HOURS || '48,2')
+  .split(',').map(Number).filter((h) => h > 0).sort((a, b) => b - a);
+const REMINDER_SCAN_INTERVAL_MINUTES = Number(process.env.REMINDER_SCAN_INTERVAL_MINUTES === undefined ? 15 : process.env.REMINDER_SCAN_INTERVAL_MINUTES);
+
+const CONFIRM_WORDS = ['c', 'confirm', 'confirmed', 'yes', 'y'];
+const CANCEL_WORDS = ['x', 'cancel', 'cancelled', 'canceled'];
+
+function reminderError(code, message, statusCode, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  Object.assign(err, extra);
+  return err;
+}
+
+function privateProps(event) {
+  return (event.extendedProperties && event.extendedProperties.private) || {};
+}
+
+function eventStart(event) {
+  return event.start && (event.start.dateTime || event.start.date);
+}
+
+function parseSent(raw) {
+  return String(raw || '').split(',').map(Number).filter((h) => h > 0);
+}
+
+function horizonHours() {
+  return REMINDER_OFFSETS_HOURS.length ? REMINDER_OFFSETS_HOURS[0] : 0;
+}
+
+/**
+ * parseReply: First word of the text, case-insensitive ("C", "c.", "Confirm", "X", "cancel please").
+ */
+function parseReply(text) {
+  const word = String(text || '').trim().toLowerCase().split(/[^a-z]+/).filter(Boolean)[0] || '';
+  if (CONFIRM_WORDS.includes(word)) return 'confirm';
+  if (CANCEL_WORDS.includes(word)) return 'cancel';
+  return null;
+}
+
+async function patchPrivate(backend, calendarId, event, props) {
+  return backend.patchEvent(calendarId, event.id, {
+    extendedProperties: { private: { ...privateProps(event), ...props } },
+  }, { sendUpdates: 'none' });
+}
+
+/**
+ * remindEvent: Sends the nearest due reminder for one event and records every due offset as handled.
+ * Returns { sent, skipped } (offset lists); the event is patched before the message is queued, so a failed
+ * write never turns into a reminder repeated on every scan.
+ */
+async function remindEvent(backend, calendarId, event, now) {
+  const priv = privateProps(event);
+  const start = DateTime.fromISO(eventStart(event) || '');
+  if (!start.isValid || start <= now || (!priv.patient_phone && !priv.patient_email)) return { sent: [], skipped: [] };
+
+  const done = parseSent(priv.reminders_sent);
+  const due = REMINDER_OFFSETS_HOURS.filter((h) => !done.includes(h) && start.minus({ hours: h }) <= now);
+  if (!due.length) return { sent: [], skipped: [] };
+
+  const nearest = due[due.length - 1];
+  const created = event.created ? DateTime.fromISO(event.created) : null;
+  const bookedAfterDue = created && created.isValid && created >= start.minus({ hours: nearest });
+  const sent = bookedAfterDue ? [] : [nearest];
+  const skipped = due.filter((h) => !sent.includes(h));
+
+  const props = { reminders_sent: [...done, ...due].sort((a, b) => b - a).join(',') };
+  if (sent.length) props.reminder_last_sent_at = now.toUTC().toISO();
+  const patched = await patchPrivate(backend, calendarId, event, props);
+  if (sent.length) notifications.notifyReminder({ event: patched || event, calendarId });
+
+  for (const h of sent) metrics.reminders.inc({ offset: String(h), outcome: 'sent' });
+  for (const h of skipped) metrics.reminders.inc({ offset: String(h), outcome: 'skipped' });
+  return { sent, skipped };
+}
+
+let running = null;
+
+/**
+ * scanReminders: One pass over every provider calendar. Overlapping calls share the pass already running.
+ * - Returns { ok, events, sent, skipped, errors }; a calendar or event that fails is logged and listed under `errors`.
+ */
+function scanReminders() {
+  if (!running) {
+    running = runScan().finally(() => { running = null; });
+  }
+  return running;
+}
+
+async function runScan() {
+  const now = DateTime.now();
+  const out = { ok: true, events: 0, sent: 0, skipped: 0, errors: [] };
+  if (!horizonHours()) return out;
+  const timeMax = now.plus({ hours: horizonHours() });
+
+  for (const provider of providers.getProviders()) {
+    if (!provider.calendar_id) continue;
+    let backend;
+    let events;
+    try {
+      backend = await calendarOps.backendForCalendar(provider.calendar_id);
+      events = await backend.listEvents(provider.calendar_id, { timeMin: now.toISO(), timeMax: timeMax.toISO() });
+    } catch (e) {
+      logger.warn(`reminders: ${provider.token} calendar read failed`, e);
+      out.errors.push({ provider_token: provider.token, message: 'Calendar lookup failed' });
+      continue;
+    }
+    for (const event of events) {
+      if (event.status === 'cancelled') continue;
+      try {
+        const result = await remindEvent(backend, provider.calendar_id, event, now);
+        if (result.sent.length || result.skipped.length) out.events += 1;
+        out.sent += result.sent.length;
+        out.skipped += result.skipped.length;
+      } catch (e) {
+        logger.warn(`reminders: ${provider.token} event ${event.id} failed`, e);
+        out.errors.push({ provider_token: provider.token, event_id: event.id, message: 'Reminder failed' });
+      }
+    }
+  }
+  if (out.sent || out.errors.length) logger.info('reminders: scan finished', { ...out, errors: out.errors.length });
+  return out;
+}
+
+/**
+ * findReplyTargets: The sender's upcoming events, soonest first.
+ */
+async function findReplyTargets(phone) {
+  const now = DateTime.now();
+  const timeMax = now.plus({ hours: Math.max(horizonHours(), 24) });
+  const matches = [];
+  for (const provider of providers.getProviders()) {
+    if (!provider.calendar_id) continue;
+    try {
+      const backend = await calendarOps.backendForCalendar(provider.calendar_id);
+      const events = await backend.listEvents(provider.calendar_id, {
+        timeMin: now.toISO(),
+        timeMax: timeMax.toISO(),
+        privateExtendedProperty: [`patient_phone=${phone}`],
+      });
+      for (const event of events) {
+        if (event.status !== 'cancelled' && eventStart(event)) matches.push({ calendarId: provider.calendar_id, event, backend });
+      }
+    } catch (e) {
+      logger.warn(`reminders: ${provider.token} reply lookup failed`, e);
+    }
+  }
+  return matches.sort((a, b) => eventStart(a.event).localeCompare(eventStart(b.event)));
+}
+
+/**
+ * handleReply: { from, body } of an inbound text.
+ * - C: { ok, action: 'confirmed', event_id, calendar_id, start }; X: { ok, action: 'cancelled', ...the /cancel result };
+ *   anything else: { ok, action: 'unrecognized' } and the patient is texted the options again.
+ * - Only a reminded appointment is acted on: with upcoming appointments but none reminded yet the answer is
+ *   { ok, action: 'nothing_pending' } and the patient is texted that there is nothing to confirm.
+ * - 400 invalid_patient_details for an unusable sender number, 404 appointment_not_found when they have nothing upcoming.
+ */
+async function handleReply({ from, body } = {}) {
+  const phone = patientDetails.normalizePhone(from);
+  if (phone.error) {
+    throw reminderError('invalid_patient_details', phone.error.message, 400, { field_errors: [phone.error] });
+  }
+
+  const matches = await findReplyTargets(phone.value);
+  if (!matches.length) {
+    metrics.reminderReplies.inc({ action: 'not_found' });
+    throw reminderError('appointment_not_found', 'No upcoming appointment found for that phone number', 404);
+  }
+  // A C or X only ever applies to an appointment the patient was reminded about
+  const target = matches.find((m) => privateProps(m.event).reminders_sent);
+  if (!target) {
+    notifications.notifyReminderReply({ event: matches[0].event, calendarId: matches[0].calendarId, action: 'nothing_pending' });
+    metrics.reminderReplies.inc({ action: 'nothing_pending' });
+    return { ok: true, action: 'nothing_pending' };
+  }
+  const { calendarId, event, backend } = target;
+  const action = parseReply(body);
+
+  if (action === 'cancel') {
+    // The normal cancel path: late-cancellation flag and fee, cache invalidation, cancellation message
+    const result = await calendarOps.cancel_provider_appointment({ event_id: event.id, calendar_id: calendarId });
+    metrics.reminderReplies.inc({ action: 'cancelled' });
+    return { ...result, action: 'cancelled' };
+  }
+
+  if (action === 'confirm') {
+    const patched = await patchPrivate(backend, calendarId, event, {
+      reminder_response: 'confirmed',
+      reminder_response_at: new Date().toISOString(),
+    });
+    notifications.notifyReminderReply({ event: patched || event, calendarId, action: 'confirmed' });
+    metrics.reminderReplies.inc({ action: 'confirmed' });
+    return { ok: true, action: 'confirmed', event_id: event.id, calendar_id: calendarId, start: eventStart(event) };
+  }
+
+  notifications.notifyReminderReply({ event, calendarId, action: 'unrecognized' });
+  metrics.reminderReplies.inc({ action: 'unrecognized' });
+  return { ok: true, action: 'unrecognized', event_id: event.id, calendar_id: calendarId, start: eventStart(event) };
+}
+
+let timer = null;
+
+function startReminderTimer() {
+  if (timer || !(REMINDER_SCAN_INTERVAL_MINUTES > 0) || !horizonHours()) return null;
+  timer = setInterval(() => {
+    scanReminders().catch((e) => logger.warn('reminders: periodic scan failed', e));
+  }, REMINDER_SCAN_INTERVAL_MINUTES * 60000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  scanReminders,
+  handleReply,
+  parseReply,
+  startReminderTimer
+};
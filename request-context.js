@@ -0,0 +1,58 @@
+'use strict';
+/**
+ * Per-request context (correlation ID, Retell call ID, Cloud Trace) carried through async calls.
+ *
+ * One Retell call hits several endpoints (/provider_lookup, /availability, /book...). Using the
+ * call_id as the correlation ID ties all of their log lines together; requests outside a call get
+ * X-Correlation-Id / X-Request-Id from the caller or a fresh UUID.
+ *
+ * Exports:
+ *  - run: Runs fn with a context for req (see middleware/requestContext.js).
+ *  - current: The active context ({ correlation_id, call_id, function_name, trace }) or null.
+ *  - correlationIdFor: The correlation ID a request should use.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+const PROJECT_ID = process.env.GOOGLE_CLOUD_PROJECT || process.env.GCLOUD_PROJECT || '';
+
+function header(req, name) {
+  const value = req && req.headers ? req.headers[name] : null;
+  return value ? String(value).trim() : '';
+}
+
+/**
+ * traceOf: Cloud Logging trace resource from X-Cloud-Trace-Context ("TRACE_ID/SPAN_ID;o=1").
+ */
+function traceOf(req) {
+  const traceId = header(req, 'x-cloud-trace-context').split('/')[0];
+  if (!traceId) return null;
+  return PROJECT_ID ? `projects/${PROJECT_ID}/traces/${traceId}` : traceId;
+}
+
+function correlationIdFor(req) {
+  const call = (req && req.retell && req.retell.call) || {};
+  return call.call_id || header(req, 'x-correlation-id') || header(req, 'x-request-id') || crypto.randomUUID();
+}
+
+function run(req, fn) {
+  const context = {
+    correlation_id: correlationIdFor(req),
+    call_id: (req.retell && req.retell.call && req.retell.call.call_id) || null,
+    function_name: (req.retell && req.retell.name) || null,
+    trace: traceOf(req),
+  };
+  return storage.run(context, () => fn(context));
+}
+
+function current() {
+  return storage.getStore() || null;
+}
+
+module.exports = {
+  run,
+  current,
+  correlationIdFor
+};
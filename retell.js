@@ -0,0 +1,336 @@
+'use strict';
+/**
+ * Retell custom-function adapter.
+ *
+ * Retell posts custom function calls as an envelope:
+ *   { call: { call_id, from_number, to_number, agent_id, ... }, name: 'get_provider_availability', args: { ... } }
+ * Direct callers (curl, tests, older agent configs) post the args object on its own.
+ *
+ * Exports:
+ *  - parseEnvelope: Splits a request body into { name, args, call }.
+ *  - payloadOf: The function args for a request (envelope or bare body).
+ *  - context: Express middleware that puts the parsed envelope on req.retell.
+ *  - shapeResponse / shapeError: Compact, speakable versions of route responses by function name.
+ */
+
+const speech = require('./speech');
+const modality = require('./modality');
+const workingHours = require('./working-hours');
+
+// How many slots a shaped response carries; the agent only reads the first few aloud.
+const MAX_SPOKEN_SLOTS = 3;
+const MAX_SLOTS = Number(process.env.RETELL_MAX_SLOTS || 10);
+
+function parseEnvelope(body) {
+  const b = body && typeof body === 'object' ? body : {};
+  const isEnvelope = b.args && typeof b.args === 'object';
+  const call = b.call && typeof b.call === 'object' ? b.call : {};
+  return {
+    name: typeof b.name === 'string' ? b.name : null,
+    args: isEnvelope ? b.args : b,
+    call: {
+      call_id: call.call_id || null,
+      from_number: call.from_number || null,
+      to_number: call.to_number || null,
+      agent_id: call.agent_id || null,
+      direction: call.direction || null
+    }
+  };
+}
+
+function payloadOf(req) {
+  if (req && req.retell) return req.retell.args || {};
+  return parseEnvelope(req && req.body).args || {};
+}
+
+/**
+ * context: req.retell = { name, args, call }. Safe to run on every request.
+ */
+function context(req, _res, next) {
+  req.retell = parseEnvelope(req.body);
+  next();
+}
+
+function compactSlot(slot) {
+  const out = {
+    start: slot.start,
+    end: slot.end,
+    time_zone: slot.timeZone,
+    spoken: speech.speakDateTime(slot.start, slot.timeZone)
+  };
+  // Only worth saying when the provider's clock reads differently from the caller's
+  if (slot.provider_time_zone && speech.zoneLabel(slot.provider_time_zone) !== speech.zoneLabel(slot.timeZone)) {
+    out.provider_time_zone = slot.provider_time_zone;
+    out.provider_spoken = speech.speakDateTime(slot.start, slot.provider_time_zone);
+  }
+  if (slot.provider_token) {
+    out.provider_token = slot.provider_token;
+    out.provider_name = slot.provider_name;
+    out.calendar_id = slot.calendar_id;
+  }
+  // In-person availability names the clinic each slot is at
+  if (slot.clinic) {
+    out.clinic = slot.clinic;
+    out.clinic_name = slot.clinic_name;
+  }
+  return out;
+}
+
+function slotsSpeech(slots, withProvider) {
+  if (!slots.length) return 'There are no openings in that time range.';
+  const spoken = slots.slice(0, MAX_SPOKEN_SLOTS).map((s) => (
+    withProvider && s.provider_name ? `${s.spoken} with ${s.provider_name}` : s.spoken
+  ));
+  return `The earliest openings are ${speech.speakList(spoken)}.`;
+}
+
+/**
+ * zoneSpeech: When the caller's zone was guessed (split state, area code only, default), says which zone the times are in.
+ */
+function zoneSpeech(callerZone) {
+  if (!callerZone || !callerZone.ambiguous) return '';
+  return ` Those times are ${speech.zoneLabel(callerZone.zone)}; tell me if you're in a different time zone.`;
+}
+
+function callerZoneSummary(callerZone) {
+  if (!callerZone) return undefined;
+  return { zone: callerZone.zone, source: callerZone.source, ambiguous: !!callerZone.ambiguous };
+}
+
+/**
+ * spokenZone: The zone every time in a response is read out in: the caller's (caller_timezone from
+ * caller-timezone.js, attached by the route), else the request's user_timezone, else the provider's.
+ */
+function spokenZone(body, { calendarId, providerToken } = {}) {
+  if (body.caller_timezone && body.caller_timezone.zone) return body.caller_timezone.zone;
+  if (body.user_timezone) return body.user_timezone;
+  return workingHours.getProviderSchedule({ providerToken, calendarId: calendarId || body.calendar_id }).timezone;
+}
+
+function eventStart(event) {
+  return event && event.start && (event.start.dateTime || event.start.date);
+}
+
+/**
+ * shapeResponse: Drops raw Google resources and adds a `speech` sentence next to the machine fields.
+ */
+function shapeResponse(name, body) {
+  if (!body || typeof body !== 'object') return body;
+
+  switch (name) {
+    case 'get_provider_availability':
+    case 'find_first_available': {
+      const slots = (body.slots || []).map(compactSlot);
+      const shaped = {
+        ok: body.ok !== false,
+        timezone: body.timezone,
+        appointment_type: body.appointment_type || null,
+        total_slots: slots.length,
+        slots: slots.slice(0, MAX_SLOTS),
+        caller_timezone: callerZoneSummary(body.caller_timezone),
+        speech: slotsSpeech(slots, name === 'find_first_available') + (slots.length ? zoneSpeech(body.caller_timezone) : '')
+      };
+      if (body.adjusted_date) shaped.adjusted_to = body.adjusted_to;
+      if (body.interpreted) shaped.interpretation = body.interpreted.interpretation || null;
+      return shaped;
+    }
+    case 'get_calendar_slots': {
+      const slots = (body.days || []).flatMap((d) => d.slots || []).map(compactSlot);
+      const shaped = {
+        ok: body.ok !== false,
+        timezone: body.timezone,
+        appointment_type: body.appointment_type || null,
+        total_slots: slots.length,
+        slots: slots.slice(0, MAX_SLOTS),
+        caller_timezone: callerZoneSummary(body.caller_timezone),
+        speech: slotsSpeech(slots, false) + (slots.length ? zoneSpeech(body.caller_timezone) : '')
+      };
+      if (body.interpreted) shaped.interpretation = body.interpreted.interpretation || null;
+      return shaped;
+    }
+    case 'book_provider_appointment': {
+      const event = body.event || {};
+      const start = eventStart(event);
+      const zone = spokenZone(body);
+      const priv = (event.extendedProperties && event.extendedProperties.private) || {};
+      const where = priv.modality === 'in_person' && event.location ? ` at ${event.location}` : '';
+      return {
+        ok: body.ok !== false,
+        event_id: event.id || null,
+        start: start || null,
+        end: (event.end && (event.end.dateTime || event.end.date)) || null,
+        appointment_type: body.appointment_type || null,
+        modality: priv.modality || null,
+        location: event.location || null,
+        video_link: modality.videoLink(event),
+        idempotent_replay: !!body.idempotent_replay,
+        patient_flags: body.patient_flags,
+        caller_timezone: callerZoneSummary(body.caller_timezone),
+        speech: start ? `You're booked for ${speech.speakDateTime(start, zone)}${where}.` : 'Your appointment is booked.'
+      };
+    }
+    case 'cancel_appointment': {
+      const zone = spokenZone(body);
+      const when = body.start ? ` on ${speech.speakDateTime(body.start, zone)}` : '';
+      const fee = body.late_cancellation ? ` Because this is less than ${body.late_cancellation_hours} hours notice, a $${body.fee_usd} late cancellation fee applies.` : '';
+      return {
+        ok: body.ok !== false,
+        event_id: body.event_id,
+        start: body.start,
+        late_cancellation: !!body.late_cancellation,
+        late_cancellation_hours: body.late_cancellation_hours,
+        fee_usd: body.fee_usd || 0,
+        caller_timezone: callerZoneSummary(body.caller_timezone),
+        speech: `Your appointment${when} has been cancelled.${fee}`
+      };
+    }
+    case 'reschedule_appointment': {
+      const zone = spokenZone(body);
+      const fee = body.late_cancellation ? ` Because this change is less than ${body.late_cancellation_hours} hours before the original time, a $${body.fee_usd} fee applies.` : '';
+      return {
+        ok: body.ok !== false,
+        event_id: body.event_id,
+        previous_start: body.previous_start,
+        start: body.start,
+        end: body.end,
+        late_cancellation: !!body.late_cancellation,
+        late_cancellation_hours: body.late_cancellation_hours,
+        fee_usd: body.fee_usd || 0,
+        caller_timezone: callerZoneSummary(body.caller_timezone),
+        speech: `Your appointment has been moved to ${speech.speakDateTime(body.start, zone)}.${fee}`
+      };
+    }
+    case 'validate_patient_details': {
+      const errors = body.field_errors || [];
+      const flags = body.patient_flags;
+      let said = 'Thank you, I have your details.';
+      if (errors.length) said = errors[0].prompt || errors[0].message;
+      else if (flags && flags.route_to_staff) said = 'Thank you, I have your details. Before we schedule, I need to connect you with our staff.';
+      return {
+        ok: !!body.ok,
+        patient: body.patient,
+        field_errors: errors,
+        patient_flags: flags,
+        route_to_staff: !!(flags && flags.route_to_staff),
+        speech: said
+      };
+    }
+    case 'check_new_patient': {
+      const upcoming = body.upcoming_appointments || [];
+      const zoneOf = (a) => spokenZone(body, { calendarId: a.calendar_id, providerToken: a.provider_token });
+      const lines = {
+        book_follow_up: 'I see you have been seen with us before, so we can book a follow-up.',
+        already_scheduled: 'You already have your initial evaluation scheduled.',
+        book_initial_evaluation: 'You have your free phone consultation scheduled; next is your 60-minute initial evaluation.',
+        book_consultation: 'Since you are new with us, we start with a free 15-minute phone consultation, followed by a 60-minute initial evaluation.'
+      };
+      return {
+        ok: body.ok !== false,
+        patient_status: body.patient_status,
+        next_step: body.next_step,
+        upcoming_appointments: upcoming.map((a) => ({ ...a, spoken: speech.speakDateTime(a.start, zoneOf(a)) })),
+        speech: lines[body.next_step] || ''
+      };
+    }
+    case 'book_new_patient': {
+      const consult = body.consult || {};
+      const zone = spokenZone(body, { providerToken: body.provider_token });
+      const options = (body.evaluation_options || []).map(compactSlot);
+      let next;
+      if (body.evaluation) {
+        next = ` Your initial evaluation is booked for ${speech.speakDateTime(body.evaluation.start, zone)}.`;
+      } else if (options.length) {
+        next = ` For your initial evaluation, I can offer ${speech.speakList(options.map((s) => s.spoken))}.`;
+      } else {
+        next = ' There are no initial evaluation openings 5 to 7 business days out; I can add you to the waitlist for one.';
+      }
+      return {
+        ok: body.ok !== false,
+        consult_event_id: consult.event_id || null,
+        consult_start: consult.start || null,
+        evaluation_event_id: body.evaluation ? body.evaluation.event_id : null,
+        evaluation_start: body.evaluation ? body.evaluation.start : null,
+        evaluation_options: options,
+        evaluation_window: body.evaluation_window,
+        next_step: body.next_step,
+        speech: `Your free phone consultation is ${consult.existing ? 'scheduled' : 'booked'} for ${speech.speakDateTime(consult.start, zone)}.${next}`
+      };
+    }
+    case 'join_waitlist': {
+      const entry = body.entry || {};
+      return {
+        ok: body.ok !== false,
+        waitlist_id: entry.id || null,
+        status: entry.status || null,
+        duplicate: !!body.duplicate,
+        speech: body.duplicate
+          ? "You're already on our waitlist. We'll reach out as soon as a matching opening comes up."
+          : "I've added you to the waitlist. As soon as a matching opening comes up, we'll reach out to offer it to you."
+      };
+    }
+    case 'accept_waitlist_offer':
+      return {
+        ok: body.ok !== false,
+        waitlist_id: body.waitlist_id,
+        event_id: body.event_id || null,
+        start: body.start || null,
+        idempotent_replay: !!body.idempotent_replay,
+        speech: body.start ? `You're booked for ${speech.speakDateTime(body.start, spokenZone(body))}.` : 'Your appointment is booked.'
+      };
+    case 'decline_waitlist_offer':
+      return {
+        ok: body.ok !== false,
+        waitlist_id: body.waitlist_id,
+        speech: "No problem, I've released that time. You're still on the waitlist and we'll reach out with the next opening."
+      };
+    case 'provider_lookup': {
+      const results = (body.results || []).map((p) => ({
+        provider_token: p.token,
+        provider_name: p.display_name || p.name,
+        calendar_id: p.calendar_id,
+        matched: p.matched || []
+      }));
+      const names = results.map((p) => p.provider_name);
+      const shaped = {
+        ok: body.ok !== false,
+        results,
+        speech: names.length
+          ? `${speech.speakList(names, 'and')} ${names.length === 1 ? 'is' : 'are'} available for you.`
+          : 'None of our providers match those details.'
+      };
+      if (body.rejected) shaped.rejected = body.rejected;
+      return shaped;
+    }
+    default:
+      return body;
+  }
+}
+
+/**
+ * shapeError: Keeps the structured error and adds speech (slot_taken speaks the alternatives,
+ * invalid_patient_details re-asks for the first bad field).
+ */
+function shapeError(body) {
+  if (!body || typeof body !== 'object') return body;
+  const shaped = { ...body };
+  if (Array.isArray(body.alternatives)) {
+    shaped.alternatives = body.alternatives.map(compactSlot);
+    const spoken = shaped.alternatives.map((s) => s.spoken);
+    shaped.speech = spoken.length
+      ? `That time was just taken. I can offer ${speech.speakList(spoken)}.`
+      : 'That time was just taken, and there are no other openings nearby.';
+  } else if (Array.isArray(body.field_errors) && body.field_errors.length) {
+    shaped.speech = body.field_errors[0].prompt || body.field_errors[0].message;
+  } else if (!shaped.speech && body.message) {
+    shaped.speech = body.message;
+  }
+  return shaped;
+}
+
+module.exports = {
+  parseEnvelope,
+  payloadOf,
+  context,
+  shapeResponse,
+  shapeError
+};
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const retell = require('../retell');
+const requireAuth = require('../middleware/requireAuth');
+const calendarOps = require('../calendar-operations');
+const attendance = require('../attendance');
+const logger = require('../logger');
+
+// Staff mark a past appointment attended or no_show: event_id (+ calendar_id or provider_token) and status
+router.post('/attendance/mark', requireAuth('admin'), async (req, res) => {
+  try {
+    const payload = retell.payloadOf(req);
+    const result = await calendarOps.mark_attendance({ ...payload, marked_by: req.auth && req.auth.name });
+    return res.json(result);
+  } catch (err) {
+    if (err && err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.code || 'bad_request', message: err.message });
+    }
+    logger.error('attendance mark error', err);
+    return res.status(500).json({ error: 'server_error', message: 'Failed to mark attendance' });
+  }
+});
+
+// Staff view of one patient's ledger: { patient_phone, patient_dob } in the body, never the URL (access logs carry the URL)
+router.post('/attendance/history', requireAuth('admin'), async (req, res) => {
+  try {
+    const payload = retell.payloadOf(req);
+    const history = await attendance.patientHistory({ phone: payload.patient_phone, dob: payload.patient_dob });
+    if (!history) {
+      return res.status(400).json({ error: 'bad_request', message: 'A valid patient_phone and patient_dob are required' });
+    }
+    return res.json(history);
+  } catch (err) {
+    logger.error('attendance history error', err);
+    return res.status(500).json({ error: 'server_error', message: 'Failed to read the attendance ledger' });
+  }
+});
+
+module.exports = router;
@@ -1,41 +1,30 @@
 'use strict';
 const express = require('express');
 const router = express.Router();
-const { DateTime } = require('luxon');
+const retell = require('../retell');
+const requireAuth = require('../middleware/requireAuth');
+const rateLimit = require('../middleware/rateLimit');
 const calendarOps = require('../calendar-operations');
+const datePhrases = require('../date-phrases');
+const callerTimezone = require('../caller-timezone');
+const logger = require('../logger');
 
-// Normalize incoming payload and coerce past requested dates to today (in provider timezone)
-router.post('/availability', async (req, res) => {
+// Normalize incoming payload, interpret the requested date and coerce past dates to today (in caller timezone)
+router.post('/availability', requireAuth('read'), rateLimit('query'), async (req, res) => {
   try {
-    const payload = (req.body && req.body.args) ? req.body.args : req.body || {};
-    const tz = payload.user_timezone || payload.timezone || process.env.DEFAULT_TIMEZONE || 'America/New_York';
+    const payload = retell.payloadOf(req);
+    // Caller's zone: explicit user_timezone, else their state, else the area code of the number they called from
+    const callerZone = callerTimezone.fromRequest(req, payload);
+    const tz = callerZone.zone;
 
-    // Accept either requested_date or requestedDate
-    let requested = payload.requested_date || payload.requestedDate || null;
-    if (requested === "2024-05-15") { requested = null; }
-    let adjusted = false;
-
-    if (requested) {
-      let dt = DateTime.fromISO(requested, { zone: tz });
-      if (!dt.isValid) {
-        dt = DateTime.now().setZone(tz);
-        adjusted = true;
-        requested = dt.toISODate();
-      } else {
-        const todayStart = DateTime.now().setZone(tz).startOf('day');
-        if (dt < todayStart) {
-          dt = DateTime.now().setZone(tz);
-          adjusted = true;
-          requested = dt.toISODate();
-        } else {
-          requested = dt.toISODate();
-        }
-      }
-    } else {
-      // No requested date provided — default to today
-      requested = DateTime.now().setZone(tz).toISODate();
-      adjusted = true;
-    }
+    // requested_date may be an ISO date or a phrase ("next Tuesday afternoon", "the 14th");
+    // past, missing or unrecognized dates fall back to today and are flagged as adjusted
+    const resolved = datePhrases.resolveRequestedDate(
+      payload.requested_date || payload.requestedDate || payload.date_phrase || null,
+      { zone: tz, minDays: payload.days_to_check || payload.daysToCheck || 1 }
+    );
+    const requested = resolved.requested_date;
+    const adjusted = resolved.adjusted;
 
     // Normalize slot duration
     const slotDuration = Number(payload.slot_duration_minutes || payload.slotDurationMinutes || payload.slotDuration || 30) || 30;
@@ -46,7 +35,16 @@ router.post('/availability', async (req, res) => {
       requested_date: requested,
       user_timezone: tz,
       slot_duration_minutes: slotDuration,
-      days_to_check: payload.days_to_check || payload.daysToCheck || 1
+      days_to_check: resolved.days,
+      part_of_day: payload.part_of_day || resolved.part_of_day,
+      // appointment_type (e.g. initial_evaluation) overrides slot_duration_minutes with the catalog rules
+      appointment_type: payload.appointment_type || payload.appointmentType,
+      provider_token: payload.provider_token || payload.providerToken,
+      // telehealth / in_person / phone; in_person keeps the provider's clinic days (optionally one `clinic`)
+      modality: payload.modality,
+      clinic: payload.clinic,
+      // Saturday hours are "by special request" only
+      include_by_request_days: payload.include_by_request_days === true || payload.include_by_request_days === 'true'
     };
 
     const result = await calendarOps.get_provider_availability(args);
@@ -54,10 +52,18 @@ router.post('/availability', async (req, res) => {
     // Annotate response so callers know we adjusted the requested date
     result.adjusted_date = adjusted;
     if (adjusted) result.adjusted_to = requested;
+    if (resolved.interpreted) result.interpreted = resolved.interpreted;
+    result.caller_timezone = callerZone;
 
     return res.json(result);
   } catch (err) {
-    console.error('availability error:', err && (err.stack || err.message || err));
+    if (err && err.statusCode) {
+      const body = { error: err.code || 'bad_request', message: err.message };
+      if (err.clinic_days) body.clinic_days = err.clinic_days;
+      if (err.modalities) body.modalities = err.modalities;
+      return res.status(err.statusCode).json(body);
+    }
+    logger.error('availability error', err);
     return res.status(500).json({ error: 'server_error', message: 'Availability lookup failed' });
   }
 });
@@ -1,11 +1,16 @@
 const express = require('express');
 const router = express.Router();
+const retell = require('../retell');
 const requireAuth = require('../middleware/requireAuth');
+const rateLimit = require('../middleware/rateLimit');
 const calendarOps = require('../calendar-operations');
+const idempotency = require('../idempotency');
+const callerTimezone = require('../caller-timezone');
+const logger = require('../logger');
 
-router.post('/book', requireAuth, async (req, res) => {
+router.post('/book', requireAuth('book'), rateLimit('booking'), async (req, res) => {
   try {
-    const payload = (req.body && req.body.args) ? req.body.args : req.body || {};
+    const payload = retell.payloadOf(req);
     const { calendar_id, calendar_event } = payload;
     if (!calendar_id || !calendar_event) {
       return res.status(400).json({ error: 'bad_request', message: 'calendar_id and calendar_event required' });
@@ -15,15 +20,31 @@ router.post('/book', requireAuth, async (req, res) => {
       const result = await calendarOps.book_provider_appointment({
         calendarId: calendar_id,
         event: calendar_event,
-        payload
+        payload,
+        idempotencyKey: idempotency.keyFromRequest(req, payload)
       });
-      return res.json(result);
+      // The agent reads the time back in the caller's zone
+      return res.json({ ...result, caller_timezone: callerTimezone.fromRequest(req, payload) });
     }
 
     // If calendarOps missing, return helpful message
     return res.status(501).json({ error: 'not_implemented', message: 'Booking handler not implemented' });
   } catch (err) {
-    console.error('book error:', err && (err.stack || err.message || err));
+    if (err && err.statusCode) {
+      const body = { error: err.code || 'bad_request', message: err.message };
+      // slot_taken carries the requested interval and the nearest alternative slots
+      if (err.alternatives) {
+        body.requested = err.requested;
+        body.alternatives = err.alternatives;
+      }
+      // invalid_patient_details lists each bad field with a prompt to re-ask it
+      if (err.field_errors) body.field_errors = err.field_errors;
+      // not_a_clinic_day / in_person_unavailable say when the provider is in clinic
+      if (err.clinic_days) body.clinic_days = err.clinic_days;
+      if (err.modalities) body.modalities = err.modalities;
+      return res.status(err.statusCode).json(body);
+    }
+    logger.error('book error', err);
     return res.status(500).json({ error: 'server_error', message: 'Failed to book appointment' });
   }
 });
@@ -1,42 +1,48 @@
 const express = require('express');
 const router = express.Router();
-const fs = require('fs');
-const {google} = require('googleapis');
+const retell = require('../retell');
+const requireAuth = require('../middleware/requireAuth');
+const rateLimit = require('../middleware/rateLimit');
+const calendarOps = require('../calendar-operations');
+const idempotency = require('../idempotency');
+const callerTimezone = require('../caller-timezone');
+const logger = require('../logger');
 
-async function getJwtAuth() {
-  // Read creds from env or file (non-secret here)
-  const creds = process.env.GOOGLE_CREDS ? JSON.parse(process.env.GOOGLE_CREDS) : JSON.parse(fs.readFileSync('./gcal-creds.json', 'utf8'));
-  const jwt = new google.auth.JWT(
-    creds.client_email,
-    null,
-    creds.private_key,
-    ['https://www.googleapis.com/auth/calendar', 'https://www.googleapis.com/auth/calendar.events']
-  );
-  await jwt.authorize();
-  return jwt;
-}
-
-router.post('/book_provider_appointment', async (req, res) => {
+router.post('/book_provider_appointment', requireAuth('book'), rateLimit('booking'), async (req, res) => {
   try {
-    const { calendar_id, calendar_event } = req.body;
+    const payload = retell.payloadOf(req);
+    const { calendar_id, calendar_event } = payload;
     if (!calendar_id || !calendar_event) {
       return res.status(400).json({ error: 'bad_request', message: 'calendar_id and calendar_event required' });
     }
 
-    const auth = await getJwtAuth();
-    const calendar = google.calendar({ version: 'v3', auth });
-
-    const insertRes = await calendar.events.insert({
+    // Same pipeline as /book: catalog rules, PHI policy, patient details, modality, idempotency, slot re-check
+    const result = await calendarOps.book_provider_appointment({
       calendarId: calendar_id,
-      resource: calendar_event,
-      sendUpdates: 'all' // change to 'none' if you do not want emails
+      event: calendar_event,
+      payload,
+      idempotencyKey: idempotency.keyFromRequest(req, payload)
     });
-
-    return res.json({ ok: true, event: insertRes.data });
+    // The agent reads the time back in the caller's zone
+    return res.json({ ...result, caller_timezone: callerTimezone.fromRequest(req, payload) });
   } catch (err) {
-    console.error('book_provider_appointment error:', err && (err.stack || err.message || err));
-    return res.status(500).json({ error: 'server_error', message: err && err.message ? err.message : 'Failed to create event' });
+    if (err && err.statusCode) {
+      const body = { error: err.code || 'bad_request', message: err.message };
+      // slot_taken carries the requested interval and the nearest alternative slots
+      if (err.alternatives) {
+        body.requested = err.requested;
+        body.alternatives = err.alternatives;
+      }
+      // invalid_patient_details lists each bad field with a prompt to re-ask it
+      if (err.field_errors) body.field_errors = err.field_errors;
+      // not_a_clinic_day / in_person_unavailable say when the provider is in clinic
+      if (err.clinic_days) body.clinic_days = err.clinic_days;
+      if (err.modalities) body.modalities = err.modalities;
+      return res.status(err.statusCode).json(body);
+    }
+    logger.error('book_provider_appointment error', err);
+    return res.status(500).json({ error: 'server_error', message: 'Failed to create event' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
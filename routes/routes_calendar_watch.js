@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const requireAuth = require('../middleware/requireAuth');
+const calendarWatch = require('../calendar-watch');
+const logger = require('../logger');
+
+// Google Calendar push notifications; authenticated by the signed channel token, not a bearer token
+router.post('/calendar/notifications', async (req, res) => {
+  try {
+    const result = await calendarWatch.handleNotification(req.headers);
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    if (err && err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.code || 'bad_request', message: err.message });
+    }
+    logger.error('calendar notification error', err);
+    return res.status(500).json({ error: 'server_error', message: 'Failed to process notification' });
+  }
+});
+
+// Opens or renews watch channels for every provider calendar (call from Cloud Scheduler)
+router.post('/calendar/watch/renew', requireAuth('admin'), async (req, res) => {
+  try {
+    const result = await calendarWatch.renewChannels();
+    return res.json({ ok: result.errors.length === 0, ...result });
+  } catch (err) {
+    if (err && err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.code || 'bad_request', message: err.message });
+    }
+    logger.error('calendar watch renew error', err);
+    return res.status(500).json({ error: 'server_error', message: 'Failed to renew watch channels' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const retell = require('../retell');
+const requireAuth = require('../middleware/requireAuth');
+const rateLimit = require('../middleware/rateLimit');
+const calendarOps = require('../calendar-operations');
+const callerTimezone = require('../caller-timezone');
+const waitlist = require('../waitlist');
+const logger = require('../logger');
+
+// Cancel by event_id (+ calendar_id/provider_token) or by patient_name + patient_phone
+router.post('/cancel', requireAuth('book'), rateLimit('booking'), async (req, res) => {
+  try {
+    const payload = retell.payloadOf(req);
+    const result = await calendarOps.cancel_provider_appointment(payload);
+    // The freed slot goes to the waitlist in the background; the caller does not wait for it
+    waitlist.offerOpenings({ calendarId: result.calendar_id, start: result.start, end: result.end })
+      .catch((e) => logger.warn('cancel: waitlist scan failed', e));
+    // The agent reads the time back in the caller's zone
+    result.caller_timezone = callerTimezone.fromRequest(req, payload);
+    return res.json(result);
+  } catch (err) {
+    if (err && err.statusCode) {
+      const body = { error: err.code || 'bad_request', message: err.message };
+      if (err.candidates) body.candidates = err.candidates;
+      return res.status(err.statusCode).json(body);
+    }
+    logger.error('cancel error', err);
+    return res.status(500).json({ error: 'server_error', message: 'Failed to cancel appointment' });
+  }
+});
+
+module.exports = router;
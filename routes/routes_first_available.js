@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const retell = require('../retell');
+const requireAuth = require('../middleware/requireAuth');
+const rateLimit = require('../middleware/rateLimit');
+const calendarOps = require('../calendar-operations');
+const callerTimezone = require('../caller-timezone');
+const logger = require('../logger');
+
+// Soonest appointment across every provider licensed in the caller's state who takes their insurance
+router.post('/first_available', requireAuth('read'), rateLimit('query'), async (req, res) => {
+  try {
+    const payload = retell.payloadOf(req);
+    const { state, insurance } = payload;
+    if (!state) {
+      return res.status(400).json({ error: 'bad_request', message: 'state required' });
+    }
+
+    // The caller's state doubles as their timezone hint (area code settles split states)
+    const callerZone = callerTimezone.fromRequest(req, payload);
+    const result = await calendarOps.find_first_available({
+      state,
+      insurance,
+      appointment_type: payload.appointment_type || payload.appointmentType,
+      modality: payload.modality,
+      clinic: payload.clinic,
+      start_date: payload.start_date || payload.requested_date,
+      end_date: payload.end_date,
+      days_to_check: payload.days_to_check,
+      limit: payload.limit,
+      user_timezone: callerZone.zone,
+      include_by_request_days: payload.include_by_request_days === true || payload.include_by_request_days === 'true'
+    });
+    result.caller_timezone = callerZone;
+    return res.json(result);
+  } catch (err) {
+    if (err && err.statusCode) {
+      const body = { error: err.code || 'bad_request', message: err.message };
+      if (err.modalities) body.modalities = err.modalities;
+      return res.status(err.statusCode).json(body);
+    }
+    logger.error('first_available error', err);
+    return res.status(500).json({ error: 'server_error', message: 'First-available search failed' });
+  }
+});
+
+module.exports = router;
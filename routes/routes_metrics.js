@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const requireAuth = require('../middleware/requireAuth');
+const metrics = require('../metrics');
+
+// Prometheus scrape endpoint (admin): labels name providers and show booking volume, so it is not public
+router.get('/metrics', requireAuth('admin'), (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  return res.send(metrics.render());
+});
+
+module.exports = router;
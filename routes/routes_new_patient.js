@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const retell = require('../retell');
+const requireAuth = require('../middleware/requireAuth');
+const rateLimit = require('../middleware/rateLimit');
+const callerTimezone = require('../caller-timezone');
+const idempotency = require('../idempotency');
+const newPatient = require('../new-patient');
+const logger = require('../logger');
+
+// New or returning? Looks the patient_phone up in every provider calendar and says what to book next
+router.post('/new_patient/status', requireAuth('read'), rateLimit('query'), async (req, res) => {
+  try {
+    const payload = retell.payloadOf(req);
+    const result = await newPatient.classifyPatient({ phone: payload.patient_phone });
+    result.caller_timezone = callerTimezone.fromRequest(req, payload);
+    return res.json(result);
+  } catch (err) {
+    if (err && err.statusCode) {
+      const body = { error: err.code || 'bad_request', message: err.message };
+      if (err.field_errors) body.field_errors = err.field_errors;
+      return res.status(err.statusCode).json(body);
+    }
+    logger.error('new_patient status error', err);
+    return res.status(500).json({ error: 'server_error', message: 'Failed to look up the patient' });
+  }
+});
+
+// Free phone consultation plus a linked initial evaluation 5-7 business days out (booked, reserved or proposed)
+router.post('/new_patient/book', requireAuth('book'), rateLimit('booking'), async (req, res) => {
+  try {
+    const payload = retell.payloadOf(req);
+    const callerZone = callerTimezone.fromRequest(req, payload);
+    const result = await newPatient.bookNewPatient(payload, {
+      idempotencyKey: idempotency.keyFromRequest(req, payload),
+      timezone: callerZone.zone
+    });
+    result.caller_timezone = callerZone;
+    return res.json(result);
+  } catch (err) {
+    if (err && err.statusCode) {
+      const body = { error: err.code || 'bad_request', message: err.message };
+      // slot_taken (for the consultation) carries the nearest alternative slots
+      if (err.alternatives) {
+        body.requested = err.requested;
+        body.alternatives = err.alternatives;
+      }
+      if (err.field_errors) body.field_errors = err.field_errors;
+      if (err.last_visit) body.last_visit = err.last_visit;
+      if (err.upcoming_appointments) body.upcoming_appointments = err.upcoming_appointments;
+      return res.status(err.statusCode).json(body);
+    }
+    logger.error('new_patient book error', err);
+    return res.status(500).json({ error: 'server_error', message: 'Failed to book the new-patient appointments' });
+  }
+});
+
+module.exports = router;
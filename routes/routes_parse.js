@@ -1,48 +1,65 @@
 const express = require('express');
 const router = express.Router();
+const logger = require('../logger');
 
-// Try to require the real requireAuth middleware, but fall back to a no-op
-// middleware when missing or when ALLOW_UNAUTH_PARSE=true (useful for tests/dev).
-let requireAuth;
-try {
-  if (process.env.ALLOW_UNAUTH_PARSE === 'true') {
-    requireAuth = (req, res, next) => next();
-    console.log('ALLOW_UNAUTH_PARSE=true — parse routes will be unauthenticated');
-  } else {
-    requireAuth = require('../middleware/requireAuth');
-  }
-} catch (err) {
-  // If require fails for any reason, fall back to a permissive middleware
-  console.warn('Could not load requireAuth middleware; parse routes will be unauthenticated:', err && err.message ? err.message : err);
-  requireAuth = (req, res, next) => next();
+const requireAuth = require('../middleware/requireAuth');
+const apiAuth = require('../api-auth');
+
+// ALLOW_UNAUTH_PARSE=true opens only these parse routes, for local testing (refused in production, see api-auth.js)
+let parseAuth = requireAuth('read');
+if (process.env.ALLOW_UNAUTH_PARSE === 'true') {
+  parseAuth = (req, res, next) => next();
+  logger.info('ALLOW_UNAUTH_PARSE=true — parse routes will be unauthenticated');
 }
 
 const calendarOps = require('../calendar-operations');
+const patientDetails = require('../patient-details');
+const attendance = require('../attendance');
+const retell = require('../retell');
 
-router.post('/parse-name', requireAuth, async (req, res) => {
+router.post('/parse-name', parseAuth, async (req, res) => {
   try {
-    const payload = (req.body && req.body.args) ? req.body.args : req.body || {};
+    const payload = retell.payloadOf(req);
     if (calendarOps && typeof calendarOps.parse_patient_name === 'function') {
       const out = await calendarOps.parse_patient_name(payload);
       return res.json(out);
     }
     return res.status(501).json({ error: 'not_implemented', message: 'parse_patient_name not available' });
   } catch (err) {
-    console.error('parse-name error:', err && (err.stack || err.message || err));
+    logger.error('parse-name error', err);
     return res.status(500).json({ error: 'server_error', message: 'Failed to parse name' });
   }
 });
 
-router.post('/parse-provider', requireAuth, async (req, res) => {
+// Checks patient details before booking; field_errors carry a prompt for each field to re-ask.
+// With a valid phone and DOB, patient_flags carries the attendance history (route_to_staff after repeated no-shows),
+// but only for callers with the `book` scope: parse routes may be open (ALLOW_UNAUTH_PARSE) or on a read-only key
+router.post('/validate-patient', parseAuth, async (req, res) => {
+  try {
+    const payload = retell.payloadOf(req);
+    const out = patientDetails.validatePatientDetails(payload);
+    const body = { ok: out.ok, patient: out.patient, field_errors: out.errors };
+    if (apiAuth.hasScope(req.auth, 'book')) {
+      const flags = await attendance.patientFlags({ phone: out.patient.phone, dob: out.patient.dob });
+      if (flags) body.patient_flags = flags;
+    }
+    return res.json(body);
+  } catch (err) {
+    logger.error('validate-patient error', err);
+    return res.status(500).json({ error: 'server_error', message: 'Failed to validate patient details' });
+  }
+});
+
+router.post('/parse-provider', parseAuth, async (req, res) => {
   try {
-    const payload = (req.body && req.body.args) ? req.body.args : req.body || {};
+    const payload = retell.payloadOf(req);
     if (calendarOps && typeof calendarOps.parse_provider_name === 'function') {
       const out = await calendarOps.parse_provider_name(payload);
       return res.json(out);
     }
     return res.status(501).json({ error: 'not_implemented', message: 'parse_provider_name not available' });
   } catch (err) {
-    console.error('parse-provider error:', err && (err.stack || err.message || err));
+    logger.error('parse-provider error', err);
     return res.status(500).json({ error: 'server_error', message: 'Failed to parse provider name' });
   }
 });
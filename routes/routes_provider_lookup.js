@@ -1,16 +1,43 @@
 const express = require('express');
 const router = express.Router();
+const retell = require('../retell');
 const requireAuth = require('../middleware/requireAuth');
-const providers = require('../providers'); // if you have a providers module
+const rateLimit = require('../middleware/rateLimit');
+const providers = require('../providers');
+const modality = require('../modality');
 const calendarOps = require('../calendar-operations');
+const logger = require('../logger');
 
-router.post('/provider_lookup', requireAuth, async (req, res) => {
+router.post('/provider_lookup', requireAuth('read'), rateLimit('query'), async (req, res) => {
   try {
-    const payload = (req.body && req.body.args) ? req.body.args : req.body || {};
-    const { state, insurance, q } = payload;
+    const payload = retell.payloadOf(req);
+    const { state, insurance, q, specialty, language, age, pediatric, telehealth } = payload;
+    const visit = payload.modality ? modality.normalizeModality(payload.modality) : null;
+    const criteria = {
+      state,
+      insurance,
+      q,
+      specialty,
+      language,
+      age,
+      pediatric: pediatric === true || pediatric === 'true',
+      telehealth: telehealth === true || telehealth === 'true' || visit === 'telehealth',
+      in_person: visit === 'in_person'
+    };
+
+    if (providers && typeof providers.matchProviders === 'function') {
+      // Rejected providers are returned with their reasons so the agent can explain the outcome
+      const evaluated = await providers.matchProviders(criteria);
+      return res.json({
+        ok: true,
+        state: providers.normalizeState(state) || state || null,
+        results: evaluated.filter((p) => p.eligible),
+        rejected: evaluated.filter((p) => !p.eligible).map(({ token, display_name, reasons }) => ({ token, display_name, reasons }))
+      });
+    }
 
     if (providers && typeof providers.findProviders === 'function') {
-      const results = await providers.findProviders({ state, insurance, q });
+      const results = await providers.findProviders(criteria);
       return res.json({ ok: true, results });
     }
 
@@ -22,7 +49,7 @@ router.post('/provider_lookup', requireAuth, async (req, res) => {
 
     return res.status(501).json({ error: 'not_implemented', message: 'provider lookup not implemented' });
   } catch (err) {
-    console.error('provider_lookup error:', err && (err.stack || err.message || err));
+    logger.error('provider_lookup error', err);
     return res.status(500).json({ error: 'server_error', message: 'Failed in provider_lookup' });
   }
 });
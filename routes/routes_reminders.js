@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const requireAuth = require('../middleware/requireAuth');
+const requireSmsWebhook = require('../middleware/requireSmsWebhook');
+const reminders = require('../reminders');
+const waitlist = require('../waitlist');
+const logger = require('../logger');
+
+// Sends the reminders due now (call from Cloud Scheduler; also runs in-process every REMINDER_SCAN_INTERVAL_MINUTES)
+router.post('/reminders/run', requireAuth('admin'), async (req, res) => {
+  try {
+    const result = await reminders.scanReminders();
+    return res.json(result);
+  } catch (err) {
+    logger.error('reminders run error', err);
+    return res.status(500).json({ error: 'server_error', message: 'Failed to send reminders' });
+  }
+});
+
+// Inbound text from the SMS provider: JSON { from, body } or form-encoded From / Body (Twilio-style).
+// Authenticated by the provider's signature or the reply secret, never by an agent API key.
+router.post('/reminders/reply', express.urlencoded({ extended: false }), requireSmsWebhook, async (req, res) => {
+  try {
+    const b = req.body || {};
+    const result = await reminders.handleReply({
+      from: b.from || b.From || b.from_number,
+      body: b.body || b.Body || b.text || ''
+    });
+    if (result.action === 'cancelled') {
+      // Same as /cancel: the freed slot goes to the waitlist in the background
+      waitlist.offerOpenings({ calendarId: result.calendar_id, start: result.start, end: result.end })
+        .catch((e) => logger.warn('reminder reply: waitlist scan failed', e));
+    }
+    return res.json(result);
+  } catch (err) {
+    if (err && err.statusCode) {
+      const body = { error: err.code || 'bad_request', message: err.message };
+      if (err.field_errors) body.field_errors = err.field_errors;
+      return res.status(err.statusCode).json(body);
+    }
+    logger.error('reminder reply error', err);
+    return res.status(500).json({ error: 'server_error', message: 'Failed to handle the reply' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const retell = require('../retell');
+const requireAuth = require('../middleware/requireAuth');
+const rateLimit = require('../middleware/rateLimit');
+const calendarOps = require('../calendar-operations');
+const callerTimezone = require('../caller-timezone');
+const waitlist = require('../waitlist');
+const logger = require('../logger');
+
+// Move an appointment (found by event_id or patient_name + patient_phone) to new_start
+router.post('/reschedule', requireAuth('book'), rateLimit('booking'), async (req, res) => {
+  try {
+    const payload = retell.payloadOf(req);
+    if (!payload.new_start) {
+      return res.status(400).json({ error: 'bad_request', message: 'new_start required' });
+    }
+    const result = await calendarOps.reschedule_provider_appointment(payload);
+    // The old slot is free now; offer it to the waitlist in the background
+    waitlist.offerOpenings({ calendarId: result.calendar_id, start: result.previous_start, end: result.previous_end })
+      .catch((e) => logger.warn('reschedule: waitlist scan failed', e));
+    // The agent reads the time back in the caller's zone
+    result.caller_timezone = callerTimezone.fromRequest(req, payload);
+    return res.json(result);
+  } catch (err) {
+    if (err && err.statusCode) {
+      const body = { error: err.code || 'bad_request', message: err.message };
+      if (err.candidates) body.candidates = err.candidates;
+      if (err.alternatives) body.alternatives = err.alternatives;
+      // not_a_clinic_day: in-person visits move only to the provider's days at that clinic
+      if (err.clinic_days) body.clinic_days = err.clinic_days;
+      return res.status(err.statusCode).json(body);
+    }
+    logger.error('reschedule error', err);
+    return res.status(500).json({ error: 'server_error', message: 'Failed to reschedule appointment' });
+  }
+});
+
+module.exports = router;
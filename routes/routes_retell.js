@@ -0,0 +1,54 @@
+/**
+ * Single entry point for Retell custom functions.
+ *
+ * POST /retell/function with the full envelope ({ call, name, args }) is dispatched by `name`
+ * to the matching route below, and the route's response is reshaped into a compact, speakable
+ * form (see ../retell.js). The individual routes keep returning their full responses when called directly.
+ */
+const express = require('express');
+const router = express.Router();
+const retell = require('../retell');
+
+// Retell function name -> route module + path. Aliases cover older agent configs.
+const FUNCTIONS = {
+  get_provider_availability: { module: './routes_availability', path: '/availability' },
+  check_availability: { module: './routes_availability', path: '/availability', shape: 'get_provider_availability' },
+  get_calendar_slots: { module: './routes_slots', path: '/slots' },
+  find_first_available: { module: './routes_first_available', path: '/first_available' },
+  book_provider_appointment: { module: './routes_book', path: '/book' },
+  book_appointment: { module: './routes_book', path: '/book', shape: 'book_provider_appointment' },
+  cancel_appointment: { module: './routes_cancel', path: '/cancel' },
+  reschedule_appointment: { module: './routes_reschedule', path: '/reschedule' },
+  provider_lookup: { module: './routes_provider_lookup', path: '/provider_lookup' },
+  parse_patient_name: { module: './routes_parse', path: '/parse-name' },
+  validate_patient_details: { module: './routes_parse', path: '/validate-patient' },
+  check_new_patient: { module: './routes_new_patient', path: '/new_patient/status' },
+  book_new_patient: { module: './routes_new_patient', path: '/new_patient/book' },
+  join_waitlist: { module: './routes_waitlist', path: '/waitlist' },
+  accept_waitlist_offer: { module: './routes_waitlist', path: '/waitlist/offers/accept' },
+  decline_waitlist_offer: { module: './routes_waitlist', path: '/waitlist/offers/decline' },
+  parse_provider_name: { module: './routes_parse', path: '/parse-provider' }
+};
+
+router.post('/retell/function', (req, res, next) => {
+  const envelope = req.retell || retell.parseEnvelope(req.body);
+  const target = envelope.name ? FUNCTIONS[envelope.name] : null;
+  if (!target) {
+    return res.status(404).json({
+      error: 'unknown_function',
+      message: `Unknown function "${envelope.name || ''}"`,
+      speech: 'Sorry, I could not complete that request.'
+    });
+  }
+
+  req.retell = envelope;
+  const shapeName = target.shape || envelope.name;
+  const sendJson = res.json.bind(res);
+  res.json = (body) => sendJson(res.statusCode >= 400 ? retell.shapeError(body) : retell.shapeResponse(shapeName, body));
+
+  // Re-dispatch to the route module as if the args had been posted to its path
+  req.url = target.path;
+  return require(target.module)(req, res, next);
+});
+
+module.exports = router;
@@ -1,26 +1,52 @@
 const express = require('express');
 const router = express.Router();
+const retell = require('../retell');
 const requireAuth = require('../middleware/requireAuth');
+const rateLimit = require('../middleware/rateLimit');
 const calendarOps = require('../calendar-operations');
+const datePhrases = require('../date-phrases');
+const callerTimezone = require('../caller-timezone');
+const logger = require('../logger');
 
-router.post('/slots', requireAuth, async (req, res) => {
+router.post('/slots', requireAuth('read'), rateLimit('query'), async (req, res) => {
   try {
-    const payload = (req.body && req.body.args) ? req.body.args : req.body || {};
-    const { calendar_id, requested_date, slot_duration_minutes } = payload;
+    const payload = retell.payloadOf(req);
+    const { calendar_id, requested_date, slot_duration_minutes, appointment_type, provider_token } = payload;
     if (!calendar_id) return res.status(400).json({ error: 'bad_request', message: 'calendar_id required' });
 
     if (calendarOps && typeof calendarOps.get_calendar_slots === 'function') {
+      const callerZone = callerTimezone.fromRequest(req, payload);
+      const tz = callerZone.zone;
+      // requested_date may be a phrase ("tomorrow morning"); echo back how it was read
+      const resolved = datePhrases.resolveRequestedDate(requested_date || payload.date_phrase, {
+        zone: tz,
+        minDays: payload.days_to_check || 1
+      });
       const result = await calendarOps.get_calendar_slots({
         calendarId: calendar_id,
-        requestedDate: requested_date,
+        requestedDate: resolved.requested_date,
         slotDurationMinutes: Number(slot_duration_minutes || 30),
+        appointment_type,
+        provider_token,
+        modality: payload.modality,
+        clinic: payload.clinic,
+        user_timezone: tz,
+        days_to_check: resolved.days,
+        part_of_day: payload.part_of_day || resolved.part_of_day,
+        include_by_request_days: payload.include_by_request_days === true || payload.include_by_request_days === 'true',
       });
+      result.adjusted_date = resolved.adjusted;
+      if (resolved.interpreted) result.interpreted = resolved.interpreted;
+      result.caller_timezone = callerZone;
       return res.json(result);
     }
 
     return res.status(501).json({ error: 'not_implemented', message: 'Slots handler not implemented' });
   } catch (err) {
-    console.error('slots error:', err && (err.stack || err.message || err));
+    if (err && err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.code || 'bad_request', message: err.message });
+    }
+    logger.error('slots error', err);
     return res.status(500).json({ error: 'server_error', message: 'Failed to fetch slots' });
   }
 });
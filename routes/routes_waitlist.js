@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+const retell = require('../retell');
+const requireAuth = require('../middleware/requireAuth');
+const rateLimit = require('../middleware/rateLimit');
+const callerTimezone = require('../caller-timezone');
+const waitlist = require('../waitlist');
+const logger = require('../logger');
+
+// Join the waitlist: patient details, provider_token (or state + insurance), appointment_type and acceptable windows
+router.post('/waitlist', requireAuth('book'), async (req, res) => {
+  try {
+    const payload = retell.payloadOf(req);
+    const callerZone = callerTimezone.fromRequest(req, payload);
+    const result = await waitlist.joinWaitlist(payload, { timezone: callerZone.zone });
+    return res.status(result.duplicate ? 200 : 201).json(result);
+  } catch (err) {
+    if (err && err.statusCode) {
+      const body = { error: err.code || 'bad_request', message: err.message };
+      if (err.field_errors) body.field_errors = err.field_errors;
+      return res.status(err.statusCode).json(body);
+    }
+    logger.error('waitlist join error', err);
+    return res.status(500).json({ error: 'server_error', message: 'Failed to join the waitlist' });
+  }
+});
+
+// Staff view of the waitlist (includes patient details), oldest first; ?status=waiting|offered|booked|removed|expired
+router.get('/waitlist', requireAuth('admin'), async (req, res) => {
+  try {
+    const entries = await waitlist.listEntries({ status: req.query.status });
+    return res.json({ ok: true, entries });
+  } catch (err) {
+    logger.error('waitlist list error', err);
+    return res.status(500).json({ error: 'server_error', message: 'Failed to list the waitlist' });
+  }
+});
+
+// Leave the waitlist by waitlist_id or patient_phone
+router.post('/waitlist/remove', requireAuth('book'), rateLimit('booking'), async (req, res) => {
+  try {
+    const payload = retell.payloadOf(req);
+    const result = await waitlist.removeEntries({ id: payload.waitlist_id, phone: payload.patient_phone });
+    return res.json(result);
+  } catch (err) {
+    if (err && err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.code || 'bad_request', message: err.message });
+    }
+    logger.error('waitlist remove error', err);
+    return res.status(500).json({ error: 'server_error', message: 'Failed to remove from the waitlist' });
+  }
+});
+
+// Book the offered slot (offer_id from the waitlist.slot_offered event)
+router.post('/waitlist/offers/accept', requireAuth('book'), rateLimit('booking'), async (req, res) => {
+  try {
+    const payload = retell.payloadOf(req);
+    const result = await waitlist.acceptOffer(payload.offer_id);
+    return res.json(result);
+  } catch (err) {
+    if (err && err.statusCode) {
+      const body = { error: err.code || 'bad_request', message: err.message };
+      // slot_taken carries the nearest alternative slots, as on /book
+      if (err.alternatives) {
+        body.requested = err.requested;
+        body.alternatives = err.alternatives;
+      }
+      return res.status(err.statusCode).json(body);
+    }
+    logger.error('waitlist accept error', err);
+    return res.status(500).json({ error: 'server_error', message: 'Failed to book the offered slot' });
+  }
+});
+
+// Turn the offer down; the slot goes to the next patient and this one stays on the waitlist
+router.post('/waitlist/offers/decline', requireAuth('book'), async (req, res) => {
+  try {
+    const payload = retell.payloadOf(req);
+    const result = await waitlist.declineOffer(payload.offer_id);
+    return res.json(result);
+  } catch (err) {
+    if (err && err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.code || 'bad_request', message: err.message });
+    }
+    logger.error('waitlist decline error', err);
+    return res.status(500).json({ error: 'server_error', message: 'Failed to decline the offer' });
+  }
+});
+
+// Expires stale offers and offers any open slots (call from Cloud Scheduler)
+router.post('/waitlist/scan', requireAuth('admin'), async (req, res) => {
+  try {
+    const result = await waitlist.offerOpenings();
+    return res.json(result);
+  } catch (err) {
+    logger.error('waitlist scan error', err);
+    return res.status(500).json({ error: 'server_error', message: 'Failed to scan the waitlist' });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,7 @@
  */
 
 const express = require('express');
+const logger = require('./logger');
 const router = express.Router();
 
 // Each route module should export an express.Router
@@ -13,9 +14,9 @@ const tryMount = (modPath, mountPoint = '/') => {
     try {
         const r = require(modPath);
         router.use(mountPoint, r);
-        console.log(`Mounted ${modPath} at ${mountPoint}`);
+        logger.info(`Mounted ${modPath} at ${mountPoint}`);
     } catch (err) {
-        console.warn(`Skipping optional module ${modPath}:`, err && err.message ? err.message : err);
+        logger.warn(`Skipping optional module ${modPath}`, err);
     }
 };
 
@@ -26,5 +27,15 @@ tryMount('./routes_book', '/');
 tryMount('./routes_slots', '/');
 tryMount('./routes_parse', '/');
 tryMount('./routes_book_provider_appointment', '/');
+tryMount('./routes_first_available', '/');
+tryMount('./routes_cancel', '/');
+tryMount('./routes_reschedule', '/');
+tryMount('./routes_retell', '/');
+tryMount('./routes_calendar_watch', '/');
+tryMount('./routes_metrics', '/');
+tryMount('./routes_waitlist', '/');
+tryMount('./routes_new_patient', '/');
+tryMount('./routes_reminders', '/');
+tryMount('./routes_attendance', '/');
 
 module.exports = router;
\ No newline at end of file
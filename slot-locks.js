@@ -0,0 +1,64 @@
+'use strict';
+/**
+ * In-process slot locks.
+ *
+ * Booking re-checks the calendar and then inserts; two overlapping requests for the same calendar
+ * could both pass the check before either insert lands. A lock is held per calendar + time range
+ * for the check-and-insert, and an overlapping request fails fast instead of waiting.
+ *
+ * Locks live in this process only (one Cloud Run instance); they expire after SLOT_LOCK_TTL_MS so a
+ * crashed request can never wedge a slot.
+ *
+ * Exports:
+ *  - tryAcquire: Takes a lock for [start, end) on a calendar; returns a release function or null.
+ *  - withSlotLock: Runs fn while holding the lock; resolves to { acquired: false } when it is taken.
+ */
+
+const SLOT_LOCK_TTL_MS = Number(process.env.SLOT_LOCK_TTL_MS || 30000);
+
+// calendarId -> array of { id, startMs, endMs, expiresAt }
+const locks = new Map();
+let nextId = 1;
+
+function activeLocks(calendarId, nowMs) {
+  const list = (locks.get(calendarId) || []).filter((l) => l.expiresAt > nowMs);
+  if (list.length) locks.set(calendarId, list);
+  else locks.delete(calendarId);
+  return list;
+}
+
+/**
+ * tryAcquire: start/end are anything with valueOf() in ms (DateTime, Date, number).
+ */
+function tryAcquire(calendarId, start, end) {
+  const nowMs = Date.now();
+  const startMs = Number(start.valueOf());
+  const endMs = Number(end.valueOf());
+  const held = activeLocks(calendarId, nowMs);
+  if (held.some((l) => l.startMs < endMs && l.endMs > startMs)) return null;
+
+  const lock = { id: nextId++, startMs, endMs, expiresAt: nowMs + SLOT_LOCK_TTL_MS };
+  held.push(lock);
+  locks.set(calendarId, held);
+
+  return function release() {
+    const remaining = (locks.get(calendarId) || []).filter((l) => l.id !== lock.id);
+    if (remaining.length) locks.set(calendarId, remaining);
+    else locks.delete(calendarId);
+  };
+}
+
+async function withSlotLock(calendarId, start, end, fn) {
+  const release = tryAcquire(calendarId, start, end);
+  if (!release) return { acquired: false };
+  try {
+    return { acquired: true, value: await fn() };
+  } finally {
+    release();
+  }
+}
+
+module.exports = {
+  tryAcquire,
+  withSlotLock
+};
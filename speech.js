@@ -0,0 +1,77 @@
+'use strict';
+/**
+ * Speakable formatting for voice responses.
+ *
+ * The agent reads responses aloud, so times are rendered the way a receptionist would say them:
+ * "Tuesday, November 4th at 10:30 AM Eastern" instead of "2025-11-04T10:30:00.000-05:00".
+ *
+ * Exports:
+ *  - zoneLabel: "America/New_York" -> "Eastern".
+ *  - speakDateTime: ISO string (or DateTime) -> "Tuesday, November 4th at 10:30 AM Eastern".
+ *  - speakDate: DateTime -> "Tuesday, November 4th".
+ *  - speakList: ["a", "b", "c"] -> "a, b, or c".
+ */
+
+const { DateTime } = require('luxon');
+
+const ZONE_LABELS = {
+  'America/New_York': 'Eastern',
+  'America/Detroit': 'Eastern',
+  'America/Indiana/Indianapolis': 'Eastern',
+  'America/Kentucky/Louisville': 'Eastern',
+  'America/Chicago': 'Central',
+  'America/Indiana/Knox': 'Central',
+  'America/Denver': 'Mountain',
+  'America/Boise': 'Mountain',
+  'America/Phoenix': 'Arizona time',
+  'America/Los_Angeles': 'Pacific',
+  'America/Anchorage': 'Alaska time',
+  'Pacific/Honolulu': 'Hawaii time'
+};
+
+function zoneLabel(zone) {
+  if (!zone) return '';
+  if (ZONE_LABELS[zone]) return ZONE_LABELS[zone];
+  return DateTime.now().setZone(zone).offsetNameShort || zone;
+}
+
+function ordinal(n) {
+  const rem100 = n % 100;
+  if (rem100 >= 11 && rem100 <= 13) return `${n}th`;
+  switch (n % 10) {
+    case 1: return `${n}st`;
+    case 2: return `${n}nd`;
+    case 3: return `${n}rd`;
+    default: return `${n}th`;
+  }
+}
+
+/**
+ * speakDateTime: Formats in `zone` (defaults to the value's own offset zone).
+ */
+function speakDateTime(value, zone) {
+  let dt = DateTime.isDateTime(value) ? value : DateTime.fromISO(String(value || ''), { setZone: true });
+  if (!dt.isValid) return '';
+  if (zone) dt = dt.setZone(zone);
+  const label = zone ? zoneLabel(zone) : (dt.zone.type === 'iana' ? zoneLabel(dt.zoneName) : '');
+  const time = dt.minute === 0 ? dt.toFormat('h a') : dt.toFormat('h:mm a');
+  return `${speakDate(dt)} at ${time}${label ? ` ${label}` : ''}`;
+}
+
+function speakDate(dt) {
+  return `${dt.toFormat('cccc, LLLL')} ${ordinal(dt.day)}`;
+}
+
+function speakList(items, conjunction = 'or') {
+  const list = (items || []).filter(Boolean);
+  if (list.length <= 1) return list.join('');
+  if (list.length === 2) return `${list[0]} ${conjunction} ${list[1]}`;
+  return `${list.slice(0, -1).join(', ')}, ${conjunction} ${list[list.length - 1]}`;
+}
+
+module.exports = {
+  zoneLabel,
+  speakDateTime,
+  speakDate,
+  speakList
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+const { startApp, openSlots, PROVIDER } = require('./helpers');
+
+let app;
+let slots;
+
+before(async () => {
+  app = await startApp();
+  slots = await openSlots(app.call);
+});
+
+after(() => app.close());
+
+function bookingFor(slot, patient = {}) {
+  return {
+    calendar_id: slot.calendar_id,
+    provider_token: PROVIDER,
+    calendar_event: { start: { dateTime: slot.start }, end: { dateTime: slot.end } },
+    patient_name: 'Rosa Diaz',
+    patient_dob: '1985-04-12',
+    patient_phone: '6025550111',
+    ...patient,
+  };
+}
+
+test('a retried booking with the same idempotency key returns the original event', async () => {
+  const slot = slots[0];
+  const first = await app.call('/book', bookingFor(slot), { 'Idempotency-Key': 'call-booking-1' });
+  assert.equal(first.status, 200);
+  assert.ok(first.body.event.id);
+  assert.ok(!first.body.idempotent_replay);
+
+  const retry = await app.call('/book', bookingFor(slot), { 'Idempotency-Key': 'call-booking-1' });
+  assert.equal(retry.status, 200);
+  assert.equal(retry.body.idempotent_replay, true);
+  assert.equal(retry.body.event.id, first.body.event.id);
+});
+
+test('booking a taken slot answers slot_taken with nearby open alternatives', async () => {
+  const slot = slots[1];
+  const first = await app.call('/book', bookingFor(slot), { 'Idempotency-Key': 'call-booking-2' });
+  assert.equal(first.status, 200);
+
+  const second = await app.call('/book', bookingFor(slot, { patient_name: 'Sam Lee', patient_phone: '6025550122' }), {
+    'Idempotency-Key': 'call-booking-3',
+  });
+  assert.equal(second.status, 409);
+  assert.equal(second.body.error, 'slot_taken');
+  assert.equal(DateTime.fromISO(second.body.requested.start).toMillis(), DateTime.fromISO(slot.start).toMillis());
+  assert.ok(second.body.alternatives.length > 0);
+  const takenStart = DateTime.fromISO(slot.start);
+  const takenEnd = DateTime.fromISO(slot.end);
+  for (const alternative of second.body.alternatives) {
+    const start = DateTime.fromISO(alternative.start);
+    const end = DateTime.fromISO(alternative.end);
+    assert.ok(end <= takenStart || start >= takenEnd, `${alternative.start} overlaps the taken slot`);
+    assert.ok(start > DateTime.now(), `${alternative.start} is in the past`);
+  }
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+const { startApp, openSlots, PROVIDER } = require('./helpers');
+const calendarOps = require('../calendar-operations');
+
+let app;
+let slots;
+
+before(async () => {
+  app = await startApp();
+  slots = await openSlots(app.call);
+});
+
+after(() => app.close());
+
+async function book(slot, key) {
+  const res = await app.call('/book', {
+    calendar_id: slot.calendar_id,
+    provider_token: PROVIDER,
+    calendar_event: { start: { dateTime: slot.start }, end: { dateTime: slot.end } },
+    patient_name: 'Rosa Diaz',
+    patient_dob: '1985-04-12',
+    patient_phone: '6025550111',
+  }, { 'Idempotency-Key': key });
+  assert.equal(res.status, 200);
+  return res.body.event;
+}
+
+function sameInstant(a, b) {
+  return DateTime.fromISO(a).toMillis() === DateTime.fromISO(b).toMillis();
+}
+
+test('cancel removes an upcoming appointment once; a second cancel finds nothing', async () => {
+  const slot = slots[0];
+  const event = await book(slot, 'call-cancel-1');
+
+  const cancelled = await app.call('/cancel', { event_id: event.id, calendar_id: slot.calendar_id });
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.cancelled, true);
+  assert.equal(cancelled.body.late_cancellation, false);
+  assert.equal(cancelled.body.fee_usd, 0);
+
+  const again = await app.call('/cancel', { event_id: event.id, calendar_id: slot.calendar_id });
+  assert.equal(again.status, 404);
+  assert.equal(again.body.error, 'appointment_not_found');
+});
+
+test('reschedule moves the appointment and frees its old time', async () => {
+  const [from, to] = [slots[1], slots[slots.length - 1]];
+  const event = await book(from, 'call-reschedule-1');
+
+  const moved = await app.call('/reschedule', { event_id: event.id, calendar_id: from.calendar_id, new_start: to.start });
+  assert.equal(moved.status, 200);
+  assert.equal(moved.body.rescheduled, true);
+  assert.ok(sameInstant(moved.body.previous_start, from.start));
+  assert.ok(sameInstant(moved.body.start, to.start));
+
+  const open = await openSlots(app.call);
+  assert.ok(open.some((s) => sameInstant(s.start, from.start)), 'the old time is open again');
+  assert.ok(!open.some((s) => sameInstant(s.start, to.start)), 'the new time is taken');
+});
+
+test('past appointments cannot be cancelled or moved by event ID', async () => {
+  const calendarId = slots[0].calendar_id;
+  const backend = await calendarOps.backendForCalendar(calendarId);
+  const start = DateTime.now().minus({ hours: 3 });
+  const past = await backend.insertEvent(calendarId, {
+    summary: 'Appointment',
+    start: { dateTime: start.toISO() },
+    end: { dateTime: start.plus({ minutes: 30 }).toISO() },
+  });
+
+  const cancelled = await app.call('/cancel', { event_id: past.id, calendar_id: calendarId });
+  assert.equal(cancelled.status, 404);
+  const moved = await app.call('/reschedule', { event_id: past.id, calendar_id: calendarId, new_start: slots[2].start });
+  assert.equal(moved.status, 404);
+});
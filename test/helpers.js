@@ -0,0 +1,86 @@
+'use strict';
+/**
+ * Shared setup for the route tests (node --test, see package.json).
+ *
+ * Requiring this first switches every store to its in-process variant (calendar, waitlist, attendance), turns
+ * auth off as in local development and keeps logs to errors, so tests need no Google credentials or keys and leave
+ * no files behind. Each test
+ * file runs in its own process and so starts with an empty calendar.
+ *
+ * Exports:
+ *  - startApp: Serves the routes on a free port; resolves to { call, close }.
+ *  - openSlots: Free slots for a provider a few days ahead, from POST /availability.
+ *  - captureMessages: Replaces both notification transports; returns the array sent messages land in.
+ *  - PROVIDER: The provider token the tests book with.
+ */
+
+process.env.CALENDAR_BACKEND = 'memory';
+process.env.WAITLIST_STORE = 'memory';
+process.env.ATTENDANCE_STORE = 'memory';
+process.env.NOTIFICATION_TRANSPORT = 'console';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.PHI_REFERENCE_SECRET = 'test-reference-secret';
+// Development auth (no keys, unsigned SMS webhook) whatever the shell has set
+process.env.AUTH_REQUIRED = 'false';
+for (const name of ['CALENDAR_BACKEND_FILE', 'API_KEYS', 'SECRET_TOKEN', 'RETELL_API_KEY', 'RETELL_WEBHOOK_SECRET', 'TWILIO_AUTH_TOKEN', 'SMS_REPLY_SECRET']) {
+  delete process.env[name];
+}
+
+const express = require('express');
+const { DateTime } = require('luxon');
+const notifications = require('../notifications');
+
+const PROVIDER = 'megan-ramirez';
+
+/**
+ * startApp: call(path, body, headers) POSTs JSON and resolves to { status, body }.
+ */
+async function startApp() {
+  const app = express();
+  app.use('/', require('../google_calendar_webhook'));
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function call(path, body = {}, headers = {}) {
+    const res = await fetch(`${base}${path}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  return { call, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+/**
+ * openSlots: Slots for `days` days starting `daysAhead` days from today, each with the provider's calendar_id.
+ */
+async function openSlots(call, { providerToken = PROVIDER, daysAhead = 3, days = 5 } = {}) {
+  const calendarId = require('../providers').getProvider(providerToken).calendar_id;
+  const res = await call('/availability', {
+    calendar_id: calendarId,
+    provider_token: providerToken,
+    requested_date: DateTime.now().plus({ days: daysAhead }).toISODate(),
+    days_to_check: days,
+  });
+  if (res.status !== 200 || !res.body.slots.length) throw new Error(`no open slots for ${providerToken}`);
+  return res.body.slots.map((slot) => ({ ...slot, calendar_id: calendarId }));
+}
+
+function captureMessages() {
+  const sent = [];
+  const transport = { async send(message) { sent.push(message); } };
+  notifications.setTransport('sms', transport);
+  notifications.setTransport('email', transport);
+  return sent;
+}
+
+module.exports = {
+  startApp,
+  openSlots,
+  captureMessages,
+  PROVIDER
+};
@@ -0,0 +1,90 @@
+'use strict';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+const { startApp, captureMessages, PROVIDER } = require('./helpers');
+const calendarOps = require('../calendar-operations');
+const notifications = require('../notifications');
+const providers = require('../providers');
+
+const calendarId = providers.getProvider(PROVIDER).calendar_id;
+let app;
+let backend;
+let sent;
+
+before(async () => {
+  app = await startApp();
+  backend = await calendarOps.backendForCalendar(calendarId);
+  sent = captureMessages();
+});
+
+after(() => app.close());
+
+beforeEach(async () => {
+  await notifications.flush();
+  sent.length = 0;
+});
+
+// An upcoming event for the patient, as a booking would leave it; `remindersSent` marks it reminded
+async function appointment(phone, hoursAhead, remindersSent) {
+  const start = DateTime.now().plus({ hours: hoursAhead });
+  const priv = { patient_phone: phone, patient_first_name: 'Rosa', patient_state: 'AZ' };
+  if (remindersSent) priv.reminders_sent = remindersSent;
+  return backend.insertEvent(calendarId, {
+    summary: 'Appointment',
+    start: { dateTime: start.toISO() },
+    end: { dateTime: start.plus({ minutes: 30 }).toISO() },
+    extendedProperties: { private: priv },
+  });
+}
+
+async function responseOf(event) {
+  const current = await backend.getEvent(calendarId, event.id);
+  return current.extendedProperties.private.reminder_response;
+}
+
+test('a C reply confirms the reminded appointment, not a sooner one that was never reminded', async () => {
+  const sooner = await appointment('6025550111', 20);
+  const reminded = await appointment('6025550111', 40, '48');
+
+  const res = await app.call('/reminders/reply', { from: '+1 (602) 555-0111', body: 'C' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.action, 'confirmed');
+  assert.equal(res.body.event_id, reminded.id);
+  assert.equal(await responseOf(reminded), 'confirmed');
+  assert.equal(await responseOf(sooner), undefined);
+
+  await notifications.flush();
+  assert.deepEqual(sent.map((m) => m.kind), ['reminder_confirmed']);
+});
+
+test('a reply with no reminded appointment changes nothing and says so', async () => {
+  const upcoming = await appointment('6025550133', 30);
+
+  const res = await app.call('/reminders/reply', { from: '6025550133', body: 'X' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.action, 'nothing_pending');
+  const current = await backend.getEvent(calendarId, upcoming.id);
+  assert.notEqual(current.status, 'cancelled');
+
+  await notifications.flush();
+  assert.deepEqual(sent.map((m) => m.kind), ['reminder_nothing_pending']);
+});
+
+test('an X reply cancels the reminded appointment', async () => {
+  const reminded = await appointment('6025550144', 30, '48');
+
+  const res = await app.call('/reminders/reply', { from: '6025550144', body: 'cancel' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.action, 'cancelled');
+  assert.equal(res.body.event_id, reminded.id);
+  const current = await backend.getEvent(calendarId, reminded.id).catch(() => null);
+  assert.ok(!current || current.status === 'cancelled');
+});
+
+test('a number with no upcoming appointment gets 404', async () => {
+  const res = await app.call('/reminders/reply', { from: '5205550199', body: 'C' });
+  assert.equal(res.status, 404);
+  assert.equal(res.body.error, 'appointment_not_found');
+});
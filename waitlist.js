@@ -0,0 +1,672 @@
+'use strict';
+/**
+ * Waitlist: patients who could not get a slot soon enough, offered freed slots in the order they joined.
+ *
+ * An entry records the patient (validated like a booking, see patient-details.js), either a provider or
+ * criteria (state + insurance, any provider offering the appointment type), the appointment type and the
+ * acceptable windows: date ranges narrowed by days of week, part of day or earliest/latest start time.
+ *
+ * offerOpenings looks for slots for waiting entries, oldest first, and gives each the earliest match.
+ * A slot offered to one entry is held for it until the offer is accepted, declined or expires
+ * (WAITLIST_OFFER_MINUTES, default 120): other entries are not offered it, and availability and bookings treat it as
+ * busy (calendar-operations setSlotHolds), so a caller on /book cannot take it meanwhile. A declined or expired slot
+ * goes to the next entry.
+ * Each offer is published as a `waitlist.slot_offered` outbound event (see outbound-events.js) carrying
+ * the patient's contact details so outreach can reach them. Scans run:
+ *  - after a cancellation or reschedule, for the freed interval (routes_cancel / routes_reschedule);
+ *  - after a Google Calendar change notification for the calendar (calendar-watch.js), debounced;
+ *  - every WAITLIST_SCAN_INTERVAL_MINUTES in-process and from POST /waitlist/scan for Cloud Scheduler,
+ *    which also expires stale offers and entries.
+ *
+ * Entries live in a swappable store: anything with async list(), get(id) and put(entry). The default is a
+ * JSON file (WAITLIST_FILE, default ./waitlist-data.json) in which each entry's patient details are sealed with
+ * phi.js, so names, phone numbers and dates of birth are not readable on disk. The default path is on the instance's
+ * own disk, which Cloud Run discards; production should point WAITLIST_FILE at persistent storage or plug in a
+ * shared store with setStore. WAITLIST_STORE=memory keeps entries in-process.
+ * All changes run one at a time in this process, so two scans cannot offer the same slot twice.
+ *
+ * Exports:
+ *  - joinWaitlist: Validates and stores an entry (a repeat for the same patient and request returns the existing one).
+ *  - listEntries / removeEntries: Staff views and leaving the waitlist.
+ *  - offerOpenings: Offers matching slots to waiting entries; returns the offers made.
+ *  - acceptOffer / declineOffer: Books the offered slot / releases it to the next entry.
+ *  - scheduleScan: Debounced offerOpenings for one calendar (for change notifications).
+ *  - startScanTimer: Runs offerOpenings every WAITLIST_SCAN_INTERVAL_MINUTES.
+ *  - setStore / createMemoryStore / createFileStore: Swap the entry store.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DateTime } = require('luxon');
+const appointmentTypes = require('./appointment-types');
+const calendarOps = require('./calendar-operations');
+const datePhrases = require('./date-phrases');
+const outboundEvents = require('./outbound-events');
+const patientDetails = require('./patient-details');
+const phi = require('./phi');
+const providers = require('./providers');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/New_York';
+const WAITLIST_STORE = (process.env.WAITLIST_STORE || 'file').toLowerCase();
+const WAITLIST_FILE = process.env.WAITLIST_FILE || path.join(process.cwd(), 'waitlist-data.json');
+const WAITLIST_OFFER_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES || 120);
+const WAITLIST_DEFAULT_DAYS = Number(process.env.WAITLIST_DEFAULT_DAYS || 30);
+const WAITLIST_MIN_NOTICE_HOURS = Number(process.env.WAITLIST_MIN_NOTICE_HOURS || 2);
+const WAITLIST_SCAN_INTERVAL_MINUTES = Number(process.env.WAITLIST_SCAN_INTERVAL_MINUTES || 15);
+const WAITLIST_NOTIFICATION_DELAY_MS = Number(process.env.WAITLIST_NOTIFICATION_DELAY_MS || 5000);
+
+const ACTIVE = ['waiting', 'offered'];
+const WEEKDAYS = {
+  monday: 1, mon: 1, tuesday: 2, tue: 2, tues: 2, wednesday: 3, wed: 3,
+  thursday: 4, thu: 4, thur: 4, thurs: 4, friday: 5, fri: 5, saturday: 6, sat: 6, sunday: 7, sun: 7
+};
+
+function waitlistError(code, message, statusCode, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  Object.assign(err, extra);
+  return err;
+}
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+/**
+ * createMemoryStore: Entries in a Map (lost on restart).
+ */
+function createMemoryStore() {
+  const entries = new Map();
+  return {
+    async list() {
+      return Array.from(entries.values(), (e) => JSON.parse(JSON.stringify(e)));
+    },
+    async get(id) {
+      const entry = entries.get(id);
+      return entry ? JSON.parse(JSON.stringify(entry)) : null;
+    },
+    async put(entry) {
+      entries.set(entry.id, JSON.parse(JSON.stringify(entry)));
+    },
+  };
+}
+
+// On disk the patient block is sealed (see phi.js sealDetails); entries saved before sealing still load
+function sealEntry(entry) {
+  const { patient, ...rest } = entry;
+  return { ...rest, patient_sealed: phi.sealDetails(patient) };
+}
+
+function openEntry(stored) {
+  if (!stored.patient_sealed) return stored;
+  const { patient_sealed: sealed, ...rest } = stored;
+  return { ...rest, patient: phi.openDetails(sealed) };
+}
+
+/**
+ * createFileStore: Like the memory store, loaded from and saved back to a JSON file ({ "entries": [...] }).
+ * - Patient details are sealed in the file and opened on load.
+ * - Writes go to a temp file that is renamed over the original, so a crash cannot leave half a file.
+ */
+function createFileStore(file = WAITLIST_FILE) {
+  const memory = createMemoryStore();
+  let loaded = null;
+  let writing = Promise.resolve();
+
+  function load() {
+    if (!loaded) {
+      loaded = (async () => {
+        if (!fs.existsSync(file)) return;
+        const data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        for (const entry of data.entries || []) await memory.put(openEntry(entry));
+      })();
+    }
+    return loaded;
+  }
+
+  async function save() {
+    const data = JSON.stringify({ entries: (await memory.list()).map(sealEntry) }, null, 2);
+    const tmp = `${file}.${process.pid}.tmp`;
+    writing = writing.catch(() => {}).then(async () => {
+      await fs.promises.writeFile(tmp, data);
+      await fs.promises.rename(tmp, file);
+    });
+    return writing;
+  }
+
+  return {
+    async list() {
+      await load();
+      return memory.list();
+    },
+    async get(id) {
+      await load();
+      return memory.get(id);
+    },
+    async put(entry) {
+      await load();
+      await memory.put(entry);
+      await save();
+    },
+  };
+}
+
+let store = WAITLIST_STORE === 'memory' ? createMemoryStore() : createFileStore();
+
+function setStore(next) {
+  if (!next || typeof next.list !== 'function' || typeof next.get !== 'function' || typeof next.put !== 'function') {
+    throw new Error('waitlist: store must implement list, get and put');
+  }
+  store = next;
+}
+
+// Open offers keep their slot out of availability and other bookings until accepted, declined or expired
+calendarOps.setSlotHolds(async () => {
+  const now = DateTime.now();
+  return (await store.list())
+    .filter((e) => e.status === 'offered' && e.offer && DateTime.fromISO(e.offer.expires_at) > now)
+    .map((e) => e.offer);
+});
+
+// Every read-modify-write goes through here, one at a time
+let queue = Promise.resolve();
+function serialized(fn) {
+  const run = queue.then(fn, fn);
+  queue = run.catch(() => {});
+  return run;
+}
+
+function parseDaysOfWeek(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  const items = Array.isArray(raw) ? raw : String(raw).split(/[\s,/]+/);
+  const days = new Set();
+  for (const item of items) {
+    const word = String(item).trim().toLowerCase().replace(/s$/, '');
+    if (!word || word === 'and' || word === 'or') continue;
+    const day = /^[1-7]$/.test(word) ? Number(word) : WEEKDAYS[word];
+    if (!day) throw waitlistError('invalid_waitlist_request', `Unknown day of week "${item}"`, 400);
+    days.add(day);
+  }
+  return days.size ? Array.from(days).sort() : null;
+}
+
+const TIME_FORMATS = ['H:mm', 'H', 'h:mm a', 'h:mma', 'h a', 'ha'];
+
+function parseTime(raw, field) {
+  if (!raw) return null;
+  const text = String(raw).trim().toUpperCase().replace(/\./g, '');
+  for (const format of TIME_FORMATS) {
+    const dt = DateTime.fromFormat(text, format);
+    if (dt.isValid) return dt.toFormat('HH:mm');
+  }
+  throw waitlistError('invalid_waitlist_request', `${field} must be a time like 09:30 or 2:00 PM`, 400);
+}
+
+/**
+ * normalizeWindow: { start_date, end_date, days_of_week, part_of_day, earliest_time, latest_time } in the entry's zone.
+ * - `phrase` ("next week afternoons") is read with date-phrases.js; dates default to today + WAITLIST_DEFAULT_DAYS.
+ */
+function normalizeWindow(raw = {}, zone, today) {
+  let startDate = raw.start_date || null;
+  let endDate = raw.end_date || null;
+  let partOfDay = raw.part_of_day || null;
+
+  if (raw.phrase) {
+    const parsed = datePhrases.parseDatePhrase(raw.phrase, { zone, now: today });
+    if (!parsed.ok) throw waitlistError('invalid_waitlist_request', `Could not understand "${raw.phrase}"`, 400);
+    startDate = startDate || parsed.start_date;
+    endDate = endDate || parsed.end_date;
+    partOfDay = partOfDay || parsed.part_of_day;
+  }
+
+  let start = startDate ? DateTime.fromISO(String(startDate), { zone }) : today;
+  if (!start.isValid) throw waitlistError('invalid_waitlist_request', 'start_date must be an ISO date', 400);
+  if (start < today) start = today;
+  let end = endDate ? DateTime.fromISO(String(endDate), { zone }) : start.plus({ days: WAITLIST_DEFAULT_DAYS });
+  if (!end.isValid) throw waitlistError('invalid_waitlist_request', 'end_date must be an ISO date', 400);
+  if (end < start) throw waitlistError('invalid_waitlist_request', 'The waitlist window has already ended', 400);
+  if (partOfDay && !datePhrases.PARTS_OF_DAY[partOfDay]) {
+    throw waitlistError('invalid_waitlist_request', `part_of_day must be one of: ${Object.keys(datePhrases.PARTS_OF_DAY).join(', ')}`, 400);
+  }
+
+  return {
+    start_date: start.toISODate(),
+    end_date: end.toISODate(),
+    days_of_week: parseDaysOfWeek(raw.days_of_week),
+    part_of_day: partOfDay,
+    earliest_time: parseTime(raw.earliest_time, 'earliest_time'),
+    latest_time: parseTime(raw.latest_time, 'latest_time'),
+  };
+}
+
+function slotInWindow(slot, window, zone) {
+  const start = DateTime.fromISO(slot.start, { zone });
+  const date = start.toISODate();
+  if (date < window.start_date || date > window.end_date) return false;
+  if (window.days_of_week && !window.days_of_week.includes(start.weekday)) return false;
+  if (window.part_of_day && !datePhrases.inPartOfDay(slot.start, window.part_of_day, zone)) return false;
+  const time = start.toFormat('HH:mm');
+  if (window.earliest_time && time < window.earliest_time) return false;
+  if (window.latest_time && time > window.latest_time) return false;
+  return true;
+}
+
+function slotKey(calendarId, start) {
+  return `${calendarId}|${DateTime.fromISO(start).toMillis()}`;
+}
+
+function overlaps(offer, calendarId, slot) {
+  return offer.calendar_id === calendarId
+    && DateTime.fromISO(slot.start) < DateTime.fromISO(offer.end)
+    && DateTime.fromISO(offer.start) < DateTime.fromISO(slot.end);
+}
+
+function requestKey(entry) {
+  const target = entry.provider_token || `${entry.criteria.state || ''}|${entry.criteria.insurance || ''}`;
+  return `${entry.patient.phone}|${target}|${entry.appointment_type || ''}`;
+}
+
+/**
+ * publicEntry: An entry without patient details, for API responses.
+ */
+function publicEntry(entry) {
+  const { patient, declined, ...rest } = entry;
+  return rest;
+}
+
+async function candidateProviders(entry) {
+  if (entry.provider_token) {
+    const provider = providers.getProvider(entry.provider_token);
+    return provider ? [provider] : [];
+  }
+  const type = entry.appointment_type ? appointmentTypes.getAppointmentType(entry.appointment_type) : null;
+  return (await providers.findProviders(entry.criteria))
+    .filter((p) => !type || (type.providers || []).includes(p.token));
+}
+
+/**
+ * joinWaitlist: Stores { patient, provider_token | calendar_id | state + insurance, appointment_type, windows }.
+ * - Patient name and phone are required; details are validated like a booking (400 invalid_patient_details).
+ * - windows: [{ start_date, end_date, days_of_week, part_of_day, earliest_time, latest_time, phrase }], or the
+ *   same fields at the top level for a single window.
+ */
+async function joinWaitlist(payload = {}, { timezone } = {}) {
+  const patient = patientDetails.patientFromPayload(payload);
+  if (!patient || !patient.full_name || !patient.phone) {
+    throw waitlistError('invalid_waitlist_request', 'patient_name and patient_phone are required to join the waitlist', 400);
+  }
+
+  let provider = null;
+  if (payload.provider_token || payload.calendar_id) {
+    provider = providers.getProvider(payload.provider_token) || providers.getProviderByCalendarId(payload.calendar_id);
+    if (!provider) throw waitlistError('unknown_provider', 'Unknown provider_token or calendar_id', 400);
+  }
+  const state = providers.normalizeState(payload.state) || patient.state || null;
+  if (!provider && !state) {
+    throw waitlistError('invalid_waitlist_request', 'provider_token, calendar_id or the patient\'s state is required', 400);
+  }
+
+  const type = appointmentTypes.resolveAppointmentType({
+    appointmentType: payload.appointment_type,
+    providerToken: provider ? provider.token : null,
+  });
+
+  const zone = timezone || payload.user_timezone || DEFAULT_TIMEZONE;
+  const today = DateTime.now().setZone(zone).startOf('day');
+  const rawWindows = Array.isArray(payload.windows) && payload.windows.length ? payload.windows : [payload];
+  const windows = rawWindows.map((w) => normalizeWindow(w, zone, today));
+  const lastDay = windows.map((w) => w.end_date).sort().pop();
+  const now = new Date().toISOString();
+
+  const entry = {
+    id: newId('wl'),
+    status: 'waiting',
+    created_at: now,
+    updated_at: now,
+    expires_at: DateTime.fromISO(lastDay, { zone }).endOf('day').toUTC().toISO(),
+    patient: {
+      full_name: patient.full_name,
+      first_name: patient.first_name,
+      last_name: patient.last_name,
+      dob: patient.dob,
+      phone: patient.phone,
+      email: patient.email,
+      state: patient.state,
+    },
+    provider_token: provider ? provider.token : null,
+    criteria: provider ? null : { state, insurance: payload.insurance || null },
+    appointment_type: type ? type.token : null,
+    timezone: zone,
+    windows,
+    offer: null,
+    declined: [],
+  };
+
+  return serialized(async () => {
+    const existing = (await store.list()).find((e) => ACTIVE.includes(e.status) && requestKey(e) === requestKey(entry));
+    if (existing) return { ok: true, duplicate: true, entry: publicEntry(existing) };
+    await store.put(entry);
+    logger.info('waitlist: joined', { waitlist_id: entry.id, provider_token: entry.provider_token, appointment_type: entry.appointment_type });
+    return { ok: true, duplicate: false, entry: publicEntry(entry) };
+  });
+}
+
+/**
+ * listEntries: Entries (with patient details) oldest first, optionally filtered by status.
+ */
+async function listEntries({ status } = {}) {
+  const entries = await store.list();
+  return entries
+    .filter((e) => !status || e.status === status)
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+/**
+ * removeEntries: Takes active entries off the waitlist by waitlist_id or by patient phone.
+ */
+async function removeEntries({ id, phone } = {}) {
+  const digits = phone ? String(phone).replace(/\D/g, '').slice(-10) : null;
+  if (!id && !digits) throw waitlistError('invalid_waitlist_request', 'waitlist_id or patient_phone is required', 400);
+  return serialized(async () => {
+    const removed = [];
+    for (const entry of await store.list()) {
+      if (!ACTIVE.includes(entry.status)) continue;
+      if (id ? entry.id !== id : entry.patient.phone !== digits) continue;
+      entry.status = 'removed';
+      entry.offer = null;
+      entry.updated_at = new Date().toISOString();
+      await store.put(entry);
+      removed.push(entry.id);
+    }
+    return { ok: true, removed };
+  });
+}
+
+// Offers past their expiry go back to waiting (the slot counts as declined); entries past their last window expire
+async function expireStale(entries, now) {
+  for (const entry of entries) {
+    if (entry.status === 'offered' && entry.offer && DateTime.fromISO(entry.offer.expires_at) <= now) {
+      const offer = entry.offer;
+      entry.declined.push(slotKey(offer.calendar_id, offer.start));
+      entry.status = 'waiting';
+      entry.offer = null;
+      entry.updated_at = now.toISO();
+      await store.put(entry);
+      metrics.waitlistOffers.inc({ outcome: 'expired' });
+      outboundEvents.emit('waitlist.offer_expired', { waitlist_id: entry.id, offer_id: offer.id });
+    }
+    if (entry.status === 'waiting' && DateTime.fromISO(entry.expires_at) <= now) {
+      entry.status = 'expired';
+      entry.updated_at = now.toISO();
+      await store.put(entry);
+    }
+  }
+}
+
+async function providerSlots(provider, entry, range, cache) {
+  const key = `${provider.token}|${entry.appointment_type || ''}|${entry.timezone}|${range.from}|${range.days}`;
+  if (!cache.has(key)) {
+    cache.set(key, calendarOps.get_provider_availability({
+      calendar_id: provider.calendar_id,
+      provider_token: provider.token,
+      appointment_type: entry.appointment_type,
+      requested_date: range.from,
+      days_to_check: range.days,
+      user_timezone: entry.timezone,
+    }).then((result) => result.slots));
+  }
+  return cache.get(key);
+}
+
+// Dates to search for an entry: its windows, narrowed to the freed interval when there is one
+function searchRange(entry, { start, end }, now) {
+  const zone = entry.timezone;
+  const dates = [now.setZone(zone).toISODate(), ...entry.windows.map((w) => w.start_date)];
+  const ends = entry.windows.map((w) => w.end_date);
+  if (start) {
+    dates.push(DateTime.fromISO(start, { zone }).toISODate());
+    ends.push(DateTime.fromISO(end || start, { zone }).toISODate());
+  }
+  const from = dates.sort().pop();
+  const to = ends.sort()[0];
+  if (to < from) return null;
+  const days = Math.round(DateTime.fromISO(to, { zone }).diff(DateTime.fromISO(from, { zone }), 'days').days) + 1;
+  return { from, days };
+}
+
+async function firstOpening(entry, { calendarId, start, end, now, pending, cache }) {
+  const range = searchRange(entry, { start, end }, now);
+  if (!range) return null;
+  const earliest = now.plus({ hours: WAITLIST_MIN_NOTICE_HOURS });
+  const freedFrom = start ? DateTime.fromISO(start) : null;
+  const freedTo = end ? DateTime.fromISO(end) : null;
+
+  let best = null;
+  for (const provider of await candidateProviders(entry)) {
+    if (calendarId && provider.calendar_id !== calendarId) continue;
+    let slots;
+    try {
+      slots = await providerSlots(provider, entry, range, cache);
+    } catch (e) {
+      logger.warn(`waitlist: availability for ${provider.token} failed`, e);
+      continue;
+    }
+    for (const slot of slots) {
+      const slotStart = DateTime.fromISO(slot.start);
+      if (slotStart < earliest) continue;
+      if (freedFrom && (slotStart < freedFrom || (freedTo && slotStart >= freedTo))) continue;
+      if (best && slotStart >= DateTime.fromISO(best.start)) break;
+      if (!entry.windows.some((w) => slotInWindow(slot, w, entry.timezone))) continue;
+      if (entry.declined.includes(slotKey(provider.calendar_id, slot.start))) continue;
+      if (pending.some((offer) => overlaps(offer, provider.calendar_id, slot))) continue;
+      best = { ...slot, provider_token: provider.token, provider_name: provider.display_name || provider.name, calendar_id: provider.calendar_id };
+      break;
+    }
+  }
+  return best;
+}
+
+/**
+ * offerOpenings: Offers the earliest matching slot to each waiting entry, oldest entry first.
+ * - calendarId limits the search to that provider's calendar; start/end to slots starting in a freed interval.
+ * - Returns { ok, offers: [{ waitlist_id, offer_id, provider_token, start }] }.
+ */
+async function offerOpenings({ calendarId = null, start = null, end = null } = {}) {
+  return serialized(async () => {
+    const now = DateTime.now();
+    const entries = await store.list();
+    await expireStale(entries, now);
+
+    const pending = entries.filter((e) => e.status === 'offered' && e.offer).map((e) => e.offer);
+    const waiting = entries
+      .filter((e) => e.status === 'waiting')
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+    const cache = new Map();
+    const offers = [];
+
+    for (const entry of waiting) {
+      const slot = await firstOpening(entry, { calendarId, start, end, now, pending, cache });
+      if (!slot) continue;
+
+      const offer = {
+        id: newId('wo'),
+        calendar_id: slot.calendar_id,
+        provider_token: slot.provider_token,
+        provider_name: slot.provider_name,
+        appointment_type: entry.appointment_type,
+        start: slot.start,
+        end: slot.end,
+        time_zone: slot.timeZone || entry.timezone,
+        offered_at: now.toISO(),
+        expires_at: now.plus({ minutes: WAITLIST_OFFER_MINUTES }).toISO(),
+      };
+      entry.status = 'offered';
+      entry.offer = offer;
+      entry.updated_at = now.toISO();
+      await store.put(entry);
+      pending.push(offer);
+      offers.push({ waitlist_id: entry.id, offer_id: offer.id, provider_token: offer.provider_token, start: offer.start });
+
+      metrics.waitlistOffers.inc({ outcome: 'offered' });
+      logger.info('waitlist: slot offered', { waitlist_id: entry.id, offer_id: offer.id, provider_token: offer.provider_token, start: offer.start });
+      outboundEvents.emit('waitlist.slot_offered', {
+        waitlist_id: entry.id,
+        offer,
+        patient: {
+          full_name: entry.patient.full_name,
+          first_name: entry.patient.first_name,
+          phone: entry.patient.phone,
+          email: entry.patient.email,
+        },
+      });
+    }
+    return { ok: true, offers };
+  });
+}
+
+async function findOffer(offerId) {
+  if (!offerId) throw waitlistError('invalid_waitlist_request', 'offer_id is required', 400);
+  const entry = (await store.list()).find((e) => e.offer && e.offer.id === offerId);
+  if (!entry) throw waitlistError('offer_not_found', 'No waitlist offer with that offer_id', 404);
+  return entry;
+}
+
+function assertOpen(entry) {
+  if (entry.status !== 'offered' || DateTime.fromISO(entry.offer.expires_at) <= DateTime.now()) {
+    throw waitlistError('offer_expired', 'That offer is no longer available', 410);
+  }
+}
+
+/**
+ * acceptOffer: Books the offered slot for the entry's patient (the offer id is the idempotency key).
+ * - If the slot was taken meanwhile, the entry goes back to waiting and slot_taken (409) is thrown.
+ */
+async function acceptOffer(offerId) {
+  return serialized(async () => {
+    const entry = await findOffer(offerId);
+    if (entry.status === 'booked') {
+      return {
+        ok: true,
+        waitlist_id: entry.id,
+        event_id: entry.booking.event_id,
+        calendar_id: entry.booking.calendar_id,
+        start: entry.offer.start,
+        user_timezone: entry.timezone,
+        idempotent_replay: true,
+      };
+    }
+    assertOpen(entry);
+    const { offer, patient } = entry;
+
+    let result;
+    try {
+      result = await calendarOps.book_provider_appointment({
+        calendarId: offer.calendar_id,
+        event: {
+          start: { dateTime: offer.start, timeZone: offer.time_zone },
+          end: { dateTime: offer.end, timeZone: offer.time_zone },
+        },
+        payload: {
+          provider_token: offer.provider_token,
+          appointment_type: offer.appointment_type,
+          patient: { full_name: patient.full_name, dob: patient.dob, phone: patient.phone, email: patient.email, state: patient.state },
+        },
+        idempotencyKey: offer.id,
+        holdId: offer.id,
+      });
+    } catch (err) {
+      if (err && err.code === 'slot_taken') {
+        entry.declined.push(slotKey(offer.calendar_id, offer.start));
+        entry.status = 'waiting';
+        entry.offer = null;
+        entry.updated_at = new Date().toISOString();
+        await store.put(entry);
+      }
+      throw err;
+    }
+
+    entry.status = 'booked';
+    entry.booking = { event_id: result.event && result.event.id, calendar_id: offer.calendar_id, start: offer.start };
+    entry.updated_at = new Date().toISOString();
+    await store.put(entry);
+    metrics.waitlistOffers.inc({ outcome: 'accepted' });
+    outboundEvents.emit('waitlist.offer_accepted', { waitlist_id: entry.id, offer_id: offer.id, event_id: entry.booking.event_id, start: offer.start });
+    return {
+      ok: true,
+      waitlist_id: entry.id,
+      event_id: entry.booking.event_id,
+      calendar_id: offer.calendar_id,
+      start: offer.start,
+      end: offer.end,
+      user_timezone: entry.timezone,
+      event: result.event,
+    };
+  });
+}
+
+/**
+ * declineOffer: Releases the slot and offers it to the next waiting entry; the patient stays on the waitlist.
+ */
+async function declineOffer(offerId) {
+  const released = await serialized(async () => {
+    const entry = await findOffer(offerId);
+    assertOpen(entry);
+    const { offer } = entry;
+    entry.declined.push(slotKey(offer.calendar_id, offer.start));
+    entry.status = 'waiting';
+    entry.offer = null;
+    entry.updated_at = new Date().toISOString();
+    await store.put(entry);
+    metrics.waitlistOffers.inc({ outcome: 'declined' });
+    outboundEvents.emit('waitlist.offer_declined', { waitlist_id: entry.id, offer_id: offer.id });
+    return { entry, offer };
+  });
+
+  const next = await offerOpenings({ calendarId: released.offer.calendar_id, start: released.offer.start, end: released.offer.end });
+  return { ok: true, waitlist_id: released.entry.id, status: 'waiting', offered_to_next: next.offers.length > 0 };
+}
+
+// calendarId -> timer; a burst of notifications for one calendar becomes one scan
+const scheduled = new Map();
+
+/**
+ * scheduleScan: offerOpenings for the calendar WAITLIST_NOTIFICATION_DELAY_MS from now (once per burst).
+ */
+function scheduleScan(calendarId) {
+  if (!calendarId || scheduled.has(calendarId)) return;
+  const timer = setTimeout(() => {
+    scheduled.delete(calendarId);
+    offerOpenings({ calendarId }).catch((e) => logger.warn('waitlist: scan after notification failed', e));
+  }, WAITLIST_NOTIFICATION_DELAY_MS);
+  timer.unref();
+  scheduled.set(calendarId, timer);
+}
+
+let timer = null;
+
+function startScanTimer() {
+  if (timer || !(WAITLIST_SCAN_INTERVAL_MINUTES > 0)) return null;
+  timer = setInterval(() => {
+    offerOpenings().catch((e) => logger.warn('waitlist: periodic scan failed', e));
+  }, WAITLIST_SCAN_INTERVAL_MINUTES * 60000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  joinWaitlist,
+  listEntries,
+  removeEntries,
+  offerOpenings,
+  acceptOffer,
+  declineOffer,
+  scheduleScan,
+  startScanTimer,
+  setStore,
+  createMemoryStore,
+  createFileStore
+};
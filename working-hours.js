@@ -0,0 +1,122 @@
+'use strict';
+/**
+ * Provider working-hours helpers.
+ *
+ * Each provider in providers.json may declare a `schedule`:
+ *  - timezone:        IANA zone the hours are written in (e.g. America/Phoenix for the Arizona clinic).
+ *  - weekly_hours:    { mon: [{ start: '08:00', end: '18:00' }], ..., sun: [] }
+ *  - breaks:          [{ start: '12:00', end: '13:00', label: 'Lunch', days?: ['mon', ...] }]
+ *  - by_request_days: Hours only offered when the caller asks for them (Saturday by special request).
+ *  - overrides:       [{ date | start_date + end_date, closed: true } | { date, hours: [...] }]
+ *                     for vacations, holidays and one-off changes. Later entries win over earlier ones.
+ *
+ * Exports:
+ *  - getProviderSchedule: Finds the schedule for a provider token or calendar_id (falls back to clinic defaults).
+ *  - workingIntervals: Intersects a window with the schedule and returns bookable Intervals.
+ */
+
+const { DateTime, Interval } = require('luxon');
+const providers = require('./providers');
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// Used when a calendar is not in providers.json or has no schedule (matches the old 08:00-18:00 window).
+const DEFAULT_SCHEDULE = {
+  timezone: process.env.DEFAULT_TIMEZONE || 'America/New_York',
+  weekly_hours: {
+    mon: [{ start: '08:00', end: '18:00' }],
+    tue: [{ start: '08:00', end: '18:00' }],
+    wed: [{ start: '08:00', end: '18:00' }],
+    thu: [{ start: '08:00', end: '18:00' }],
+    fri: [{ start: '08:00', end: '18:00' }],
+    sat: [],
+    sun: []
+  },
+  breaks: [],
+  by_request_days: {},
+  overrides: []
+};
+
+/**
+ * getProviderSchedule: Returns the provider's schedule, or DEFAULT_SCHEDULE when none is configured.
+ */
+function getProviderSchedule({ providerToken, calendarId } = {}) {
+  const provider = providerToken ? providers.getProvider(providerToken) : providers.getProviderByCalendarId(calendarId);
+  if (!provider || !provider.schedule) return DEFAULT_SCHEDULE;
+  return { ...DEFAULT_SCHEDULE, ...provider.schedule };
+}
+
+/**
+ * atClock: Sets "HH:mm" on a day (DateTime in the schedule's zone).
+ */
+function atClock(day, hhmm) {
+  const [hour, minute] = String(hhmm).split(':').map(Number);
+  return day.set({ hour: hour || 0, minute: minute || 0, second: 0, millisecond: 0 });
+}
+
+/**
+ * hoursForDay: Resolves the list of { start, end } blocks for one calendar day.
+ */
+function hoursForDay(schedule, day, includeByRequest) {
+  const iso = day.toISODate();
+  const overrides = (schedule.overrides || []).filter((o) => {
+    if (o.date) return o.date === iso;
+    if (o.start_date) return o.start_date <= iso && iso <= (o.end_date || o.start_date);
+    return false;
+  });
+  const override = overrides.length ? overrides[overrides.length - 1] : null;
+  if (override) {
+    if (override.closed) return [];
+    if (Array.isArray(override.hours)) return override.hours;
+  }
+
+  const key = WEEKDAYS[day.weekday - 1];
+  const hours = (schedule.weekly_hours || {})[key] || [];
+  if (hours.length) return hours;
+  if (includeByRequest) return (schedule.by_request_days || {})[key] || [];
+  return [];
+}
+
+/**
+ * workingIntervals: Bookable Intervals inside windowInterval, with breaks removed.
+ * - Hours are evaluated in the schedule's timezone; results are returned in options.zone
+ *   (defaults to the window's zone) so slots keep reading in the caller's timezone.
+ */
+function workingIntervals(schedule, windowInterval, options = {}) {
+  const zone = schedule.timezone || DEFAULT_SCHEDULE.timezone;
+  const outZone = options.zone || windowInterval.start.zoneName;
+  const includeByRequest = !!options.includeByRequest;
+
+  const result = [];
+  let day = windowInterval.start.setZone(zone).startOf('day');
+  const lastDay = windowInterval.end.setZone(zone);
+
+  while (day < lastDay) {
+    const key = WEEKDAYS[day.weekday - 1];
+    const breaks = (schedule.breaks || [])
+      .filter((b) => !Array.isArray(b.days) || b.days.includes(key))
+      .map((b) => Interval.fromDateTimes(atClock(day, b.start), atClock(day, b.end)))
+      .filter((i) => i.isValid);
+
+    for (const block of hoursForDay(schedule, day, includeByRequest)) {
+      const open = Interval.fromDateTimes(atClock(day, block.start), atClock(day, block.end));
+      if (!open.isValid) continue;
+      const clipped = open.intersection(windowInterval);
+      if (!clipped || clipped.isEmpty()) continue;
+      const pieces = breaks.length ? clipped.difference(...breaks) : [clipped];
+      for (const piece of pieces) {
+        if (piece.isEmpty()) continue;
+        result.push(Interval.fromDateTimes(piece.start.setZone(outZone), piece.end.setZone(outZone)));
+      }
+    }
+    day = day.plus({ days: 1 });
+  }
+
+  return result.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  getProviderSchedule,
+  workingIntervals
+};